@@ -0,0 +1,113 @@
+const {
+  TRANSFER_TOPIC,
+  eventRegistry,
+  registerEvent,
+  getRegisteredAbi,
+  getRegisteredTopics,
+  getRegisteredTopicHashes
+} = require('./registry');
+const { DeadLetterLog } = require('../models');
+const { applyNftTransfer, applyErc20Transfer } = require('./transfers');
+const {
+  handleTicketMinted,
+  handleTicketOpeningInitiated,
+  handleTicketResolved,
+  handleRewardPaid
+} = require('./tickets');
+const { handlePoolEvent } = require('./pool');
+
+// Transfers are applied from the stream's nftTransfers/erc20Transfers, so the
+// raw logs only need to be known, not handled
+registerEvent('event Transfer(address indexed from, address indexed to, uint256 indexed tokenId)', null);
+registerEvent('event Transfer(address indexed from, address indexed to, uint256 amount)', null);
+registerEvent(
+  'event TicketMinted(address indexed to, uint256 indexed tokenId, bool isETHVersion, tuple(uint256 rollNumber, uint256 winPercentage, uint256 winAmount)[] levels)',
+  handleTicketMinted
+);
+registerEvent('event TicketOpeningInitiated(uint256 indexed tokenId, address indexed opener)', handleTicketOpeningInitiated);
+registerEvent('event TicketResolved(uint256 indexed tokenId, uint256 rollResult, uint256 winAmount)', handleTicketResolved);
+registerEvent('event RewardPaid(address indexed winner, uint256 indexed tokenId, uint256 amount)', handleRewardPaid);
+registerEvent('event PoolDeposited(address indexed depositor, uint256 amount)', handlePoolEvent);
+registerEvent('event PoolWithdrawn(address indexed withdrawer, uint256 amount)', handlePoolEvent);
+
+// Record a log we could not decode so it can be inspected and replayed later
+async function recordDeadLetter(ctx, log, reason, error) {
+  const { chainId, transactionHash, block } = ctx;
+  const logIndex = Number(log.logIndex);
+
+  console.log(`Dead-lettering log ${transactionHash}#${logIndex}: ${reason}`);
+  await DeadLetterLog.findOneAndUpdate(
+    { chainId, transactionHash, logIndex },
+    {
+      address: log.address?.toLowerCase(),
+      topic0: log.topic0,
+      topic1: log.topic1,
+      topic2: log.topic2,
+      topic3: log.topic3,
+      data: log.data,
+      blockNumber: block?.number !== undefined ? Number(block.number) : undefined,
+      reason,
+      error: error ? error.message : undefined,
+      receivedAt: new Date()
+    },
+    { upsert: true, session: ctx.session }
+  );
+}
+
+// Decode a contract event log through the event registry and apply it.
+// Returns true if it was handled.
+async function applyLogEvent(ctx, log) {
+  const { address, data, topic0, topic1, topic2, topic3 } = log;
+  
+  // Skip if no topic0 (event signature)
+  if (!topic0) {
+    console.log('Log has no event signature:', log);
+    return false;
+  }
+
+  const tokenType = ctx.deployment.standard;
+  const topics = [topic0, topic1, topic2, topic3].filter(Boolean);
+  const variants = eventRegistry.get(topic0.toLowerCase());
+
+  if (!variants) {
+    await recordDeadLetter(ctx, log, 'unknown_topic');
+    return false;
+  }
+
+  const entry = variants.find(variant => variant.topicCount === topics.length);
+
+  if (!entry) {
+    await recordDeadLetter(ctx, log, 'decode_error', new Error(`No ${variants[0].name} variant with ${topics.length} topics`));
+    return false;
+  }
+
+  if (!entry.handler) return false;
+
+  let decodedLog;
+  try {
+    decodedLog = entry.iface.parseLog({ data, topics });
+  } catch (error) {
+    await recordDeadLetter(ctx, log, 'decode_error', error);
+    return false;
+  }
+
+  await entry.handler(ctx, decodedLog.args, {
+    eventName: entry.name,
+    tokenType,
+    contract: address.toLowerCase(),
+    topic0: topic0.toLowerCase(),
+    logIndex: Number(log.logIndex)
+  });
+  return true;
+}
+
+module.exports = {
+  TRANSFER_TOPIC,
+  eventRegistry,
+  getRegisteredAbi,
+  getRegisteredTopics,
+  getRegisteredTopicHashes,
+  applyLogEvent,
+  applyNftTransfer,
+  applyErc20Transfer
+};
@@ -0,0 +1,58 @@
+const {
+  getBlockTimestamp,
+  updatePoolBalance,
+  createPoolEvent,
+  queueNotification
+} = require('../journal');
+
+// PoolDeposited / PoolWithdrawn: record the event and update the pool balance
+async function handlePoolEvent(ctx, args, { eventName, contract, logIndex }) {
+  const amount = args.amount.toString();
+  const isDeposit = eventName === 'PoolDeposited';
+  const account = (isDeposit ? args.depositor : args.withdrawer).toLowerCase();
+  console.log(`${eventName} Event: Amount ${amount}`);
+
+  const pool = await updatePoolBalance(
+    ctx,
+    isDeposit ? BigInt(amount) : 0n,
+    isDeposit ? 0n : BigInt(amount)
+  );
+
+  await createPoolEvent(ctx, {
+    chainId: ctx.chainId,
+    contract,
+    type: isDeposit ? 'deposit' : 'withdrawal',
+    account,
+    amount,
+    balanceAfter: pool.balance,
+    blockNumber: ctx.block?.number !== undefined ? Number(ctx.block.number) : undefined,
+    timestamp: getBlockTimestamp(ctx.block),
+    transactionHash: ctx.transactionHash,
+    logIndex
+  });
+
+  ctx.broadcasts.push({
+    type: 'POOL_UPDATED',
+    data: {
+      chainId: ctx.chainId,
+      contract,
+      type: isDeposit ? 'deposit' : 'withdrawal',
+      account,
+      amount,
+      balance: pool.balance,
+      totalDeposited: pool.totalDeposited,
+      totalWithdrawn: pool.totalWithdrawn,
+      pending: ctx.pending
+    },
+    topics: ['pool', `address:${account}`]
+  });
+  queueNotification(ctx, isDeposit ? 'pool.deposited' : 'pool.withdrawn', {
+    account,
+    amount,
+    balance: pool.balance
+  });
+}
+
+module.exports = {
+  handlePoolEvent
+};
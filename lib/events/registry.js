@@ -0,0 +1,61 @@
+const { ethers } = require('ethers');
+
+// Event registry keyed by topic0. Each entry pairs an ABI fragment with the
+// handler that applies the decoded event, and the stream ABI is generated from
+// it, so supporting a new event only takes a registerEvent call.
+const eventRegistry = new Map();
+
+// topic0 shared by the ERC721 and ERC20 Transfer events
+const TRANSFER_TOPIC = ethers.utils.id('Transfer(address,address,uint256)');
+
+function registerEvent(signature, handler) {
+  const iface = new ethers.utils.Interface([signature]);
+  const fragment = Object.values(iface.events)[0];
+  const topic0 = iface.getEventTopic(fragment);
+
+  // Events can share a topic0 (ERC721 and ERC20 Transfer), in which case the
+  // number of indexed arguments tells them apart
+  const variants = eventRegistry.get(topic0) || [];
+  variants.push({
+    name: fragment.name,
+    iface,
+    fragment,
+    topicCount: fragment.inputs.filter(input => input.indexed).length + 1,
+    handler
+  });
+  eventRegistry.set(topic0, variants);
+}
+
+// ABI fragments of every registered event, in the shape Moralis Streams expects
+function getRegisteredAbi() {
+  return [...eventRegistry.values()]
+    .flat()
+    .map((entry) => {
+      const abi = JSON.parse(entry.fragment.format(ethers.utils.FormatTypes.json));
+      // ethers leaves out indexed: false, which Moralis expects to be explicit
+      abi.inputs = abi.inputs.map(input => ({ ...input, indexed: Boolean(input.indexed) }));
+      return abi;
+    });
+}
+
+// Event signatures of every registered event, as Moralis Streams expects topic0
+function getRegisteredTopics() {
+  const topics = [...eventRegistry.values()]
+    .flat()
+    .map(entry => entry.fragment.format(ethers.utils.FormatTypes.sighash));
+  return [...new Set(topics)];
+}
+
+// topic0 hashes of every registered event, as eth_getLogs filters expect them
+function getRegisteredTopicHashes() {
+  return [...eventRegistry.keys()];
+}
+
+module.exports = {
+  TRANSFER_TOPIC,
+  eventRegistry,
+  registerEvent,
+  getRegisteredAbi,
+  getRegisteredTopics,
+  getRegisteredTopicHashes
+};
@@ -0,0 +1,261 @@
+const { MintingDetails } = require('../models');
+const {
+  getDeploymentKey,
+  getBlockTimestamp,
+  saveMintingDetails,
+  createOpening,
+  queueNotification
+} = require('../journal');
+
+// Ticket lifecycle. Each ticket moves minted -> opening -> resolved -> paid;
+// TICKET_TRANSITIONS lists the statuses that may follow each status.
+const TICKET_STATUSES = ['minted', 'opening', 'resolved', 'paid'];
+const TICKET_TRANSITIONS = {
+  none: ['minted'],
+  minted: ['opening'],
+  opening: ['opening', 'resolved'],
+  resolved: ['paid'],
+  paid: []
+};
+
+// Helper function to find a ticket's minting details, creating a placeholder
+// when an event arrives before the ticket's mint
+async function findOrCreateMintingDetails(ctx, tokenId) {
+  const key = getDeploymentKey(ctx);
+  const mintingDetails = await MintingDetails.findOne({ ...key, tokenId }).session(ctx.session);
+  if (mintingDetails) return mintingDetails;
+
+  return new MintingDetails({
+    ...key,
+    tokenId,
+    levels: [],
+    transactionHash: ctx.transactionHash
+  });
+}
+
+// Helper function to record an anomaly on a ticket
+function flagTicketAnomaly(ctx, mintingDetails, type, message) {
+  console.log(`Ticket ${mintingDetails.tokenId} anomaly (${type}): ${message}`);
+  mintingDetails.anomalies.push({
+    type,
+    message,
+    transactionHash: ctx.transactionHash,
+    detectedAt: new Date()
+  });
+}
+
+// Helper function to move a ticket to its next lifecycle status. Every step is
+// kept in the history; out-of-order steps are flagged and never move a ticket
+// backwards.
+function advanceTicketStatus(ctx, mintingDetails, status) {
+  const current = mintingDetails.status || 'none';
+
+  mintingDetails.history.push({
+    status,
+    timestamp: getBlockTimestamp(ctx.block),
+    transactionHash: ctx.transactionHash,
+    blockNumber: ctx.block?.number !== undefined ? Number(ctx.block.number) : undefined
+  });
+
+  if (current === 'minted' && status === 'resolved') {
+    flagTicketAnomaly(ctx, mintingDetails, 'resolution_without_opening', 'Ticket resolved without an opening');
+  } else if (!TICKET_TRANSITIONS[current].includes(status)) {
+    flagTicketAnomaly(ctx, mintingDetails, 'invalid_transition', `Unexpected transition ${current} -> ${status}`);
+  }
+
+  if (TICKET_STATUSES.indexOf(status) >= TICKET_STATUSES.indexOf(mintingDetails.status)) {
+    mintingDetails.status = status;
+  }
+}
+
+// Level odds are out of this denominator, i.e. percent by default
+const WIN_PERCENTAGE_DENOMINATOR = parseInt(process.env.WIN_PERCENTAGE_DENOMINATOR, 10) || 100;
+
+// Helper function to derive a ticket's expected value from its levels and,
+// once resolved, the level it hit and how its payout compares. The hit level is
+// the one paying the resolved win amount, with the roll number breaking ties.
+function applyTicketOdds(ctx, mintingDetails) {
+  const { levels, winAmount, rollResult, payout } = mintingDetails;
+
+  // Tickets indexed before winPercentage was stored have no odds
+  const hasOdds = levels.length > 0 && levels.every(level => level.winPercentage !== undefined);
+  mintingDetails.expectedValue = hasOdds
+    ? (levels.reduce(
+      (total, level) => total + BigInt(level.winAmount) * BigInt(level.winPercentage),
+      0n
+    ) / BigInt(WIN_PERCENTAGE_DENOMINATOR)).toString()
+    : undefined;
+
+  if (winAmount === undefined || levels.length === 0) return;
+
+  const matches = levels
+    .map((level, index) => index)
+    .filter(index => levels[index].winAmount === winAmount);
+  const hit = matches.find(index => levels[index].rollNumber === rollResult) ?? matches[0];
+
+  if (hit !== undefined) {
+    mintingDetails.hitLevel = hit;
+  } else if (winAmount === '0') {
+    mintingDetails.hitLevel = -1;
+  } else {
+    mintingDetails.hitLevel = undefined;
+    if (!mintingDetails.anomalies.some(anomaly => anomaly.type === 'unknown_win_level')) {
+      flagTicketAnomaly(ctx, mintingDetails, 'unknown_win_level', `Win amount ${winAmount} matches none of the levels`);
+    }
+  }
+
+  mintingDetails.payoutDelta = mintingDetails.expectedValue !== undefined
+    ? (BigInt(payout ?? winAmount) - BigInt(mintingDetails.expectedValue)).toString()
+    : undefined;
+}
+
+// Helper function to save a ticket and broadcast the change to subscribers of
+// the ticket and of every wallet involved with it
+async function saveTicket(ctx, mintingDetails, addresses = []) {
+  await saveMintingDetails(ctx, mintingDetails);
+
+  const { tokenId, status, minter, winner } = mintingDetails;
+  const topics = new Set([`token:${tokenId}`]);
+  if (status === 'minted') topics.add('mints');
+  for (const address of [minter, winner, ...addresses]) {
+    if (address) topics.add(`address:${address}`);
+  }
+
+  // Broadcast the update
+  ctx.broadcasts.push({
+    type: 'MINTING_DETAILS_UPDATED',
+    data: { tokenId, status, pending: ctx.pending, ticket: mintingDetails.toJSON() },
+    topics: [...topics]
+  });
+}
+
+// The mint transaction's value is split evenly across the tickets it minted.
+// Unknown when the payload has no native transaction or the mint was paid in tokens.
+function getMintPrice(ctx, topic0) {
+  const value = ctx.transaction?.value;
+  if (!value || value === '0') return undefined;
+
+  const mints = ctx.transactionEvents.filter(event => (
+    event.kind === 'log' && event.item.topic0?.toLowerCase() === topic0
+  )).length;
+
+  return (BigInt(value) / BigInt(Math.max(mints, 1))).toString();
+}
+
+// TicketMinted: store the ticket's levels
+async function handleTicketMinted(ctx, args, { topic0 }) {
+  const tokenId = args.tokenId.toString();
+  const levels = args.levels;
+  console.log(`Ticket Minted Event: Token ${tokenId} with ${levels.length} levels`);
+  
+  const mintingDetails = await findOrCreateMintingDetails(ctx, tokenId);
+
+  // The minting details belong to the mint transaction, even if a later event
+  // for the ticket happened to be recorded first
+  mintingDetails.transactionHash = ctx.transactionHash;
+  mintingDetails.timestamp = getBlockTimestamp(ctx.block);
+  mintingDetails.isETHVersion = args.isETHVersion;
+  mintingDetails.minter = args.to.toLowerCase();
+  mintingDetails.mintPrice = getMintPrice(ctx, topic0);
+
+  // Set all level data, replacing any from an earlier application of the mint
+  mintingDetails.levels = levels.map(level => ({
+    winAmount: level.winAmount.toString(),
+    rollNumber: level.rollNumber.toNumber(),
+    winPercentage: level.winPercentage.toNumber()
+  }));
+
+  advanceTicketStatus(ctx, mintingDetails, 'minted');
+  applyTicketOdds(ctx, mintingDetails);
+  await saveTicket(ctx, mintingDetails);
+  queueNotification(ctx, 'ticket.minted', {
+    tokenId,
+    minter: mintingDetails.minter,
+    isETHVersion: mintingDetails.isETHVersion,
+    mintPrice: mintingDetails.mintPrice,
+    levels: mintingDetails.levels.map(({ rollNumber, winAmount }) => ({ rollNumber, winAmount }))
+  });
+  console.log('Saved minting details:', mintingDetails);
+}
+
+// TicketOpeningInitiated: record who opened the ticket
+async function handleTicketOpeningInitiated(ctx, args, { tokenType, logIndex }) {
+  const tokenId = args.tokenId.toString();
+  const opener = args.opener.toLowerCase();
+  console.log(`Opening Event: Token ${tokenId} by ${opener}`);
+  await createOpening(ctx, {
+    tokenId,
+    opener,
+    transactionHash: ctx.transactionHash,
+    logIndex,
+    tokenType,
+    timestamp: getBlockTimestamp(ctx.block)
+  });
+
+  const mintingDetails = await findOrCreateMintingDetails(ctx, tokenId);
+  advanceTicketStatus(ctx, mintingDetails, 'opening');
+  await saveTicket(ctx, mintingDetails, [opener]);
+}
+
+// TicketResolved: store the roll result and win amount
+async function handleTicketResolved(ctx, args) {
+  const tokenId = args.tokenId.toString();
+  const winAmount = args.winAmount.toString();
+  const rollResult = args.rollResult.toNumber();
+  console.log(`TicketResolved Event: Token ${tokenId} Roll ${rollResult} Amount ${winAmount}`);
+
+  const mintingDetails = await findOrCreateMintingDetails(ctx, tokenId);
+  mintingDetails.rollResult = rollResult;
+  mintingDetails.winAmount = winAmount;
+  mintingDetails.payout = winAmount;
+  mintingDetails.resolvedTransactionHash = ctx.transactionHash;
+
+  advanceTicketStatus(ctx, mintingDetails, 'resolved');
+  applyTicketOdds(ctx, mintingDetails);
+  await saveTicket(ctx, mintingDetails);
+  queueNotification(ctx, 'ticket.resolved', { tokenId, rollResult, winAmount, minter: mintingDetails.minter });
+}
+
+// RewardPaid: store the amount paid out, keeping the roll result
+async function handleRewardPaid(ctx, args) {
+  const tokenId = args.tokenId.toString();
+  const amount = args.amount.toString();
+  console.log(`RewardPaid Event: Token ${tokenId} Amount ${amount}`);
+
+  const mintingDetails = await findOrCreateMintingDetails(ctx, tokenId);
+
+  if (mintingDetails.winAmount !== undefined && mintingDetails.winAmount !== amount) {
+    flagTicketAnomaly(
+      ctx,
+      mintingDetails,
+      'payout_mismatch',
+      `Paid ${amount} but resolved win amount was ${mintingDetails.winAmount}`
+    );
+  }
+
+  mintingDetails.payout = amount;
+  mintingDetails.winner = args.winner.toLowerCase();
+  mintingDetails.paidAt = getBlockTimestamp(ctx.block);
+  mintingDetails.paidTransactionHash = ctx.transactionHash;
+
+  advanceTicketStatus(ctx, mintingDetails, 'paid');
+  applyTicketOdds(ctx, mintingDetails);
+  await saveTicket(ctx, mintingDetails);
+  queueNotification(ctx, 'reward.paid', { tokenId, winner: mintingDetails.winner, amount });
+}
+
+module.exports = {
+  TICKET_STATUSES,
+  TICKET_TRANSITIONS,
+  findOrCreateMintingDetails,
+  flagTicketAnomaly,
+  advanceTicketStatus,
+  WIN_PERCENTAGE_DENOMINATOR,
+  applyTicketOdds,
+  saveTicket,
+  getMintPrice,
+  handleTicketMinted,
+  handleTicketOpeningInitiated,
+  handleTicketResolved,
+  handleRewardPaid
+};
@@ -0,0 +1,84 @@
+const { ERC721Holding, ERC404NFT } = require('../models');
+const {
+  ZERO_ADDRESS,
+  setHoldingOwner,
+  hasLaterTransfer,
+  recordTransfer,
+  updateERC404FungibleBalance
+} = require('../journal');
+
+// Apply an NFT transfer (both ERC721 and ERC404). Returns true if it was ours.
+async function applyNftTransfer(ctx, transfer) {
+  const { contract, tokenId, from, to } = transfer;
+  
+  if (!contract || !tokenId || !from || !to) {
+    console.log('Invalid transfer data:', transfer);
+    return false;
+  }
+
+  // Skip if we've already processed this token ID in this transaction
+  const tokenKey = `${ctx.deployment.address}:${tokenId}`;
+  if (ctx.processedTokenIds.has(tokenKey)) {
+    console.log(`Skipping duplicate token ID: ${tokenId}`);
+    return false;
+  }
+
+  const tokenType = ctx.deployment.standard;
+  const logIndex = Number(transfer.logIndex);
+  // Transfers to the zero address are burns and leave no holding behind
+  const owner = to.toLowerCase() === ZERO_ADDRESS ? null : to.toLowerCase();
+
+  if (await hasLaterTransfer(ctx, String(tokenId), logIndex)) {
+    // A later transfer of the token is already applied (a late delivery or a
+    // reprocessed transaction), so the holding already has its current owner
+    console.log(`Token ${tokenId} has a later transfer, only recording this one`);
+  } else if (tokenType === 'ERC721') {
+    console.log(`ERC721 Transfer: Token ${tokenId} from ${from} to ${to}`);
+    // Handle ERC721 transfer
+    await setHoldingOwner(ctx, ERC721Holding, tokenId, owner);
+  } else if (tokenType === 'ERC404') {
+    console.log(`ERC404 NFT Transfer: Token ${tokenId} from ${from} to ${to}`);
+    // Handle ERC404 NFT transfer
+    await setHoldingOwner(ctx, ERC404NFT, tokenId, owner);
+  } else {
+    return false;
+  }
+
+  if (tokenType === 'ERC404') {
+    // Mark this token ID as processed
+    ctx.processedTokenIds.add(tokenKey);
+  }
+
+  await recordTransfer(ctx, { kind: 'nft', tokenId: String(tokenId), from, to, logIndex });
+  return true;
+}
+
+// Apply an ERC20 transfer (for ERC404 fungible). Returns true if it was ours.
+async function applyErc20Transfer(ctx, transfer) {
+  const { contract, from, to, value } = transfer;
+  
+  if (!contract || !from || !to || !value) {
+    console.log('Invalid transfer data:', transfer);
+    return false;
+  }
+
+  // Only process if it's one of our ERC404 contracts
+  if (ctx.deployment.standard !== 'ERC404') return false;
+
+  console.log(`ERC404 Fungible Transfer: ${value} from ${from} to ${to}`);
+  // Mints come from and burns go to the zero address, which holds nothing
+  if (from.toLowerCase() !== ZERO_ADDRESS) {
+    await updateERC404FungibleBalance(ctx, from.toLowerCase(), value, false);
+  }
+  if (to.toLowerCase() !== ZERO_ADDRESS) {
+    await updateERC404FungibleBalance(ctx, to.toLowerCase(), value, true);
+  }
+
+  await recordTransfer(ctx, { kind: 'fungible', amount: String(value), from, to, logIndex: Number(transfer.logIndex) });
+  return true;
+}
+
+module.exports = {
+  applyNftTransfer,
+  applyErc20Transfer
+};
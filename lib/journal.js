@@ -0,0 +1,451 @@
+const mongoose = require('mongoose');
+const {
+  ERC404Fungible,
+  BalanceSnapshot,
+  Transfer,
+  MintingDetails,
+  Opening,
+  PoolBalance,
+  PoolEvent,
+  ProcessedTransaction
+} = require('./models');
+
+// Every change applied for a transaction is recorded in ctx.journal, so a
+// pending transaction can later be promoted once confirmed or reverted.
+
+const ZERO_ADDRESS = '0x0000000000000000000000000000000000000000';
+
+// Block timestamps arrive as unix seconds from Streams and as ISO strings from
+// the EVM API
+function getBlockTimestamp(block) {
+  if (!block || !block.timestamp) return new Date();
+  if (/^\d+$/.test(String(block.timestamp))) return new Date(Number(block.timestamp) * 1000);
+  return new Date(block.timestamp);
+}
+
+// Wallets touched by a journal, used to address transaction broadcasts
+function getJournalAddresses(journal) {
+  const addresses = new Set();
+
+  for (const entry of journal) {
+    if (entry.address) addresses.add(entry.address);
+    if (entry.owner) addresses.add(entry.owner);
+    if (entry.previousOwner) addresses.add(entry.previousOwner);
+  }
+
+  return [...addresses];
+}
+
+// Broadcast topics for a transaction state change
+function getTransactionTopics(journal) {
+  return ['transactions', ...getJournalAddresses(journal).map(address => `address:${address}`)];
+}
+
+// Chain and contract of the deployment an event belongs to, used to tag and
+// look up documents
+function getDeploymentKey(ctx) {
+  return { chainId: ctx.chainId, contract: ctx.deployment.address };
+}
+
+// Queue an outbound webhook event for the log being applied
+function queueNotification(ctx, event, data) {
+  ctx.notifications.push({
+    event,
+    data: {
+      ...getDeploymentKey(ctx),
+      ...data,
+      transactionHash: ctx.transactionHash,
+      blockNumber: ctx.block?.number !== undefined ? Number(ctx.block.number) : undefined,
+      pending: ctx.pending
+    }
+  });
+}
+
+// Add delta (wei, may be negative) to a fungible balance in a single atomic
+// update, creating the balance if needed, and return the updated document
+function incrementFungibleBalance(filter, delta, fields, session) {
+  return ERC404Fungible.findOneAndUpdate(
+    filter,
+    [
+      {
+        $set: {
+          ...fields,
+          balanceValue: {
+            $add: [
+              { $ifNull: ['$balanceValue', { $toDecimal: { $ifNull: ['$balance', '0'] } }] },
+              mongoose.Types.Decimal128.fromString(delta.toString())
+            ]
+          }
+        }
+      },
+      { $set: { balance: { $toString: '$balanceValue' } } }
+    ],
+    { upsert: true, new: true, session }
+  );
+}
+
+// Add delta to the snapshot of a block and every later snapshot, creating the
+// block's snapshot from the one before it if needed, so changes applied out of
+// block order still leave every snapshot correct
+async function applySnapshotDelta(filter, blockNumber, delta, pending, session) {
+  const value = mongoose.Types.Decimal128.fromString(delta.toString());
+
+  await BalanceSnapshot.updateMany(
+    { ...filter, blockNumber: { $gte: blockNumber } },
+    [
+      { $set: { balanceValue: { $add: ['$balanceValue', value] } } },
+      { $set: { balance: { $toString: '$balanceValue' } } }
+    ],
+    { session }
+  );
+
+  if (await BalanceSnapshot.exists({ ...filter, blockNumber }).session(session)) {
+    if (pending) {
+      await BalanceSnapshot.updateOne({ ...filter, blockNumber }, { pending }, { session });
+    }
+    return;
+  }
+
+  const previous = await BalanceSnapshot.findOne({ ...filter, blockNumber: { $lt: blockNumber } })
+    .sort({ blockNumber: -1 })
+    .session(session);
+  const balance = (BigInt(previous ? previous.balance : '0') + BigInt(delta)).toString();
+
+  await BalanceSnapshot.create([{
+    ...filter,
+    blockNumber,
+    balance,
+    balanceValue: mongoose.Types.Decimal128.fromString(balance),
+    pending
+  }], { session });
+}
+
+// Helper function to update ERC404 fungible balance
+async function updateERC404FungibleBalance(ctx, address, amount, isAddition) {
+  const key = getDeploymentKey(ctx);
+  const delta = isAddition ? BigInt(amount) : -BigInt(amount);
+  const blockNumber = ctx.block?.number !== undefined ? Number(ctx.block.number) : undefined;
+
+  const balance = await incrementFungibleBalance({ ...key, address }, delta, { pending: ctx.pending }, ctx.session);
+
+  // Never clamp: the balance must stay consistent with the journal so the
+  // change can be reverted. Flag it so the gap can be investigated.
+  if (BigInt(balance.balance) < 0n) {
+    console.error(`Negative ERC404 balance for ${address}: ${balance.balance}`);
+    await ERC404Fungible.updateOne(
+      { _id: balance._id },
+      {
+        $push: {
+          anomalies: {
+            type: 'negative_balance',
+            message: `Balance went to ${balance.balance}`,
+            transactionHash: ctx.transactionHash,
+            detectedAt: new Date()
+          }
+        }
+      },
+      { session: ctx.session }
+    );
+  }
+
+  if (blockNumber !== undefined) {
+    await applySnapshotDelta({ ...key, address }, blockNumber, delta, ctx.pending, ctx.session);
+  }
+
+  ctx.changedAddresses.add(address);
+
+  ctx.journal.push({
+    op: 'fungible',
+    ...key,
+    address,
+    blockNumber,
+    delta: delta.toString()
+  });
+}
+
+// Helper function to move an ERC721/ERC404 NFT holding to a new owner. A
+// null owner means the token was burned and the holding is removed.
+async function setHoldingOwner(ctx, Model, tokenId, owner) {
+  const key = getDeploymentKey(ctx);
+  const existing = await Model.findOne({ ...key, tokenId }).session(ctx.session);
+
+  if (owner) {
+    await Model.findOneAndUpdate(
+      { ...key, tokenId },
+      { owner, pending: ctx.pending },
+      { upsert: true, session: ctx.session }
+    );
+    ctx.changedAddresses.add(owner);
+  } else if (existing) {
+    await existing.deleteOne({ session: ctx.session });
+  }
+
+  if (existing) ctx.changedAddresses.add(existing.owner);
+
+  ctx.journal.push({
+    op: 'holding',
+    model: Model.modelName,
+    ...key,
+    tokenId,
+    owner,
+    previousOwner: existing ? existing.owner : null,
+    previousPending: existing ? existing.pending : false
+  });
+}
+
+// Helper function to check whether the ledger has a transfer of the token
+// after the given position in the chain
+async function hasLaterTransfer(ctx, tokenId, logIndex) {
+  const blockNumber = Number(ctx.block?.number);
+  if (!Number.isInteger(blockNumber)) return false;
+
+  return Boolean(await Transfer.exists({
+    ...getDeploymentKey(ctx),
+    kind: 'nft',
+    tokenId,
+    $or: [
+      { blockNumber: { $gt: blockNumber } },
+      { blockNumber, logIndex: { $gt: logIndex } }
+    ]
+  }).session(ctx.session));
+}
+
+// Helper function to build a ledger entry for a transfer
+function buildTransfer(ctx, fields) {
+  const from = fields.from.toLowerCase();
+  const to = fields.to.toLowerCase();
+  let type = 'transfer';
+  if (fields.type) type = fields.type;
+  else if (from === ZERO_ADDRESS) type = 'mint';
+  else if (to === ZERO_ADDRESS) type = 'burn';
+
+  return {
+    ...getDeploymentKey(ctx),
+    ...fields,
+    standard: ctx.deployment.standard,
+    type,
+    from,
+    to,
+    blockNumber: ctx.block?.number !== undefined ? Number(ctx.block.number) : undefined,
+    transactionHash: ctx.transactionHash,
+    timestamp: getBlockTimestamp(ctx.block),
+    pending: Boolean(ctx.pending)
+  };
+}
+
+// Helper function to append a transfer to the ledger
+async function recordTransfer(ctx, fields) {
+  const [transfer] = await Transfer.create([buildTransfer(ctx, fields)], { session: ctx.session });
+  ctx.journal.push({ op: 'create', model: 'Transfer', id: transfer._id });
+}
+
+// Helper function to save minting details, remembering the previous version
+async function saveMintingDetails(ctx, mintingDetails) {
+  const previous = mintingDetails.isNew
+    ? null
+    : await MintingDetails.findById(mintingDetails._id).session(ctx.session).lean();
+
+  mintingDetails.pending = ctx.pending;
+  await mintingDetails.save({ session: ctx.session });
+
+  ctx.journal.push({
+    op: 'update',
+    model: 'MintingDetails',
+    id: mintingDetails._id,
+    before: previous
+  });
+}
+
+// Helper function to create an opening record
+async function createOpening(ctx, fields) {
+  const [opening] = await Opening.create(
+    [{ ...getDeploymentKey(ctx), ...fields, pending: ctx.pending }],
+    { session: ctx.session }
+  );
+  ctx.journal.push({ op: 'create', model: 'Opening', id: opening._id });
+}
+
+// Helper function to apply a deposit or withdrawal to the running pool balance
+async function updatePoolBalance(ctx, deposited, withdrawn) {
+  const { chainId, contract } = getDeploymentKey(ctx);
+  let pool = await PoolBalance.findOne({ chainId, contract }).session(ctx.session);
+
+  if (!pool) {
+    pool = new PoolBalance({ chainId, contract });
+  }
+
+  pool.totalDeposited = (BigInt(pool.totalDeposited) + deposited).toString();
+  pool.totalWithdrawn = (BigInt(pool.totalWithdrawn) + withdrawn).toString();
+  pool.balance = (BigInt(pool.totalDeposited) - BigInt(pool.totalWithdrawn)).toString();
+  pool.updatedAt = new Date();
+  pool.pending = ctx.pending;
+
+  await pool.save({ session: ctx.session });
+
+  ctx.journal.push({
+    op: 'pool',
+    chainId,
+    contract,
+    deposited: deposited.toString(),
+    withdrawn: withdrawn.toString()
+  });
+
+  return pool;
+}
+
+// Helper function to create a pool event record
+async function createPoolEvent(ctx, fields) {
+  const [poolEvent] = await PoolEvent.create([{ ...fields, pending: ctx.pending }], { session: ctx.session });
+  ctx.journal.push({ op: 'create', model: 'PoolEvent', id: poolEvent._id });
+}
+
+// Clear the pending flag on everything a transaction touched
+async function promoteJournal(ctx, journal) {
+  const { session } = ctx;
+
+  for (const entry of journal) {
+    if (entry.op === 'fungible') {
+      await ERC404Fungible.updateOne(
+        { chainId: entry.chainId, contract: entry.contract, address: entry.address },
+        { pending: false },
+        { session }
+      );
+      if (entry.blockNumber !== undefined) {
+        await BalanceSnapshot.updateOne(
+          { chainId: entry.chainId, contract: entry.contract, address: entry.address, blockNumber: entry.blockNumber },
+          { pending: false },
+          { session }
+        );
+      }
+    } else if (entry.op === 'pool') {
+      await PoolBalance.updateOne({ chainId: entry.chainId, contract: entry.contract }, { pending: false }, { session });
+    } else if (entry.op === 'holding' && entry.owner) {
+      await mongoose.model(entry.model).updateOne(
+        { chainId: entry.chainId, contract: entry.contract, tokenId: entry.tokenId, owner: entry.owner },
+        { pending: false },
+        { session }
+      );
+    } else if (entry.op === 'update' || entry.op === 'create') {
+      await mongoose.model(entry.model).updateOne({ _id: entry.id }, { pending: false }, { session });
+    }
+  }
+}
+
+// Find the transactions processed after processedTransaction that changed a
+// document it changed too: the same minting details or record, holding,
+// fungible balance or pool. Reverting it would also wipe or skew what those
+// later transactions did. Newest first, the order they can be rolled back in.
+async function findJournalConflicts(ctx, processedTransaction) {
+  const matches = new Map();
+  const ids = [];
+
+  for (const entry of processedTransaction.journal) {
+    const { chainId, contract } = entry;
+    let match = null;
+    if (entry.op === 'update' || entry.op === 'create') {
+      ids.push(entry.id);
+    } else if (entry.op === 'holding') {
+      match = { op: 'holding', model: entry.model, chainId, contract, tokenId: entry.tokenId };
+    } else if (entry.op === 'fungible') {
+      match = { op: 'fungible', chainId, contract, address: entry.address };
+    } else if (entry.op === 'pool') {
+      match = { op: 'pool', chainId, contract };
+    }
+    if (match) matches.set(JSON.stringify(match), match);
+  }
+  if (ids.length > 0) matches.set('update', { op: 'update', id: { $in: ids } });
+  if (matches.size === 0) return [];
+
+  return ProcessedTransaction.find({
+    chainId: processedTransaction.chainId,
+    _id: { $gt: processedTransaction._id },
+    status: { $ne: 'rolled_back' },
+    $or: [...matches.values()].map(match => ({ journal: { $elemMatch: match } }))
+  }).sort({ _id: -1 }).select('transactionHash status').session(ctx.session).lean();
+}
+
+// Undo everything a transaction touched, newest change first. Check
+// findJournalConflicts first: 'update' entries put back the document as it was.
+async function revertJournal(ctx, journal) {
+  const { session } = ctx;
+
+  for (const address of getJournalAddresses(journal)) {
+    ctx.changedAddresses.add(address);
+  }
+
+  for (const entry of [...journal].reverse()) {
+    if (entry.op === 'fungible') {
+      const filter = { chainId: entry.chainId, contract: entry.contract, address: entry.address };
+      const delta = -BigInt(entry.delta);
+
+      if (await ERC404Fungible.exists(filter).session(session)) {
+        await incrementFungibleBalance(filter, delta, { pending: false }, session);
+      }
+
+      // Every snapshot from the transaction's block on included the change
+      if (entry.blockNumber !== undefined) {
+        await applySnapshotDelta(filter, entry.blockNumber, delta, false, session);
+      }
+    } else if (entry.op === 'pool') {
+      const pool = await PoolBalance.findOne({ chainId: entry.chainId, contract: entry.contract }).session(session);
+      if (pool) {
+        pool.totalDeposited = (BigInt(pool.totalDeposited) - BigInt(entry.deposited)).toString();
+        pool.totalWithdrawn = (BigInt(pool.totalWithdrawn) - BigInt(entry.withdrawn)).toString();
+        pool.balance = (BigInt(pool.totalDeposited) - BigInt(pool.totalWithdrawn)).toString();
+        pool.pending = false;
+        await pool.save({ session });
+      }
+    } else if (entry.op === 'holding') {
+      const Model = mongoose.model(entry.model);
+      // Only restore if nothing else has moved the token since
+      const current = await Model.findOne({
+        chainId: entry.chainId,
+        contract: entry.contract,
+        tokenId: entry.tokenId
+      }).session(session);
+      if ((current ? current.owner : null) !== (entry.owner || null)) continue;
+
+      if (entry.previousOwner) {
+        await Model.updateOne(
+          { chainId: entry.chainId, contract: entry.contract, tokenId: entry.tokenId },
+          { owner: entry.previousOwner, pending: entry.previousPending },
+          { upsert: true, session }
+        );
+      } else if (current) {
+        await current.deleteOne({ session });
+      }
+    } else if (entry.op === 'update') {
+      const Model = mongoose.model(entry.model);
+      if (entry.before) {
+        await Model.replaceOne({ _id: entry.id }, entry.before, { session });
+      } else {
+        await Model.deleteOne({ _id: entry.id }, { session });
+      }
+    } else if (entry.op === 'create') {
+      await mongoose.model(entry.model).deleteOne({ _id: entry.id }, { session });
+    }
+  }
+}
+
+module.exports = {
+  ZERO_ADDRESS,
+  getBlockTimestamp,
+  getJournalAddresses,
+  getTransactionTopics,
+  getDeploymentKey,
+  queueNotification,
+  incrementFungibleBalance,
+  applySnapshotDelta,
+  updateERC404FungibleBalance,
+  setHoldingOwner,
+  hasLaterTransfer,
+  buildTransfer,
+  recordTransfer,
+  saveMintingDetails,
+  createOpening,
+  updatePoolBalance,
+  createPoolEvent,
+  promoteJournal,
+  findJournalConflicts,
+  revertJournal
+};
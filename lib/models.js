@@ -0,0 +1,510 @@
+const mongoose = require('mongoose');
+
+// Every token document is tagged with the chain and contract of the
+// deployment it belongs to
+
+// ERC404 Fungible Balance Schema. balanceValue is the numeric balance that
+// updates are applied to atomically; balance is its string form for the API.
+const erc404FungibleSchema = new mongoose.Schema({
+  chainId: { type: String, required: true },
+  contract: { type: String, required: true },
+  address: { type: String, required: true },
+  balance: { type: String, default: '0' },
+  balanceValue: { type: mongoose.Schema.Types.Decimal128, default: () => mongoose.Types.Decimal128.fromString('0') },
+  // A balance that went below zero means we missed or misapplied a transfer
+  anomalies: [{
+    _id: false,
+    type: { type: String, required: true },
+    message: { type: String },
+    transactionHash: { type: String },
+    detectedAt: { type: Date, default: Date.now }
+  }],
+  pending: { type: Boolean, default: false }
+});
+
+erc404FungibleSchema.index({ chainId: 1, contract: 1, address: 1 }, { unique: true });
+erc404FungibleSchema.index({ address: 1 });
+erc404FungibleSchema.index({ chainId: 1, contract: 1, balanceValue: -1 });
+
+// Balance Snapshot Schema, an ERC404 fungible balance as of the end of a block.
+// Only blocks where the balance changed are stored.
+const balanceSnapshotSchema = new mongoose.Schema({
+  chainId: { type: String, required: true },
+  contract: { type: String, required: true },
+  address: { type: String, required: true },
+  blockNumber: { type: Number, required: true },
+  balance: { type: String, required: true },
+  balanceValue: { type: mongoose.Schema.Types.Decimal128, required: true },
+  pending: { type: Boolean, default: false }
+});
+
+balanceSnapshotSchema.index({ chainId: 1, contract: 1, address: 1, blockNumber: -1 }, { unique: true });
+balanceSnapshotSchema.index({ chainId: 1, contract: 1, blockNumber: -1 });
+
+// ERC404 NFT Holdings Schema
+const erc404NFTSchema = new mongoose.Schema({
+  chainId: { type: String, required: true },
+  contract: { type: String, required: true },
+  tokenId: { type: String, required: true },
+  owner: { type: String, required: true },
+  pending: { type: Boolean, default: false }
+});
+
+erc404NFTSchema.index({ chainId: 1, contract: 1, tokenId: 1 }, { unique: true });
+erc404NFTSchema.index({ owner: 1 });
+
+// ERC721 Holdings Schema
+const erc721HoldingsSchema = new mongoose.Schema({
+  chainId: { type: String, required: true },
+  contract: { type: String, required: true },
+  tokenId: { type: String, required: true },
+  owner: { type: String, required: true },
+  pending: { type: Boolean, default: false }
+});
+
+erc721HoldingsSchema.index({ chainId: 1, contract: 1, tokenId: 1 }, { unique: true });
+erc721HoldingsSchema.index({ owner: 1 });
+
+// Transfer Schema, the append-only ledger of every NFT and fungible transfer.
+// Entries are only removed when their transaction is rolled back.
+const transferSchema = new mongoose.Schema({
+  chainId: { type: String, required: true },
+  contract: { type: String, required: true },
+  standard: { type: String, enum: ['ERC721', 'ERC404'], required: true },
+  kind: { type: String, enum: ['nft', 'fungible'], required: true },
+  // 'reconcile' entries are corrections made by a reconciliation repair
+  type: { type: String, enum: ['mint', 'transfer', 'burn', 'reconcile'], required: true },
+  tokenId: { type: String },
+  amount: { type: String },
+  from: { type: String, required: true },
+  to: { type: String, required: true },
+  blockNumber: { type: Number },
+  logIndex: { type: Number, required: true },
+  transactionHash: { type: String, required: true },
+  timestamp: { type: Date, required: true },
+  pending: { type: Boolean, default: false }
+});
+
+transferSchema.index({ chainId: 1, transactionHash: 1, logIndex: 1 }, { unique: true });
+transferSchema.index({ chainId: 1, contract: 1, tokenId: 1, blockNumber: -1, logIndex: -1 });
+transferSchema.index({ from: 1, timestamp: -1 });
+transferSchema.index({ to: 1, timestamp: -1 });
+
+const ERC404Fungible = mongoose.model('ERC404Fungible', erc404FungibleSchema);
+const Transfer = mongoose.model('Transfer', transferSchema);
+const BalanceSnapshot = mongoose.model('BalanceSnapshot', balanceSnapshotSchema);
+const ERC404NFT = mongoose.model('ERC404NFT', erc404NFTSchema);
+const ERC721Holding = mongoose.model('ERC721Holding', erc721HoldingsSchema);
+
+// Transaction Schema to track processed transactions
+// Unconfirmed deliveries are applied as 'pending' and carry a journal of the
+// changes they made so they can be undone if the confirmed delivery never arrives.
+// 'rollback_blocked' ones could not be undone because a confirmed transaction
+// built on them, and are left for an operator.
+const transactionSchema = new mongoose.Schema({
+  chainId: { type: String, required: true },
+  transactionHash: { type: String, required: true },
+  status: { type: String, enum: ['pending', 'confirmed', 'rolled_back', 'rollback_blocked'], default: 'pending' },
+  blockNumber: { type: Number },
+  blockHash: { type: String },
+  journal: { type: [mongoose.Schema.Types.Mixed], default: [] },
+  processedAt: { type: Date, default: Date.now },
+  confirmedAt: { type: Date },
+  rolledBackAt: { type: Date },
+  rollbackReason: { type: String }
+});
+
+transactionSchema.index({ chainId: 1, transactionHash: 1 }, { unique: true });
+transactionSchema.index({ status: 1, processedAt: 1 });
+transactionSchema.index({ chainId: 1, blockNumber: 1, status: 1 });
+
+const ProcessedTransaction = mongoose.model('ProcessedTransaction', transactionSchema);
+
+// Processed Event Schema, one marker per applied log so redeliveries are idempotent
+const processedEventSchema = new mongoose.Schema({
+  chainId: { type: String, required: true },
+  transactionHash: { type: String, required: true },
+  logIndex: { type: Number, required: true },
+  processedAt: { type: Date, default: Date.now }
+});
+
+processedEventSchema.index({ chainId: 1, transactionHash: 1, logIndex: 1 }, { unique: true });
+
+const ProcessedEvent = mongoose.model('ProcessedEvent', processedEventSchema);
+
+// Dead Letter Schema for logs that could not be decoded, and for transactions
+// that could not be rolled back (those have no logIndex)
+const deadLetterLogSchema = new mongoose.Schema({
+  chainId: { type: String, required: true },
+  transactionHash: { type: String, required: true },
+  logIndex: { type: Number },
+  address: { type: String },
+  topic0: { type: String },
+  topic1: { type: String },
+  topic2: { type: String },
+  topic3: { type: String },
+  data: { type: String },
+  blockNumber: { type: Number },
+  reason: { type: String, enum: ['unknown_topic', 'decode_error', 'rollback_conflict'], required: true },
+  error: { type: String },
+  receivedAt: { type: Date, default: Date.now }
+});
+
+deadLetterLogSchema.index({ chainId: 1, transactionHash: 1, logIndex: 1 }, { unique: true });
+
+const DeadLetterLog = mongoose.model('DeadLetterLog', deadLetterLogSchema);
+
+// Admin Audit Log Schema, one document per admin request, including refused ones
+const adminAuditLogSchema = new mongoose.Schema({
+  actor: { type: String },
+  role: { type: String },
+  action: { type: String, required: true },
+  params: { type: mongoose.Schema.Types.Mixed },
+  query: { type: mongoose.Schema.Types.Mixed },
+  body: { type: mongoose.Schema.Types.Mixed },
+  status: { type: Number, required: true },
+  ip: { type: String },
+  createdAt: { type: Date, default: Date.now }
+});
+
+adminAuditLogSchema.index({ createdAt: -1 });
+adminAuditLogSchema.index({ actor: 1, createdAt: -1 });
+
+const AdminAuditLog = mongoose.model('AdminAuditLog', adminAuditLogSchema);
+
+// Ingestion Stat Schema, webhook delivery counters per chain and hour
+const ingestionStatSchema = new mongoose.Schema({
+  chainId: { type: String, required: true },
+  hour: { type: Date, required: true },
+  deliveries: { type: Number, default: 0 },
+  confirmedDeliveries: { type: Number, default: 0 },
+  events: { type: Number, default: 0 },
+  transactions: { type: Number, default: 0 },
+  failures: { type: Number, default: 0 },
+  quarantined: { type: Number, default: 0 },
+  rejectedSignatures: { type: Number, default: 0 },
+  processingMs: { type: Number, default: 0 },
+  lastDeliveryAt: { type: Date },
+  lastBlockNumber: { type: Number }
+});
+
+ingestionStatSchema.index({ chainId: 1, hour: 1 }, { unique: true });
+ingestionStatSchema.index({ hour: -1 });
+
+const IngestionStat = mongoose.model('IngestionStat', ingestionStatSchema);
+
+// Ingestion Job Schema, a webhook payload waiting to be applied. Payloads are
+// stored as received and applied by the queue worker in block order per chain;
+// one that keeps failing is quarantined until it is replayed. Backfills are
+// queued the same way: a backfill job's payload holds its block range, and its
+// blockNumber is the next block to read history from.
+const ingestionJobSchema = new mongoose.Schema({
+  chainId: { type: String, required: true },
+  // 'webhook' for Moralis Streams deliveries, 'rpc' for the JSON-RPC indexer,
+  // 'backfill' for history from the Moralis EVM API
+  source: { type: String, enum: ['webhook', 'rpc', 'backfill'], default: 'webhook' },
+  kind: { type: String, enum: ['payload', 'backfill'], default: 'payload' },
+  blockNumber: { type: Number },
+  confirmed: { type: Boolean, default: false },
+  payload: { type: mongoose.Schema.Types.Mixed, required: true },
+  status: { type: String, enum: ['queued', 'done', 'quarantined'], default: 'queued' },
+  attempts: { type: Number, default: 0 },
+  nextAttemptAt: { type: Date, default: Date.now },
+  // Set while a worker is applying the job; an expired lock means the worker died
+  lockedUntil: { type: Date },
+  lastError: { type: String },
+  failures: [{
+    _id: false,
+    at: { type: Date },
+    error: { type: String }
+  }],
+  result: { type: mongoose.Schema.Types.Mixed },
+  receivedAt: { type: Date, default: Date.now },
+  processedAt: { type: Date },
+  quarantinedAt: { type: Date },
+  // Applied jobs are kept for a while for replays, then removed
+  expiresAt: { type: Date }
+});
+
+ingestionJobSchema.index({ chainId: 1, status: 1, blockNumber: 1, confirmed: 1, receivedAt: 1 });
+ingestionJobSchema.index({ status: 1, receivedAt: -1 });
+ingestionJobSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const IngestionJob = mongoose.model('IngestionJob', ingestionJobSchema);
+
+// Indexer Cursor Schema, the last block the JSON-RPC indexer has covered for
+// a contract. In verify mode it also counts logs missing from the database.
+const indexerCursorSchema = new mongoose.Schema({
+  chainId: { type: String, required: true },
+  contract: { type: String, required: true },
+  lastBlock: { type: Number, required: true },
+  checkedLogs: { type: Number, default: 0 },
+  missingLogs: { type: Number, default: 0 },
+  lastMissing: [{
+    _id: false,
+    transactionHash: { type: String },
+    logIndex: { type: Number },
+    blockNumber: { type: Number },
+    topic0: { type: String }
+  }],
+  lastError: { type: String },
+  updatedAt: { type: Date, default: Date.now }
+});
+
+indexerCursorSchema.index({ chainId: 1, contract: 1 }, { unique: true });
+
+const IndexerCursor = mongoose.model('IndexerCursor', indexerCursorSchema);
+
+// USD price of one whole unit of an asset ('native' or a token address) for
+// one hour, cached from the price source
+const priceQuoteSchema = new mongoose.Schema({
+  chainId: { type: String, required: true },
+  asset: { type: String, required: true },
+  hour: { type: Date, required: true },
+  usd: { type: Number, required: true },
+  source: { type: String, required: true },
+  fetchedAt: { type: Date, default: Date.now }
+});
+
+priceQuoteSchema.index({ chainId: 1, asset: 1, hour: 1 }, { unique: true });
+
+const PriceQuote = mongoose.model('PriceQuote', priceQuoteSchema);
+
+// Sign-In with Ethereum nonce, usable once before it expires
+const siweNonceSchema = new mongoose.Schema({
+  nonce: { type: String, required: true, unique: true },
+  used: { type: Boolean, default: false },
+  expiresAt: { type: Date, required: true }
+});
+
+siweNonceSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Wallet session created by a verified sign-in. Only a hash of the token is stored.
+const walletSessionSchema = new mongoose.Schema({
+  tokenHash: { type: String, required: true, unique: true },
+  address: { type: String, required: true },
+  chainId: { type: String },
+  createdAt: { type: Date, default: Date.now },
+  expiresAt: { type: Date, required: true }
+});
+
+walletSessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+walletSessionSchema.index({ address: 1 });
+
+// Private per-wallet settings, only readable and writable by the wallet itself.
+// notifications turns off the outbound webhook events about the wallet's
+// mints, wins and payouts; hiddenTickets are left out of its listings.
+const walletSettingsSchema = new mongoose.Schema({
+  address: { type: String, required: true, unique: true },
+  notifications: {
+    mints: { type: Boolean, default: true },
+    wins: { type: Boolean, default: true },
+    payouts: { type: Boolean, default: true }
+  },
+  hiddenTickets: [{
+    _id: false,
+    chainId: { type: String, required: true },
+    contract: { type: String, required: true },
+    tokenId: { type: String, required: true }
+  }],
+  updatedAt: { type: Date, default: Date.now }
+});
+
+const SiweNonce = mongoose.model('SiweNonce', siweNonceSchema);
+const WalletSession = mongoose.model('WalletSession', walletSessionSchema);
+const WalletSettings = mongoose.model('WalletSettings', walletSettingsSchema);
+
+// Outbound webhook endpoint registered by an integrator, with the events it
+// wants. minWinAmount (wei) limits ticket.resolved and reward.paid to big wins.
+const webhookEndpointSchema = new mongoose.Schema({
+  name: { type: String },
+  url: { type: String, required: true },
+  secret: { type: String, required: true, select: false },
+  events: { type: [String], required: true },
+  minWinAmount: { type: String },
+  chainId: { type: String },
+  contract: { type: String },
+  active: { type: Boolean, default: true },
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now }
+});
+
+// Delivery log, one entry per event per endpoint with its retry state
+const webhookDeliverySchema = new mongoose.Schema({
+  endpointId: { type: mongoose.Schema.Types.ObjectId, required: true },
+  event: { type: String, required: true },
+  payload: { type: mongoose.Schema.Types.Mixed, required: true },
+  status: { type: String, enum: ['pending', 'delivered', 'failed'], default: 'pending' },
+  attempts: { type: Number, default: 0 },
+  nextAttemptAt: { type: Date, default: Date.now },
+  lastAttemptAt: { type: Date },
+  responseStatus: { type: Number },
+  error: { type: String },
+  attemptLog: [{
+    _id: false,
+    at: { type: Date },
+    responseStatus: { type: Number },
+    error: { type: String },
+    durationMs: { type: Number }
+  }],
+  deliveredAt: { type: Date },
+  createdAt: { type: Date, default: Date.now }
+});
+
+webhookDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+webhookDeliverySchema.index({ endpointId: 1, createdAt: -1 });
+
+const WebhookEndpoint = mongoose.model('WebhookEndpoint', webhookEndpointSchema);
+const WebhookDelivery = mongoose.model('WebhookDelivery', webhookDeliverySchema);
+
+// Pool Event Schema, one document per PoolDeposited/PoolWithdrawn
+const poolEventSchema = new mongoose.Schema({
+  chainId: { type: String, required: true },
+  contract: { type: String, required: true },
+  type: { type: String, enum: ['deposit', 'withdrawal'], required: true },
+  account: { type: String, required: true },
+  amount: { type: String, required: true },
+  balanceAfter: { type: String, required: true },
+  blockNumber: { type: Number },
+  timestamp: { type: Date, default: Date.now },
+  transactionHash: { type: String, required: true },
+  logIndex: { type: Number, required: true },
+  pending: { type: Boolean, default: false }
+});
+
+poolEventSchema.index({ contract: 1, timestamp: 1 });
+poolEventSchema.index({ timestamp: 1 });
+poolEventSchema.index({ chainId: 1, transactionHash: 1, logIndex: 1 }, { unique: true });
+
+// Pool Balance Schema, the running prize pool balance per contract
+const poolBalanceSchema = new mongoose.Schema({
+  chainId: { type: String, required: true },
+  contract: { type: String, required: true },
+  balance: { type: String, default: '0' },
+  totalDeposited: { type: String, default: '0' },
+  totalWithdrawn: { type: String, default: '0' },
+  updatedAt: { type: Date, default: Date.now },
+  pending: { type: Boolean, default: false }
+});
+
+poolBalanceSchema.index({ chainId: 1, contract: 1 }, { unique: true });
+
+const PoolEvent = mongoose.model('PoolEvent', poolEventSchema);
+const PoolBalance = mongoose.model('PoolBalance', poolBalanceSchema);
+
+// Opening Schema
+const openingSchema = new mongoose.Schema({
+  chainId: { type: String, required: true },
+  contract: { type: String, required: true },
+  tokenId: { type: String, required: true },
+  timestamp: { type: Date, default: Date.now },
+  transactionHash: { type: String, required: true },
+  logIndex: { type: Number },
+  tokenType: { type: String, enum: ['ERC721', 'ERC404'], required: true },
+  opener: { type: String, required: true },
+  pending: { type: Boolean, default: false }
+});
+
+openingSchema.index({ opener: 1, timestamp: -1 });
+openingSchema.index({ chainId: 1, contract: 1, tokenId: 1, timestamp: -1 });
+openingSchema.index({ tokenId: 1, timestamp: -1 });
+openingSchema.index({ timestamp: -1 });
+
+// Minting Details Schema
+const mintingDetailsSchema = new mongoose.Schema({
+  chainId: { type: String, required: true },
+  contract: { type: String, required: true },
+  tokenId: { type: String, required: true },
+  levels: [{
+    winAmount: { type: String, required: true },
+    rollNumber: { type: Number, required: true },
+    // Advertised odds, out of WIN_PERCENTAGE_DENOMINATOR
+    winPercentage: { type: Number }
+  }],
+  rollResult: { type: Number },
+  winAmount: { type: String },
+  // Odds derived from the levels: the expected payout (wei), the index of the
+  // level the ticket resolved to (-1 when it won nothing) and how far the
+  // payout landed from the expected value
+  expectedValue: { type: String },
+  hitLevel: { type: Number },
+  payoutDelta: { type: String },
+  payout: { type: String },
+  payoutValue: { type: mongoose.Schema.Types.Decimal128 },
+  isETHVersion: { type: Boolean },
+  minter: { type: String },
+  mintPrice: { type: String },
+  winner: { type: String },
+  paidAt: { type: Date },
+  timestamp: { type: Date, default: Date.now },
+  transactionHash: { type: String, required: true },
+  resolvedTransactionHash: { type: String },
+  paidTransactionHash: { type: String },
+  status: { type: String, enum: ['minted', 'opening', 'resolved', 'paid'] },
+  history: [{
+    _id: false,
+    status: { type: String, required: true },
+    timestamp: { type: Date, required: true },
+    transactionHash: { type: String, required: true },
+    blockNumber: { type: Number }
+  }],
+  anomalies: [{
+    _id: false,
+    type: { type: String, required: true },
+    message: { type: String },
+    transactionHash: { type: String },
+    detectedAt: { type: Date, default: Date.now }
+  }],
+  pending: { type: Boolean, default: false }
+});
+
+// Numeric copy of payout so lists can sort and filter by amount. It is
+// internal and left out of API responses.
+mintingDetailsSchema.pre('save', function () {
+  this.payoutValue = this.payout || undefined;
+});
+
+mintingDetailsSchema.set('toJSON', {
+  transform: (doc, ret) => {
+    delete ret.payoutValue;
+    return ret;
+  }
+});
+
+mintingDetailsSchema.index({ chainId: 1, contract: 1, tokenId: 1 }, { unique: true });
+mintingDetailsSchema.index({ tokenId: 1 });
+mintingDetailsSchema.index({ status: 1, timestamp: -1 });
+mintingDetailsSchema.index({ timestamp: -1, _id: -1 });
+mintingDetailsSchema.index({ payoutValue: -1, _id: -1 });
+mintingDetailsSchema.index({ minter: 1, timestamp: 1 });
+mintingDetailsSchema.index({ winner: 1, paidAt: -1 });
+mintingDetailsSchema.index({ paidAt: -1 });
+mintingDetailsSchema.index({ chainId: 1, contract: 1, status: 1, timestamp: 1 });
+
+const Opening = mongoose.model('Opening', openingSchema);
+const MintingDetails = mongoose.model('MintingDetails', mintingDetailsSchema);
+
+module.exports = {
+  ERC404Fungible,
+  Transfer,
+  BalanceSnapshot,
+  ERC404NFT,
+  ERC721Holding,
+  ProcessedTransaction,
+  ProcessedEvent,
+  DeadLetterLog,
+  AdminAuditLog,
+  IngestionStat,
+  IngestionJob,
+  IndexerCursor,
+  PriceQuote,
+  SiweNonce,
+  WalletSession,
+  WalletSettings,
+  WebhookEndpoint,
+  WebhookDelivery,
+  PoolEvent,
+  PoolBalance,
+  Opening,
+  MintingDetails
+};
@@ -0,0 +1,68 @@
+const crypto = require('crypto');
+const { ethers } = require('ethers');
+
+// Stream secrets used to sign webhook payloads. Accepts a comma-separated list
+// so a new secret can be rolled out while the previous one is still in use.
+function loadStreamSecrets(env = process.env) {
+  return (env.MORALIS_STREAM_SECRETS || env.MORALIS_STREAM_SECRET || '')
+    .split(',')
+    .map(secret => secret.trim())
+    .filter(Boolean);
+}
+
+// Keep the raw request body around (as express.json's verify option) so
+// webhook signatures can be checked against exactly what Moralis sent, not a
+// re-serialized copy
+function captureRawBody(req, res, buf) {
+  req.rawBody = buf;
+}
+
+// Moralis signs each delivery with keccak256(rawBody + secret)
+function computeWebhookSignature(rawBody, secret) {
+  return ethers.utils.keccak256(
+    Buffer.concat([Buffer.from(rawBody), Buffer.from(secret, 'utf8')])
+  );
+}
+
+function isValidWebhookSignature(rawBody, signature, secrets) {
+  const provided = Buffer.from(signature.toLowerCase(), 'utf8');
+
+  return secrets.some((secret) => {
+    const expected = Buffer.from(computeWebhookSignature(rawBody, secret), 'utf8');
+    return expected.length === provided.length && crypto.timingSafeEqual(expected, provided);
+  });
+}
+
+// Middleware to reject webhook deliveries that are not signed with one of the
+// secrets. onInvalid is called with the request of every delivery rejected
+// for a bad signature.
+function createSignatureVerifier(secrets, { onInvalid = () => {} } = {}) {
+  return function verifyWebhookSignature(req, res, next) {
+    if (secrets.length === 0) {
+      console.error('Webhook secret not configured, rejecting delivery');
+      return res.status(503).json({ error: 'Webhook secret not configured' });
+    }
+
+    const signature = req.get('x-signature');
+    if (!signature) {
+      console.log('Webhook rejected: missing x-signature header');
+      return res.status(401).json({ error: 'Missing signature' });
+    }
+
+    if (!req.rawBody || !isValidWebhookSignature(req.rawBody, signature, secrets)) {
+      console.log('Webhook rejected: invalid signature');
+      onInvalid(req);
+      return res.status(401).json({ error: 'Invalid signature' });
+    }
+
+    next();
+  };
+}
+
+module.exports = {
+  loadStreamSecrets,
+  captureRawBody,
+  computeWebhookSignature,
+  isValidWebhookSignature,
+  createSignatureVerifier
+};
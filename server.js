@@ -2,48 +2,81 @@ require('dotenv').config();
 const express = require('express');
 const mongoose = require('mongoose');
 const cors = require('cors');
-const Moralis = require('@moralisweb3/evm-api');
+const { EvmApi } = require('@moralisweb3/evm-api');
+const { Core } = require('@moralisweb3/common-core');
+const { ApiUtils } = require('@moralisweb3/api-utils');
+const { Streams } = require('@moralisweb3/streams');
 const { ethers } = require('ethers');
 const WebSocket = require('ws');
+const crypto = require('crypto');
+const fs = require('fs');
+const { EventEmitter, on } = require('events');
+const {
+  buildSchema,
+  parse,
+  validate,
+  specifiedRules,
+  valueFromAST,
+  getNamedType,
+  getNullableType,
+  isListType,
+  GraphQLError,
+  GraphQLScalarType,
+  Kind
+} = require('graphql');
+const { createHandler } = require('graphql-http/lib/use/express');
+const { useServer } = require('graphql-ws/use/ws');
+const {
+  ERC404Fungible,
+  Transfer,
+  BalanceSnapshot,
+  ERC404NFT,
+  ERC721Holding,
+  ProcessedTransaction,
+  ProcessedEvent,
+  DeadLetterLog,
+  AdminAuditLog,
+  IngestionStat,
+  IngestionJob,
+  IndexerCursor,
+  PriceQuote,
+  SiweNonce,
+  WalletSession,
+  WalletSettings,
+  WebhookEndpoint,
+  WebhookDelivery,
+  PoolEvent,
+  PoolBalance,
+  Opening,
+  MintingDetails
+} = require('./lib/models');
+const {
+  ZERO_ADDRESS,
+  getBlockTimestamp,
+  getTransactionTopics,
+  updateERC404FungibleBalance,
+  setHoldingOwner,
+  buildTransfer,
+  recordTransfer,
+  promoteJournal,
+  findJournalConflicts,
+  revertJournal
+} = require('./lib/journal');
+const { TICKET_STATUSES, WIN_PERCENTAGE_DENOMINATOR } = require('./lib/events/tickets');
+const {
+  TRANSFER_TOPIC,
+  eventRegistry,
+  getRegisteredAbi,
+  getRegisteredTopics,
+  getRegisteredTopicHashes,
+  applyLogEvent,
+  applyNftTransfer,
+  applyErc20Transfer
+} = require('./lib/events');
+const { loadStreamSecrets, captureRawBody, createSignatureVerifier } = require('./lib/webhookSignature');
 //TEST
 const app = express();
 
-// Event ABIs for decoding
-const eventABIs = {
-  Transfer: [
-    "event Transfer(address indexed from, address indexed to, uint256 indexed tokenId)"
-  ],
-  TicketMinted: [
-    "event TicketMinted(address indexed to, uint256 indexed tokenId, bool isETHVersion, tuple(uint256 rollNumber, uint256 winPercentage, uint256 winAmount)[] levels)"
-  ],
-  TicketOpeningInitiated: [
-    "event TicketOpeningInitiated(uint256 indexed tokenId, address indexed opener)"
-  ],
-  TicketResolved: [
-    "event TicketResolved(uint256 indexed tokenId, uint256 rollResult, uint256 winAmount)"
-  ],
-  RewardPaid: [
-    "event RewardPaid(address indexed winner, uint256 indexed tokenId, uint256 amount)"
-  ],
-  PoolDeposited: [
-    "event PoolDeposited(address indexed depositor, uint256 amount)"
-  ],
-  PoolWithdrawn: [
-    "event PoolWithdrawn(address indexed withdrawer, uint256 amount)"
-  ]
-};
-
-// Create interfaces for decoding
-const interfaces = {
-  Transfer: new ethers.utils.Interface(eventABIs.Transfer),
-  TicketMinted: new ethers.utils.Interface(eventABIs.TicketMinted),
-  TicketOpeningInitiated: new ethers.utils.Interface(eventABIs.TicketOpeningInitiated),
-  TicketResolved: new ethers.utils.Interface(eventABIs.TicketResolved),
-  RewardPaid: new ethers.utils.Interface(eventABIs.RewardPaid),
-  PoolDeposited: new ethers.utils.Interface(eventABIs.PoolDeposited),
-  PoolWithdrawn: new ethers.utils.Interface(eventABIs.PoolWithdrawn)
-};
-
 // Middleware
 app.use(cors({
   origin: '*',
@@ -67,784 +100,5673 @@ app.use((req, res, next) => {
 // Handle OPTIONS requests
 app.options('*', cors());
 
-app.use(express.json());
+app.use(express.json({ verify: captureRawBody }));
 
 // MongoDB Connection
 mongoose.connect(process.env.MONGODB_URI)
   .then(() => console.log('Connected to MongoDB'))
   .catch(err => console.error('MongoDB connection error:', err));
 
-// Initialize Moralis
-const moralis = new Moralis.EvmApi({
-  apiKey: process.env.MORALIS_API_KEY,
-});
+// Moralis EVM API client, started on first use
+let moralisEvmApi = null;
 
-// ERC404 Fungible Balance Schema
-const erc404FungibleSchema = new mongoose.Schema({
-  address: { type: String, required: true, unique: true },
-  balance: { type: String, default: '0' }
-});
+async function getEvmApiClient() {
+  if (!moralisEvmApi) {
+    const core = Core.create();
+    core.registerModules([ApiUtils, EvmApi]);
+    await core.start({ apiKey: process.env.MORALIS_API_KEY });
+    moralisEvmApi = core.getModule(EvmApi.moduleName);
+  }
 
-// ERC404 NFT Holdings Schema
-const erc404NFTSchema = new mongoose.Schema({
-  tokenId: { type: String, required: true, unique: true },
-  owner: { type: String, required: true }
-});
+  return moralisEvmApi;
+}
 
-// ERC721 Holdings Schema
-const erc721HoldingsSchema = new mongoose.Schema({
-  tokenId: { type: String, required: true, unique: true },
-  owner: { type: String, required: true }
-});
+// Moralis Streams client, started on first use
+let moralisStreams = null;
 
-const ERC404Fungible = mongoose.model('ERC404Fungible', erc404FungibleSchema);
-const ERC404NFT = mongoose.model('ERC404NFT', erc404NFTSchema);
-const ERC721Holding = mongoose.model('ERC721Holding', erc721HoldingsSchema);
+async function getStreamsClient() {
+  if (!moralisStreams) {
+    const core = Core.create();
+    core.registerModules([ApiUtils, Streams]);
+    await core.start({ apiKey: process.env.MORALIS_API_KEY });
+    moralisStreams = core.getModule(Streams.moduleName);
+  }
 
-// Transaction Schema to track processed transactions
-const transactionSchema = new mongoose.Schema({
-  transactionHash: { type: String, required: true, unique: true },
-  processedAt: { type: Date, default: Date.now }
-});
+  return moralisStreams;
+}
 
-const ProcessedTransaction = mongoose.model('ProcessedTransaction', transactionSchema);
+// Chain names accepted wherever a chain id is expected
+const CHAIN_ALIASES = {
+  eth: '0x1',
+  ethereum: '0x1',
+  sepolia: '0xaa36a7',
+  base: '0x2105',
+  'base-sepolia': '0x14a34',
+  polygon: '0x89',
+  amoy: '0x13882',
+  anvil: '0x7a69',
+  hardhat: '0x7a69'
+};
 
-// Opening Schema
-const openingSchema = new mongoose.Schema({
-  tokenId: { type: String, required: true },
-  timestamp: { type: Date, default: Date.now },
-  transactionHash: { type: String, required: true },
-  tokenType: { type: String, enum: ['ERC721', 'ERC404'], required: true },
-  opener: { type: String, required: true }
-});
+// Normalize a chain name, decimal or hex id to a lowercase hex chain id
+function normalizeChainId(chain) {
+  const value = String(chain ?? '').trim().toLowerCase();
+  if (CHAIN_ALIASES[value]) return CHAIN_ALIASES[value];
+  if (/^0x[0-9a-f]+$/.test(value) || /^\d+$/.test(value)) return `0x${BigInt(value).toString(16)}`;
+  return null;
+}
 
-// Minting Details Schema
-const mintingDetailsSchema = new mongoose.Schema({
-  tokenId: { type: String, required: true, unique: true },
-  levels: [{
-    winAmount: { type: String, required: true },
-    rollNumber: { type: Number, required: true }
-  }],
-  rollResult: { type: Number },
-  payout: { type: String },
-  timestamp: { type: Date, default: Date.now },
-  transactionHash: { type: String, required: true }
-});
+// Deployments of the game contracts. Set DEPLOYMENTS to a JSON array of
+// { chainId, address, standard, startBlock, label } to index several chains or
+// contracts; otherwise the ERC721/ERC404 contract addresses on CHAIN_ID are used.
+function loadDeployments() {
+  const configured = process.env.DEPLOYMENTS
+    ? JSON.parse(process.env.DEPLOYMENTS)
+    : [
+      {
+        chainId: process.env.CHAIN_ID || '0x1',
+        address: process.env.ERC721_CONTRACT_ADDRESS || '0xd5aaB1E5F25de9adDd0cb06a5a17172CB3C976Db',
+        standard: 'ERC721',
+        startBlock: process.env.BACKFILL_START_BLOCK,
+        label: 'Fortune Tickets ERC721'
+      },
+      {
+        chainId: process.env.CHAIN_ID || '0x1',
+        address: process.env.ERC404_CONTRACT_ADDRESS || '0x9a6CCF1A797F66eCCB2d5833591d30cC6Bc65Ccf',
+        standard: 'ERC404',
+        startBlock: process.env.BACKFILL_START_BLOCK,
+        label: 'Fortune Tickets ERC404'
+      }
+    ];
+
+  return configured.map((deployment) => {
+    const chainId = normalizeChainId(deployment.chainId);
+
+    if (!chainId) {
+      throw new Error(`Invalid chainId in deployment config: ${deployment.chainId}`);
+    }
+    if (!ethers.utils.isAddress(deployment.address || '')) {
+      throw new Error(`Invalid address in deployment config: ${deployment.address}`);
+    }
+    if (!['ERC721', 'ERC404'].includes(deployment.standard)) {
+      throw new Error(`Invalid standard in deployment config: ${deployment.standard}`);
+    }
 
-const Opening = mongoose.model('Opening', openingSchema);
-const MintingDetails = mongoose.model('MintingDetails', mintingDetailsSchema);
+    return {
+      chainId,
+      address: deployment.address.toLowerCase(),
+      standard: deployment.standard,
+      startBlock: Number(deployment.startBlock) || 0,
+      label: deployment.label || `${deployment.standard} on ${chainId}`
+    };
+  });
+}
+
+const deployments = loadDeployments();
+
+// Find the deployment a contract event belongs to
+function findDeployment(chainId, address) {
+  if (!address) return null;
+  return deployments.find(deployment => (
+    deployment.chainId === chainId && deployment.address === address.toLowerCase()
+  )) || null;
+}
 
 // Stream Configuration
 const streamConfig = {
-  chains: ['eth'], // Add your chain IDs here
+  chains: [...new Set(deployments.map(deployment => deployment.chainId))],
   description: 'Fortune Tickets Transfer Events Stream',
   tag: 'fortune-tickets-transfers',
   webhookUrl: process.env.WEBHOOK_URL || 'http://localhost:3001/webhook', // Use environment variable with fallback
-  abi: [
-    // ERC721 Transfer event
-    {
-      anonymous: false,
-      inputs: [
-        {
-          indexed: true,
-          name: 'from',
-          type: 'address'
-        },
-        {
-          indexed: true,
-          name: 'to',
-          type: 'address'
-        },
-        {
-          indexed: true,
-          name: 'tokenId',
-          type: 'uint256'
-        }
-      ],
-      name: 'Transfer',
-      type: 'event'
-    },
-    // ERC404 Transfer event
-    {
-      anonymous: false,
-      inputs: [
-        {
-          indexed: true,
-          name: 'from',
-          type: 'address'
-        },
-        {
-          indexed: true,
-          name: 'to',
-          type: 'address'
-        },
-        {
-          indexed: false,
-          name: 'amount',
-          type: 'uint256'
-        }
-      ],
-      name: 'Transfer',
-      type: 'event'
-    },
-    // Payout event
-    {
-      anonymous: false,
-      inputs: [
-        {
-          indexed: true,
-          name: 'tokenId',
-          type: 'uint256'
-        },
-        {
-          indexed: false,
-          name: 'amount',
-          type: 'uint256'
-        }
-      ],
-      name: 'Payout',
-      type: 'event'
-    },
-    // Opening event
-    {
-      anonymous: false,
-      inputs: [
-        {
-          indexed: true,
-          name: 'tokenId',
-          type: 'uint256'
-        }
-      ],
-      name: 'Opening',
-      type: 'event'
-    },
-    // Outcome event
-    {
-      anonymous: false,
-      inputs: [
-        {
-          indexed: true,
-          name: 'tokenId',
-          type: 'uint256'
-        },
-        {
-          indexed: false,
-          name: 'level',
-          type: 'uint256'
-        },
-        {
-          indexed: false,
-          name: 'roll',
-          type: 'uint256'
-        }
-      ],
-      name: 'Outcome',
-      type: 'event'
-    },
-    // Minting Details event
-    {
-      anonymous: false,
-      inputs: [
-        {
-          indexed: true,
-          name: 'tokenId',
-          type: 'uint256'
-        },
-        {
-          indexed: false,
-          name: 'level',
-          type: 'uint256'
-        },
-        {
-          indexed: false,
-          name: 'details',
-          type: 'string'
-        }
-      ],
-      name: 'MintingDetails',
-      type: 'event'
-    },
-    // Ticket Opening event
-    {
-      anonymous: false,
-      inputs: [
-        {
-          indexed: true,
-          name: 'tokenId',
-          type: 'uint256'
-        },
-        {
-          indexed: true,
-          name: 'opener',
-          type: 'address'
-        }
-      ],
-      name: 'TicketOpeningInitiated',
-      type: 'event'
-    },
-    // Ticket Resolution event
-    {
-      anonymous: false,
-      inputs: [
-        {
-          indexed: true,
-          name: 'tokenId',
-          type: 'uint256'
-        },
-        {
-          indexed: false,
-          name: 'rollResult',
-          type: 'uint256'
-        },
-        {
-          indexed: false,
-          name: 'winAmount',
-          type: 'uint256'
-        }
-      ],
-      name: 'TicketResolved',
-      type: 'event'
-    },
-    // Reward Paid event
-    {
-      anonymous: false,
-      inputs: [
-        {
-          indexed: true,
-          name: 'winner',
-          type: 'address'
-        },
-        {
-          indexed: true,
-          name: 'tokenId',
-          type: 'uint256'
-        },
-        {
-          indexed: false,
-          name: 'amount',
-          type: 'uint256'
-        }
-      ],
-      name: 'RewardPaid',
-      type: 'event'
-    }
-  ],
-  // Add your contract addresses here
-  contractAddresses: [
-    '0xd5aaB1E5F25de9adDd0cb06a5a17172CB3C976Db',
-    '0x9a6CCF1A797F66eCCB2d5833591d30cC6Bc65Ccf'
-  ]
+  abi: getRegisteredAbi(),
+  topic0: getRegisteredTopics(),
+  includeContractLogs: true,
+  // Native transactions carry the ETH value paid for mints
+  includeNativeTxs: true,
+  contractAddresses: [...new Set(deployments.map(deployment => deployment.address))]
 };
 
-// Helper function to update ERC404 fungible balance
-async function updateERC404FungibleBalance(address, amount, isAddition) {
-  let balance = await ERC404Fungible.findOne({ address });
-  
-  if (!balance) {
-    balance = new ERC404Fungible({ address, balance: '0' });
-  }
+const DECIMAL_ZERO = mongoose.Types.Decimal128.fromString('0');
 
-  const currentBalance = BigInt(balance.balance);
-  const amountBigInt = BigInt(amount);
-  
-  balance.balance = isAddition 
-    ? (currentBalance + amountBigInt).toString()
-    : (currentBalance - amountBigInt).toString();
+// How long an unconfirmed transaction may stay pending before it is treated as
+// dropped (e.g. reorged out) and rolled back
+const PENDING_TX_TIMEOUT_MS = parseInt(process.env.PENDING_TX_TIMEOUT_MS, 10) || 60 * 60 * 1000;
 
-  await balance.save();
-}
+// Run fn inside a MongoDB transaction. fn receives a context holding the
+// session, a broadcast queue, an outbound notification queue and the set of
+// wallets whose holdings changed; broadcasts and notifications are only sent
+// once the transaction has committed. Replays of history pass notify: false.
+async function runInTransaction(fn, { notify = true } = {}) {
+  const session = await mongoose.startSession();
+  let ctx;
+  let result;
 
-// Webhook endpoint to receive Moralis Stream events
-app.post('/webhook', async (req, res) => {
   try {
-    const { confirmed, nftTransfers, erc20Transfers, block, logs } = req.body;
-    
-    if (confirmed) {
-      console.log('Skipping confirmed transaction');
-      return res.status(200).json({ message: 'Skipped confirmed transaction' });
-    }
+    await session.withTransaction(async () => {
+      ctx = { session, broadcasts: [], notifications: [], changedAddresses: new Set() };
+      result = await fn(ctx);
+    });
+  } finally {
+    await session.endSession();
+  }
+
+  for (const { type, data, topics } of ctx.broadcasts) {
+    broadcastUpdate(type, data, topics);
+  }
 
-    // Get transaction hash from the first transfer
-    const transactionHash = nftTransfers?.[0]?.transactionHash || erc20Transfers?.[0]?.transactionHash;
-    
-    if (!transactionHash) {
-      console.log('No transaction hash found in transfers');
-      return res.status(200).json({ message: 'No transaction hash found' });
+  if (notify && ctx.notifications.length > 0) {
+    try {
+      await queueNotifications(ctx.notifications);
+    } catch (error) {
+      console.error('Error queueing outbound webhooks:', error);
     }
+  }
 
-    // Check if transaction was already processed
-    const existingTransaction = await ProcessedTransaction.findOne({ transactionHash });
-    if (existingTransaction) {
-      console.log('Transaction already processed:', transactionHash);
-      return res.status(200).json({ message: 'Transaction already processed' });
+  // Push the new holdings of every wallet that was touched
+  for (const address of ctx.changedAddresses) {
+    try {
+      broadcastUpdate('HOLDINGS_UPDATED', { address, holdings: await getHoldings(address) }, [`address:${address}`]);
+    } catch (error) {
+      console.error('Error broadcasting holdings:', error);
     }
+  }
 
-    // Validate contract addresses
-    const erc721Address = streamConfig.contractAddresses[0];
-    const erc404Address = streamConfig.contractAddresses[1];
+  return result;
+}
 
-    if (!erc721Address || !erc404Address) {
-      console.log('Contract addresses not configured');
-      return res.status(200).json({ message: 'Contract addresses not configured' });
-    }
+// Promote a pending transaction once its confirmed delivery arrives
+async function confirmTransaction(ctx, processedTransaction) {
+  const { chainId, transactionHash } = processedTransaction;
+  await promoteJournal(ctx, processedTransaction.journal);
+  await DeadLetterLog.deleteOne({ chainId, transactionHash, reason: 'rollback_conflict' }, { session: ctx.session });
 
-    // Process NFT transfers (both ERC721 and ERC404)
-    if (nftTransfers && nftTransfers.length > 0) {
-      // Track processed token IDs for this transaction to avoid duplicates
-      const processedTokenIds = new Set();
+  processedTransaction.status = 'confirmed';
+  processedTransaction.confirmedAt = new Date();
+  await processedTransaction.save({ session: ctx.session });
 
-      for (const transfer of nftTransfers) {
-        const { contract, tokenId, from, to } = transfer;
-        
-        if (!contract || !tokenId || !from || !to) {
-          console.log('Invalid transfer data:', transfer);
-          continue;
-        }
+  console.log('Transaction confirmed:', processedTransaction.transactionHash);
+  ctx.broadcasts.push({
+    type: 'TRANSACTION_CONFIRMED',
+    data: {
+      chainId: processedTransaction.chainId,
+      transactionHash: processedTransaction.transactionHash,
+      blockNumber: processedTransaction.blockNumber
+    },
+    topics: getTransactionTopics(processedTransaction.journal)
+  });
+}
 
-        // Skip if we've already processed this token ID in this transaction
-        if (processedTokenIds.has(tokenId)) {
-          console.log(`Skipping duplicate token ID: ${tokenId}`);
-          continue;
-        }
+// Roll back a pending transaction that was dropped or never confirmed. Later
+// transactions that changed the same documents built on it, so the pending
+// ones among them are rolled back first, newest first. When a confirmed one
+// did, reverting this one would undo its changes too: it is kept, marked
+// rollback_blocked so the sweep leaves it alone, and dead-lettered for an
+// operator. An operator asking to reprocess it gets a 409 instead, and has to
+// roll back the later ones first. Returns whether it was rolled back.
+async function rollbackTransaction(ctx, processedTransaction, reason) {
+  const { chainId, transactionHash, blockNumber } = processedTransaction;
 
-        // Determine token type based on contract address
-        const isERC721 = contract.toLowerCase() === erc721Address.toLowerCase();
-        const isERC404 = contract.toLowerCase() === erc404Address.toLowerCase();
+  if (reason !== 'reprocess') {
+    for (const later of await findJournalConflicts(ctx, processedTransaction)) {
+      if (later.status !== 'pending') continue;
 
-        if (isERC721) {
-          console.log(`ERC721 Transfer: Token ${tokenId} from ${from} to ${to}`);
-          // Handle ERC721 transfer
-          if (from !== '0x0000000000000000000000000000000000000000') {
-            await ERC721Holding.findOneAndDelete({ tokenId });
-          }
-          await ERC721Holding.create({ tokenId, owner: to.toLowerCase() });
-        } else if (isERC404) {
-          console.log(`ERC404 NFT Transfer: Token ${tokenId} from ${from} to ${to}`);
-          // Handle ERC404 NFT transfer
-          if (from !== '0x0000000000000000000000000000000000000000') {
-            await ERC404NFT.findOneAndDelete({ tokenId });
-          }
-          await ERC404NFT.create({ tokenId, owner: to.toLowerCase() });
-          // Mark this token ID as processed
-          processedTokenIds.add(tokenId);
-        }
+      const laterTransaction = await ProcessedTransaction.findOne({ _id: later._id, status: 'pending' })
+        .session(ctx.session);
+      if (laterTransaction) {
+        await rollbackTransaction(ctx, laterTransaction, reason);
       }
     }
+  }
 
-    // Process ERC20 transfers (for ERC404 fungible)
-    if (erc20Transfers && erc20Transfers.length > 0) {
-      for (const transfer of erc20Transfers) {
-        const { contract, from, to, value } = transfer;
-        
-        if (!contract || !from || !to || !value) {
-          console.log('Invalid transfer data:', transfer);
-          continue;
-        }
-
-        // Only process if it's our ERC404 contract
-        if (contract.toLowerCase() === erc404Address.toLowerCase()) {
-          console.log(`ERC404 Fungible Transfer: ${value} from ${from} to ${to}`);
-          if (from !== '0x0000000000000000000000000000000000000000') {
-            await updateERC404FungibleBalance(from.toLowerCase(), value, false);
-          }
-          await updateERC404FungibleBalance(to.toLowerCase(), value, true);
-        }
-      }
+  const conflicts = await findJournalConflicts(ctx, processedTransaction);
+  if (conflicts.length > 0) {
+    const hashes = conflicts.map(transaction => transaction.transactionHash).join(', ');
+    const message = `later transactions changed the same documents: ${hashes}`;
+    if (reason === 'reprocess') {
+      throw conflict(`Cannot roll back ${transactionHash}, ${message}`);
     }
 
-    // Process events
-    if (logs && logs.length > 0) {
-      for (const log of logs) {
-        try {
-          const { address, data, topic0, topic1, topic2, topic3 } = log;
-          
-          // Skip if no topic0 (event signature)
-          if (!topic0) {
-            console.log('Log has no event signature:', log);
-            continue;
-          }
+    console.log(`Not rolling back ${transactionHash} (${reason}), ${message}`);
+    // Its changes stay, so they are no longer shown as pending
+    await promoteJournal(ctx, processedTransaction.journal);
+    processedTransaction.status = 'rollback_blocked';
+    processedTransaction.rollbackReason = reason;
+    await processedTransaction.save({ session: ctx.session });
 
-          // Determine token type based on contract address
-          const isERC721 = address.toLowerCase() === erc721Address.toLowerCase();
-          const isERC404 = address.toLowerCase() === erc404Address.toLowerCase();
-          const tokenType = isERC721 ? 'ERC721' : isERC404 ? 'ERC404' : null;
+    await DeadLetterLog.findOneAndUpdate(
+      { chainId, transactionHash, logIndex: null },
+      { blockNumber, reason: 'rollback_conflict', error: message, receivedAt: new Date() },
+      { upsert: true, session: ctx.session }
+    );
+    return false;
+  }
 
-          if (!tokenType) {
-            console.log('Unknown contract for event:', address);
-            continue;
-          }
+  await revertJournal(ctx, processedTransaction.journal);
+  await DeadLetterLog.deleteOne({ chainId, transactionHash, reason: 'rollback_conflict' }, { session: ctx.session });
+  // Forget the per-log markers so a re-delivery of this transaction is applied again
+  await ProcessedEvent.deleteMany({ chainId, transactionHash }, { session: ctx.session });
 
-          // Try to decode each event type
-          let decodedLog = null;
-          let eventName = null;
-
-          // Try TicketMinted first since it's the most important for minting data
-          try {
-            decodedLog = interfaces.TicketMinted.parseLog({ 
-              data, 
-              topics: [topic0, topic1, topic2, topic3].filter(Boolean) 
-            });
-            eventName = 'TicketMinted';
-          } catch (e) {
-            // Try TicketOpeningInitiated
-            try {
-              decodedLog = interfaces.TicketOpeningInitiated.parseLog({ 
-                data, 
-                topics: [topic0, topic1, topic2, topic3].filter(Boolean) 
-              });
-              eventName = 'TicketOpeningInitiated';
-            } catch (e) {
-              // Try TicketResolved
-              try {
-                decodedLog = interfaces.TicketResolved.parseLog({ 
-                  data, 
-                  topics: [topic0, topic1, topic2, topic3].filter(Boolean) 
-                });
-                eventName = 'TicketResolved';
-              } catch (e) {
-                // Try RewardPaid
-                try {
-                  decodedLog = interfaces.RewardPaid.parseLog({ 
-                    data, 
-                    topics: [topic0, topic1, topic2, topic3].filter(Boolean) 
-                  });
-                  eventName = 'RewardPaid';
-                } catch (e) {
-                  // Try PoolDeposited
-                  try {
-                    decodedLog = interfaces.PoolDeposited.parseLog({ 
-                      data, 
-                      topics: [topic0, topic1, topic2, topic3].filter(Boolean) 
-                    });
-                    eventName = 'PoolDeposited';
-                  } catch (e) {
-                    // Try PoolWithdrawn
-                    try {
-                      decodedLog = interfaces.PoolWithdrawn.parseLog({ 
-                        data, 
-                        topics: [topic0, topic1, topic2, topic3].filter(Boolean) 
-                      });
-                      eventName = 'PoolWithdrawn';
-                    } catch (e) {
-                    //   console.log('Could not decode log:', log);
-                      continue;
-                    }
-                  }
-                }
-              }
-            }
-          }
+  processedTransaction.status = 'rolled_back';
+  processedTransaction.rolledBackAt = new Date();
+  processedTransaction.rollbackReason = reason;
+  await processedTransaction.save({ session: ctx.session });
 
-          if (!decodedLog || !eventName) continue;
-
-          const { args } = decodedLog;
-
-          if (eventName === 'TicketMinted') {
-            const tokenId = args.tokenId.toString();
-            const levels = args.levels;
-            console.log(`Ticket Minted Event: Token ${tokenId} with ${levels.length} levels`);
-            
-            // Find existing minting details or create new one
-            let mintingDetails = await MintingDetails.findOne({ tokenId });
-            
-            if (!mintingDetails) {
-              mintingDetails = new MintingDetails({
-                tokenId,
-                levels: [],
-                transactionHash,
-                timestamp: new Date()
-              });
-            }
+  console.log(`Transaction rolled back (${reason}):`, transactionHash);
+  ctx.broadcasts.push({
+    type: 'TRANSACTION_ROLLED_BACK',
+    data: {
+      chainId,
+      transactionHash,
+      blockNumber: processedTransaction.blockNumber,
+      reason
+    },
+    topics: getTransactionTopics(processedTransaction.journal)
+  });
+  ctx.notifications.push({
+    event: 'transaction.rolled_back',
+    data: { chainId, transactionHash, blockNumber: processedTransaction.blockNumber, reason }
+  });
+  return true;
+}
 
-            // Add all level data
-            for (const level of levels) {
-              mintingDetails.levels.push({
-                winAmount: level.winAmount.toString(),
-                rollNumber: level.rollNumber.toNumber()
-              });
-            }
+// A delivery for a block we already saw with a different hash means the
+// earlier block was reorged out, so everything pending from it is invalid
+async function rollbackReorgedTransactions(ctx, chainId, block) {
+  if (!block || !block.hash || block.number === undefined) return;
 
-            await mintingDetails.save();
-            console.log('Saved minting details:', mintingDetails);
-            
-            // Broadcast the update
-            broadcastUpdate('MINTING_DETAILS_UPDATED', { tokenId });
-          } else if (eventName === 'TicketOpeningInitiated') {
-            const tokenId = args.tokenId.toString();
-            const opener = args.opener.toLowerCase();
-            console.log(`Opening Event: Token ${tokenId} by ${opener}`);
-            await Opening.create({
-              tokenId,
-              opener,
-              transactionHash,
-              tokenType
-            });
-          } else if (eventName === 'TicketResolved' || eventName === 'RewardPaid') {
-            const tokenId = args.tokenId.toString();
-            let winAmount = '0';
-            let rollResult = 0;
-
-            if (eventName === 'TicketResolved') {
-              winAmount = args.winAmount.toString();
-              rollResult = args.rollResult.toNumber();
-            } else if (eventName === 'RewardPaid') {
-              winAmount = args.amount.toString();
-            }
-            
-            console.log(`${eventName} Event: Token ${tokenId} Roll ${rollResult} Amount ${winAmount}`);
-            
-            // Find existing minting details or create new one
-            let mintingDetails = await MintingDetails.findOne({ tokenId });
-            
-            if (!mintingDetails) {
-              mintingDetails = new MintingDetails({
-                tokenId,
-                levels: [],
-                transactionHash
-              });
-            }
+  const reorged = await ProcessedTransaction.find({
+    chainId,
+    status: 'pending',
+    blockNumber: Number(block.number),
+    blockHash: { $ne: block.hash }
+  }).sort({ _id: -1 }).session(ctx.session);
 
-            // Update roll result and payout
-            mintingDetails.rollResult = rollResult;
-            mintingDetails.payout = winAmount;
-
-            await mintingDetails.save();
-            
-            // Broadcast the update
-            broadcastUpdate('MINTING_DETAILS_UPDATED', { tokenId });
-          } else if (eventName === 'PoolDeposited' || eventName === 'PoolWithdrawn') {
-            const amount = args.amount.toString();
-            console.log(`${eventName} Event: Amount ${amount}`);
-          }
-        } catch (error) {
-          console.error('Error processing log:', error);
-          continue;
-        }
-      }
-    }
+  for (const processedTransaction of reorged) {
+    await rollbackTransaction(ctx, processedTransaction, 'reorg');
+  }
+}
 
-    // Record the processed transaction
-    await ProcessedTransaction.create({ transactionHash });
+// Roll back pending transactions whose confirmation never arrived, newest
+// first so later changes to a document are undone before earlier ones
+async function rollbackStalePendingTransactions() {
+  const stale = await ProcessedTransaction.find({
+    status: 'pending',
+    processedAt: { $lt: new Date(Date.now() - PENDING_TX_TIMEOUT_MS) }
+  }).sort({ _id: -1 }).select('_id');
 
-    console.log('Transaction processed successfully:', transactionHash);
-    res.status(200).json({ message: 'Holdings updated successfully' });
-  } catch (error) {
-    console.error('Error processing webhook:', error);
-    res.status(200).json({ message: 'Error occurred but returning 200 to prevent retries' });
+  for (const { _id } of stale) {
+    await runInTransaction(async (ctx) => {
+      const processedTransaction = await ProcessedTransaction.findOne({ _id, status: 'pending' })
+        .session(ctx.session);
+
+      if (processedTransaction) {
+        await rollbackTransaction(ctx, processedTransaction, 'confirmation_timeout');
+      }
+    });
+  }
+}
+
+// Webhook deliveries must be signed with one of the stream secrets
+const verifyWebhookSignature = createSignatureVerifier(loadStreamSecrets(), {
+  onInvalid: (req) => {
+    // Unsigned bodies can claim any chain, so only configured ones get their own counters
+    const chainId = normalizeChainId(req.body?.chainId);
+    const isConfigured = deployments.some(deployment => deployment.chainId === chainId);
+    recordIngestion(isConfigured ? chainId : 'unknown', { rejectedSignatures: 1 }).catch(error => {
+      console.error('Error recording ingestion stats:', error);
+    });
   }
 });
 
-// Get all holdings for an address
-app.get('/holdings/:address', async (req, res) => {
-  try {
-    const { address } = req.params;
-    const addressLower = address.toLowerCase();
+// Flatten the transfers and logs of a payload into one list of events ordered
+// by position in the block
+function collectEvents(payload) {
+  const { nftTransfers = [], erc20Transfers = [], logs = [] } = payload;
 
-    // Get ERC404 fungible balance
-    const fungibleBalance = await ERC404Fungible.findOne({ address: addressLower }) || { balance: '0' };
+  const events = [
+    ...nftTransfers.map(item => ({ kind: 'nftTransfer', item })),
+    ...erc20Transfers.map(item => ({ kind: 'erc20Transfer', item })),
+    ...logs.map(item => ({ kind: 'log', item }))
+  ].map(event => ({
+    ...event,
+    transactionHash: event.item.transactionHash?.toLowerCase(),
+    logIndex: Number(event.item.logIndex)
+  }));
 
-    // Get ERC404 NFTs
-    const erc404NFTs = await ERC404NFT.find({ owner: addressLower });
+  return events
+    .filter(event => event.transactionHash && Number.isInteger(event.logIndex))
+    .sort((a, b) => a.logIndex - b.logIndex);
+}
 
-    // Get ERC721 tokens
-    const erc721Tokens = await ERC721Holding.find({ owner: addressLower });
+async function applyEvent(ctx, event) {
+  const address = event.kind === 'log' ? event.item.address : event.item.contract;
+  const deployment = findDeployment(ctx.chainId, address);
 
-    res.json({
-      erc404: {
-        fungible: fungibleBalance.balance,
-        nfts: erc404NFTs.map(nft => nft.tokenId)
-      },
-      erc721: erc721Tokens.map(token => token.tokenId)
-    });
-  } catch (error) {
-    res.status(500).json({ error: 'Error fetching holdings' });
+  if (!deployment) {
+    console.log(`Unknown contract on chain ${ctx.chainId}:`, address);
+    return false;
   }
-});
 
-// Get all holders of a specific token type
-app.get('/holders/:tokenType', async (req, res) => {
-  try {
-    const { tokenType } = req.params;
-    let holders;
+  const eventCtx = { ...ctx, deployment };
+  if (event.kind === 'nftTransfer') return applyNftTransfer(eventCtx, event.item);
+  if (event.kind === 'erc20Transfer') return applyErc20Transfer(eventCtx, event.item);
+  return applyLogEvent(eventCtx, event.item);
+}
 
-    if (tokenType === 'erc404-fungible') {
-      holders = await ERC404Fungible.find({ balance: { $gt: '0' } });
-    } else if (tokenType === 'erc404-nft') {
-      holders = await ERC404NFT.distinct('owner');
-    } else if (tokenType === 'erc721') {
-      holders = await ERC721Holding.distinct('owner');
-    } else {
-      return res.status(400).json({ error: 'Invalid token type' });
+// Apply the events of a single transaction, skipping any log already applied
+// by an earlier delivery, and track the transaction's confirmation state
+async function processTransactionEvents(ctx, transactionHash, events) {
+  const { chainId, confirmed, block, session } = ctx;
+  const blockNumber = block?.number !== undefined ? Number(block.number) : undefined;
+
+  let processedTransaction = await ProcessedTransaction.findOne({ chainId, transactionHash }).session(session);
+
+  // A rolled back transaction that shows up again (e.g. re-included after a
+  // reorg) is applied from scratch
+  if (processedTransaction && processedTransaction.status === 'rolled_back') {
+    await processedTransaction.deleteOne({ session });
+    processedTransaction = null;
+  }
+
+  const txCtx = {
+    ...ctx,
+    transactionHash,
+    transaction: ctx.transactions.get(transactionHash),
+    transactionEvents: events,
+    pending: !confirmed,
+    journal: [],
+    processedTokenIds: new Set()
+  };
+
+  for (const event of events) {
+    const key = { chainId, transactionHash, logIndex: event.logIndex };
+
+    if (await ProcessedEvent.exists(key).session(session)) {
+      console.log(`Log already processed: ${transactionHash}#${event.logIndex}`);
+      continue;
     }
 
-    res.json(holders);
-  } catch (error) {
-    res.status(500).json({ error: 'Error fetching holders' });
+    if (await applyEvent(txCtx, event)) {
+      await ProcessedEvent.create([key], { session });
+    }
   }
-});
 
-// Health check endpoint
-app.get('/health', (req, res) => {
-  res.status(200).json({ status: 'ok' });
-});
+  if (!processedTransaction) {
+    // Nothing in this transaction concerned our contracts
+    if (txCtx.journal.length === 0) return;
 
-// Get openings for a token
-app.get('/openings/:tokenId', async (req, res) => {
-  try {
-    const { tokenId } = req.params;
-    const openings = await Opening.find({ tokenId }).sort({ timestamp: -1 });
-    res.json(openings);
-  } catch (error) {
-    res.status(500).json({ error: 'Error fetching openings' });
+    await ProcessedTransaction.create([{
+      chainId,
+      transactionHash,
+      status: confirmed ? 'confirmed' : 'pending',
+      blockNumber,
+      blockHash: block?.hash,
+      journal: txCtx.journal,
+      confirmedAt: confirmed ? new Date() : undefined
+    }], { session });
+
+    console.log('Transaction processed successfully:', transactionHash);
+    ctx.broadcasts.push({
+      type: confirmed ? 'TRANSACTION_CONFIRMED' : 'TRANSACTION_PENDING',
+      data: { chainId, transactionHash, blockNumber },
+      topics: getTransactionTopics(txCtx.journal)
+    });
+    return;
   }
-});
 
-// Get all openings for an address
-app.get('/address/:address/openings', async (req, res) => {
-  try {
-    const { address } = req.params;
-    const openings = await Opening.find({
-      $or: [
-        { 'tokenId': { $in: await ERC721Holding.find({ owner: address }).distinct('tokenId') } },
-        { 'tokenId': { $in: await ERC404NFT.find({ owner: address }).distinct('tokenId') } }
-      ]
-    }).sort({ timestamp: -1 });
-    res.json(openings);
-  } catch (error) {
-    res.status(500).json({ error: 'Error fetching openings' });
+  if (txCtx.journal.length > 0) {
+    processedTransaction.journal.push(...txCtx.journal);
   }
-});
 
-// Get minting details for a token
-app.get('/minting-details/:tokenId', async (req, res) => {
-  try {
-    const { tokenId } = req.params;
-    const details = await MintingDetails.findOne({ tokenId });
-    res.json(details);
-  } catch (error) {
-    res.status(500).json({ error: 'Error fetching minting details' });
+  // A transaction whose rollback was blocked is confirmed like a pending one
+  if (confirmed && ['pending', 'rollback_blocked'].includes(processedTransaction.status)) {
+    processedTransaction.blockNumber = blockNumber;
+    processedTransaction.blockHash = block?.hash;
+    await confirmTransaction(ctx, processedTransaction);
+  } else if (txCtx.journal.length > 0) {
+    await processedTransaction.save({ session });
   }
-});
+}
 
-// Get all minting details for an address
-app.get('/address/:address/minting-details', async (req, res) => {
-  try {
-    const { address } = req.params;
-    console.log('Fetching minting details for address:', address);
-    
-    const tokenIds = await ERC721Holding.find({ owner: address }).distinct('tokenId');
-    console.log('Found token IDs:', tokenIds);
-    
-    const details = await MintingDetails.find({
-      'tokenId': { $in: tokenIds }
-    })
-    .sort({ timestamp: -1 })
-    .lean(); // Use lean() for better performance
-    
-    console.log('Found minting details:', details.length);
-    
-    // Convert the data to match the frontend interface
-    const formattedDetails = details.map(detail => ({
-      ...detail,
-      timestamp: detail.timestamp.toISOString(), // Convert Date to string
-      rollResult: detail.rollResult || undefined,
-      payout: detail.payout || undefined,
-      levels: detail.levels.map(level => ({
-        winAmount: level.winAmount,
-        rollNumber: level.rollNumber
-      }))
-    }));
+// Apply a Moralis Stream payload to the database. Unconfirmed deliveries are
+// applied as pending and promoted when the matching confirmed delivery arrives.
+// The whole batch is applied in one MongoDB transaction. Transactions listed
+// in rollBack are rolled back first so they are applied again from scratch.
+// The USD prices of the block are recorded once it is applied.
+async function processWebhookPayload(payload, { rollBack = [], notify = true, client } = {}) {
+  const { confirmed, block } = payload;
+  const chainId = normalizeChainId(payload.chainId);
 
-    res.json(formattedDetails);
-  } catch (error) {
-    console.error('Error fetching address minting details:', error);
-    res.status(500).json({ error: 'Error fetching minting details' });
+  if (!deployments.some(deployment => deployment.chainId === chainId)) {
+    console.log(`No deployments configured for chain ${payload.chainId}`);
+    return { message: 'Chain not configured' };
   }
-});
-
-// Get all minting details
-app.get('/minting-details', async (req, res) => {
-  try {
-    console.log('Received request for minting details');
-    console.log('Request headers:', req.headers);
-    
-    const details = await MintingDetails.find()
-      .sort({ timestamp: -1 })
-      .lean(); // Use lean() for better performance
-    
-    console.log('Found minting details:', details.length);
-    
-    // Convert the data to match the frontend interface
-    const formattedDetails = details.map(detail => ({
-      ...detail,
-      timestamp: detail.timestamp.toISOString(), // Convert Date to string
-      rollResult: detail.rollResult || undefined,
-      payout: detail.payout || undefined,
-      levels: detail.levels.map(level => ({
-        winAmount: level.winAmount,
-        rollNumber: level.rollNumber
-      }))
-    }));
 
-    // Set proper headers
-    res.setHeader('Content-Type', 'application/json');
-    res.setHeader('Access-Control-Allow-Origin', '*');
-    res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
-    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization, Accept');
-    res.setHeader('Access-Control-Allow-Credentials', 'false');
+  const events = collectEvents(payload);
 
-    console.log('Sending response with', formattedDetails.length, 'details');
-    res.json(formattedDetails);
-  } catch (error) {
-    console.error('Error fetching all minting details:', error);
-    res.status(500).json({ error: 'Error fetching minting details' });
+  // Group events by transaction, keeping block order
+  const transactions = new Map();
+  for (const event of events) {
+    if (!transactions.has(event.transactionHash)) {
+      transactions.set(event.transactionHash, []);
+    }
+    transactions.get(event.transactionHash).push(event);
   }
-});
 
-// Add a test endpoint
-app.get('/test', (req, res) => {
-  console.log('Test endpoint hit');
-  res.setHeader('Content-Type', 'application/json');
-  res.setHeader('Access-Control-Allow-Origin', '*');
-  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
-  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization, Accept');
-  res.setHeader('Access-Control-Allow-Credentials', 'false');
-  res.json({ message: 'Server is running' });
-});
+  await runInTransaction(async (ctx) => {
+    const batchCtx = {
+      ...ctx,
+      chainId,
+      confirmed: Boolean(confirmed),
+      block,
+      // Native transactions by hash, when the stream includes them
+      transactions: new Map((payload.txs || []).map(tx => [tx.hash?.toLowerCase(), tx]))
+    };
 
-// Create HTTP server
-const server = app.listen(process.env.PORT || 3001, () => {
-  console.log(`Server running on port ${process.env.PORT || 3001}`);
-});
+    // A new delivery for a block height we already have may reveal a reorg
+    await rollbackReorgedTransactions(batchCtx, chainId, block);
+
+    for (const transactionHash of rollBack) {
+      const processedTransaction = await ProcessedTransaction.findOne({ chainId, transactionHash })
+        .session(ctx.session);
+      if (processedTransaction && processedTransaction.status !== 'rolled_back') {
+        await rollbackTransaction(batchCtx, processedTransaction, 'reprocess');
+      }
+    }
+
+    for (const [transactionHash, transactionEvents] of transactions) {
+      await processTransactionEvents(batchCtx, transactionHash, transactionEvents);
+    }
+  }, { notify });
 
-// Update WebSocket server configuration
-const wss = new WebSocket.Server({ 
-  server,
-  path: '/ws',
-  cors: {
-    origin: '*',
-    methods: ['GET', 'POST']
+  if (transactions.size === 0) {
+    console.log('No events found in payload');
+    return { message: 'No events found' };
   }
-});
 
-// WebSocket connection handling
-wss.on('connection', (ws) => {
-  console.log('Client connected');
+  await recordBlockPrices(chainId, block, { client });
+
+  return { message: 'Holdings updated successfully', transactions: transactions.size, events: events.length };
+}
+
+// Add to the webhook counters of the current hour
+async function recordIngestion(chainId, counters, blockNumber) {
+  const hour = new Date();
+  hour.setUTCMinutes(0, 0, 0);
+
+  const update = { $inc: counters, $set: { lastDeliveryAt: new Date() } };
+  if (Number.isInteger(blockNumber)) update.$max = { lastBlockNumber: blockNumber };
+
+  await IngestionStat.updateOne({ chainId: chainId || 'unknown', hour }, update, { upsert: true });
+}
 
-  ws.on('close', () => {
-    console.log('Client disconnected');
+// Ingestion queue. The webhook only stores the payload and acknowledges it;
+// a worker applies queued payloads one chain at a time, oldest block first, so
+// a failing payload holds back later blocks of its chain until it succeeds or
+// is quarantined after INGESTION_MAX_ATTEMPTS.
+const INGESTION_MAX_ATTEMPTS = parseInt(process.env.INGESTION_MAX_ATTEMPTS, 10) || 5;
+const INGESTION_RETRY_BASE_MS = 5 * 1000;
+const INGESTION_RETRY_MAX_MS = 10 * 60 * 1000;
+const INGESTION_LOCK_MS = 5 * 60 * 1000;
+const INGESTION_POLL_INTERVAL_MS = parseInt(process.env.INGESTION_POLL_INTERVAL_MS, 10) || 5 * 1000;
+const INGESTION_RETENTION_MS = (parseInt(process.env.INGESTION_RETENTION_DAYS, 10) || 7) * 24 * 60 * 60 * 1000;
+
+// Store a webhook payload for the worker
+function enqueueWebhookPayload(payload, source = 'webhook') {
+  const blockNumber = Number(payload.block?.number);
+
+  return IngestionJob.create({
+    chainId: normalizeChainId(payload.chainId) || 'unknown',
+    source,
+    blockNumber: Number.isInteger(blockNumber) ? blockNumber : undefined,
+    confirmed: Boolean(payload.confirmed),
+    payload
   });
-});
+}
+
+// Apply the oldest queued payload of a chain if it is due and not locked by
+// another worker, or run the next step of a backfill job. Returns the job, or
+// null when the chain has nothing to do.
+async function processNextIngestionJob(chainId, { client } = {}) {
+  const now = new Date();
+  const head = await IngestionJob.findOne({ chainId, status: 'queued' })
+    .sort({ blockNumber: 1, confirmed: 1, receivedAt: 1 })
+    .select('_id nextAttemptAt lockedUntil');
+
+  if (!head || head.nextAttemptAt > now || head.lockedUntil > now) return null;
+
+  const job = await IngestionJob.findOneAndUpdate(
+    { _id: head._id, status: 'queued', $or: [{ lockedUntil: null }, { lockedUntil: { $lte: now } }] },
+    { lockedUntil: new Date(now.getTime() + INGESTION_LOCK_MS), $inc: { attempts: 1 } },
+    { new: true }
+  );
+  if (!job) return null;
+
+  const startedAt = Date.now();
 
-// Function to broadcast updates to all connected clients
-function broadcastUpdate(type, data) {
-  console.log('Broadcasting update:', type, data);
-  wss.clients.forEach((client) => {
-    if (client.readyState === WebSocket.OPEN) {
-      client.send(JSON.stringify({ type, data }));
+  try {
+    if (job.kind === 'backfill') {
+      const finished = await runBackfillStep(client || await getEvmApiClient(), job);
+
+      job.lockedUntil = undefined;
+      if (finished) {
+        job.status = 'done';
+        job.processedAt = new Date();
+        job.expiresAt = new Date(Date.now() + INGESTION_RETENTION_MS);
+        console.log(`Backfill of chain ${chainId} queued:`, JSON.stringify(job.result));
+      } else {
+        // Attempts count failures of the current step only
+        job.attempts = 0;
+      }
+      await job.save();
+      return job;
     }
-  });
+
+    // History is not announced to outbound webhooks again
+    const result = await processWebhookPayload(job.payload, { notify: job.source !== 'backfill', client });
+
+    job.status = 'done';
+    job.result = result;
+    job.processedAt = new Date();
+    job.expiresAt = new Date(Date.now() + INGESTION_RETENTION_MS);
+    job.lockedUntil = undefined;
+    await job.save();
+
+    await recordIngestion(chainId, {
+      events: result.events || 0,
+      transactions: result.transactions || 0,
+      processingMs: Date.now() - startedAt
+    }, job.blockNumber);
+  } catch (error) {
+    console.error(`Error processing ingestion job ${job._id} (attempt ${job.attempts}):`, error);
+
+    job.lastError = error.message;
+    job.failures.push({ at: new Date(), error: error.message });
+    job.lockedUntil = undefined;
+
+    if (job.attempts >= INGESTION_MAX_ATTEMPTS) {
+      job.status = 'quarantined';
+      job.quarantinedAt = new Date();
+      console.log(`Ingestion job ${job._id} quarantined after ${job.attempts} attempts`);
+    } else {
+      const delay = Math.min(INGESTION_RETRY_BASE_MS * 2 ** (job.attempts - 1), INGESTION_RETRY_MAX_MS);
+      job.nextAttemptAt = new Date(Date.now() + delay);
+    }
+    await job.save();
+
+    await recordIngestion(chainId, {
+      failures: 1,
+      quarantined: job.status === 'quarantined' ? 1 : 0,
+      processingMs: Date.now() - startedAt
+    }, job.blockNumber);
+  }
+
+  return job;
+}
+
+// Work through the queue of every chain until each is empty or waiting on a
+// retry. Only one drain runs at a time per process; client is the EVM API
+// client backfill jobs read history with.
+let ingestionDrain = null;
+
+function drainIngestionQueue({ client } = {}) {
+  if (!ingestionDrain) {
+    ingestionDrain = (async () => {
+      let processed = 0;
+      const chainIds = await IngestionJob.distinct('chainId', { status: 'queued' });
+
+      for (const chainId of chainIds) {
+        while (await processNextIngestionJob(chainId, { client })) {
+          processed++;
+        }
+      }
+
+      return { processed };
+    })().finally(() => {
+      ingestionDrain = null;
+    });
+  }
+
+  return ingestionDrain;
+}
+
+// Put quarantined (or, with status, already applied) payloads back on the
+// queue. Applying a payload twice is safe, logs already applied are skipped.
+async function replayIngestionJobs({ ids, chainId, status = 'quarantined', fromBlock, toBlock } = {}) {
+  if (!['quarantined', 'done'].includes(status)) {
+    throw badRequest('status must be quarantined or done');
+  }
+
+  const filter = { status };
+  if (ids !== undefined) {
+    const list = Array.isArray(ids) ? ids : String(ids).split(',');
+    if (!list.every(id => mongoose.isValidObjectId(id))) {
+      throw badRequest('ids must be job ids');
+    }
+    filter._id = { $in: list };
+  }
+  if (chainId !== undefined) {
+    filter.chainId = normalizeChainId(chainId);
+    if (!filter.chainId) {
+      throw badRequest('chainId must be a chain name or id');
+    }
+  }
+  if (fromBlock !== undefined || toBlock !== undefined) {
+    filter.blockNumber = {};
+    if (fromBlock !== undefined) filter.blockNumber.$gte = Number(fromBlock);
+    if (toBlock !== undefined) filter.blockNumber.$lte = Number(toBlock);
+    if (Object.values(filter.blockNumber).some(Number.isNaN)) {
+      throw badRequest('fromBlock and toBlock must be block numbers');
+    }
+  }
+
+  const { modifiedCount } = await IngestionJob.updateMany(filter, {
+    $set: { status: 'queued', attempts: 0, nextAttemptAt: new Date() },
+    $unset: { lockedUntil: 1, expiresAt: 1, quarantinedAt: 1 }
+  });
+
+  console.log(`Requeued ${modifiedCount} ingestion jobs`);
+  return { requeued: modifiedCount };
+}
+
+// Webhook endpoint to receive Moralis Stream events. The payload is stored
+// before it is acknowledged; if that fails Moralis gets an error and retries.
+app.post('/webhook', verifyWebhookSignature, async (req, res) => {
+  const chainId = normalizeChainId(req.body.chainId);
+  const blockNumber = Number(req.body.block?.number);
+
+  try {
+    const job = await enqueueWebhookPayload(req.body);
+    res.status(200).json({ message: 'Queued', id: job._id });
+  } catch (error) {
+    console.error('Error queueing webhook:', error);
+    res.status(500).json({ error: 'Error queueing webhook' });
+    recordIngestion(chainId, { deliveries: 1, failures: 1 }, blockNumber).catch(statsError => {
+      console.error('Error recording ingestion stats:', statsError);
+    });
+    return;
+  }
+
+  recordIngestion(chainId, { deliveries: 1, confirmedDeliveries: req.body.confirmed ? 1 : 0 }, blockNumber).catch(error => {
+    console.error('Error recording ingestion stats:', error);
+  });
+
+  // Apply the payload right away. Anything left over (e.g. when a serverless
+  // function is frozen after responding) is picked up by the next drain.
+  drainIngestionQueue().catch(error => {
+    console.error('Error draining ingestion queue:', error);
+  });
+
+  // Pending transactions are swept opportunistically since serverless
+  // deployments can't rely on the interval below
+  rollbackStalePendingTransactions().catch(error => {
+    console.error('Error rolling back stale transactions:', error);
+  });
+  retryDueDeliveries().catch(error => {
+    console.error('Error retrying outbound webhooks:', error);
+  });
+});
+
+// Helper function to create an error that routes turn into a 400
+function badRequest(message) {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+}
+
+function conflict(message) {
+  const error = new Error(message);
+  error.statusCode = 409;
+  return error;
+}
+
+// Helper function to answer a route error with its 4xx status or a 500
+function sendRouteError(res, error, message) {
+  if (error.statusCode >= 400 && error.statusCode < 500) {
+    return res.status(error.statusCode).json({ error: error.message });
+  }
+
+  console.error(`${message}:`, error);
+  res.status(500).json({ error: message });
+}
+
+// Admin API keys. ADMIN_API_KEYS is a comma-separated list of name:role:key
+// entries; roles are cumulative (viewer < operator < admin). A plain
+// ADMIN_API_KEY is an admin key named "admin".
+const ADMIN_ROLES = ['viewer', 'operator', 'admin'];
+
+function loadAdminKeys() {
+  const keys = (process.env.ADMIN_API_KEYS || '')
+    .split(',')
+    .map(entry => entry.trim())
+    .filter(Boolean)
+    .map((entry) => {
+      const [name, role, ...rest] = entry.split(':');
+      const key = rest.join(':');
+
+      if (!name || !ADMIN_ROLES.includes(role) || !key) {
+        throw new Error(`Invalid ADMIN_API_KEYS entry for "${name}": expected name:role:key`);
+      }
+
+      return { name, role, key };
+    });
+
+  if (process.env.ADMIN_API_KEY) {
+    keys.push({ name: 'admin', role: 'admin', key: process.env.ADMIN_API_KEY });
+  }
+
+  // Keys are compared by hash so every comparison takes the same time
+  return keys.map(({ key, ...rest }) => ({ ...rest, hash: crypto.createHash('sha256').update(key).digest() }));
+}
+
+const adminKeys = loadAdminKeys();
+
+// Helper function to find the admin key sent in x-api-key or as a bearer token
+function findAdminKey(req) {
+  const provided = req.get('x-api-key') || (req.get('authorization') || '').replace(/^Bearer\s+/i, '');
+  if (!provided) return null;
+
+  const hash = crypto.createHash('sha256').update(provided).digest();
+  return adminKeys.find(admin => crypto.timingSafeEqual(admin.hash, hash)) || null;
+}
+
+// Helper function to write the audit log entry of an admin request
+function recordAdminAction(req, res, admin) {
+  AdminAuditLog.create({
+    actor: admin?.name,
+    role: admin?.role,
+    action: `${req.method} ${req.baseUrl}${req.route ? req.route.path : req.path}`,
+    params: req.params,
+    query: req.query,
+    body: req.body,
+    status: res.statusCode,
+    ip: req.ip
+  }).catch(error => {
+    console.error('Error writing admin audit log:', error);
+  });
+}
+
+// Middleware to protect operational endpoints. Every request, including
+// refused ones, is written to the audit log once the response is sent.
+function requireAdminRole(role) {
+  return (req, res, next) => {
+    if (adminKeys.length === 0) {
+      return res.status(503).json({ error: 'Admin API not configured' });
+    }
+
+    const admin = findAdminKey(req);
+    res.on('finish', () => recordAdminAction(req, res, admin));
+
+    if (!admin) {
+      return res.status(401).json({ error: 'Invalid API key' });
+    }
+
+    if (ADMIN_ROLES.indexOf(admin.role) < ADMIN_ROLES.indexOf(role)) {
+      return res.status(403).json({ error: `Requires the ${role} role` });
+    }
+
+    req.admin = admin;
+    next();
+  };
+}
+
+// Page through a Moralis EVM API endpoint until the cursor runs out
+async function fetchAllPages(request, params) {
+  const results = [];
+  let cursor;
+
+  do {
+    const response = await request({ ...params, cursor });
+    const { result = [], cursor: nextCursor } = response.raw;
+    results.push(...result);
+    cursor = nextCursor || undefined;
+  } while (cursor);
+
+  return results;
+}
+
+// Get (or create) the webhook-shaped payload for a block while backfilling
+function getBackfillBlock(blocks, chainId, item) {
+  const number = Number(item.block_number);
+
+  if (!blocks.has(number)) {
+    blocks.set(number, {
+      confirmed: true,
+      chainId,
+      block: {
+        number: String(number),
+        hash: item.block_hash,
+        timestamp: item.block_timestamp
+      },
+      nftTransfers: [],
+      erc20Transfers: [],
+      logs: []
+    });
+  }
+
+  return blocks.get(number);
+}
+
+// Deployments to run a backfill or reconciliation against; all of them
+// unless a chain is given
+function selectDeployments(chainId) {
+  if (chainId === undefined) return deployments;
+
+  const normalized = normalizeChainId(chainId);
+  const selected = deployments.filter(deployment => deployment.chainId === normalized);
+
+  if (selected.length === 0) {
+    throw badRequest(`No deployments configured for chain ${chainId}`);
+  }
+
+  return selected;
+}
+
+// The EVM API endpoints a deployment's history is read from, and how their
+// items map onto the fields of a webhook payload. The logs API needs a topic0,
+// so the contract's logs are read once per registered event.
+function getHistorySources(client, deployment) {
+  const toLog = item => ({
+    transactionHash: item.transaction_hash,
+    logIndex: String(item.log_index),
+    address: item.address,
+    data: item.data,
+    topic0: item.topic0,
+    topic1: item.topic1,
+    topic2: item.topic2,
+    topic3: item.topic3
+  });
+
+  const sources = [
+    {
+      field: 'nftTransfers',
+      request: params => client.nft.getNFTContractTransfers(params),
+      toItem: item => ({
+        transactionHash: item.transaction_hash,
+        logIndex: String(item.log_index),
+        contract: item.token_address,
+        tokenId: item.token_id,
+        from: item.from_address || ZERO_ADDRESS,
+        to: item.to_address
+      })
+    },
+    ...getRegisteredTopicHashes().map(topic0 => ({
+      field: 'logs',
+      request: params => client.events.getContractLogs({ ...params, topic0 }),
+      toItem: toLog
+    }))
+  ];
+
+  if (deployment.standard === 'ERC404') {
+    sources.push({
+      field: 'erc20Transfers',
+      request: params => client.token.getTokenTransfers(params),
+      toItem: item => ({
+        transactionHash: item.transaction_hash,
+        logIndex: String(item.log_index),
+        contract: item.token_address || item.address,
+        from: item.from_address || ZERO_ADDRESS,
+        to: item.to_address,
+        value: item.value
+      })
+    });
+  }
+
+  return sources.map(source => ({ ...source, deployment }));
+}
+
+// Empty the derived collections of a chain so a backfill rebuilds them, in one
+// transaction
+async function resetChainData(chainId) {
+  console.log(`Resetting holdings, minting details and pool history on chain ${chainId} before backfill`);
+
+  await runInTransaction(async ({ session }) => {
+    for (const Model of [
+      ERC721Holding, ERC404NFT, ERC404Fungible, BalanceSnapshot, Transfer, MintingDetails,
+      Opening, PoolEvent, PoolBalance, ProcessedEvent, ProcessedTransaction
+    ]) {
+      await Model.deleteMany({ chainId }, { session });
+    }
+  }, { notify: false });
+}
+
+// Run one step of a backfill job: read a page of every history source from the
+// job's next block onwards and queue the blocks that are complete as
+// webhook-shaped payloads. A block is complete when it is below the last block
+// of every page that has more after it. The job then moves to the first
+// incomplete block, so its payloads sort (and are applied) before its next
+// step. Returns true once the history is exhausted.
+async function runBackfillStep(client, job) {
+  const { fromBlock, toBlock, reset } = job.payload;
+  const progress = { blocks: 0, nftTransfers: 0, erc20Transfers: 0, logs: 0, ...job.result };
+
+  if (reset && !progress.resetAt) {
+    // Later payloads of the chain wait behind this job, but one a worker
+    // picked up before it was queued may still be being applied
+    const applying = await IngestionJob.exists({
+      _id: { $ne: job._id },
+      chainId: job.chainId,
+      status: 'queued',
+      lockedUntil: { $gt: new Date() }
+    });
+    if (applying) {
+      throw new Error(`Waiting for the payload being applied on chain ${job.chainId} before resetting it`);
+    }
+
+    await resetChainData(job.chainId);
+    progress.resetAt = new Date();
+  }
+
+  const nextBlock = job.blockNumber;
+  const sources = deployments
+    .filter(deployment => deployment.chainId === job.chainId)
+    .flatMap(deployment => getHistorySources(client, deployment));
+
+  // Helper function to read the sources from a block, one page or all of them
+  const readSources = async (start, end, allPages) => {
+    const blocks = new Map();
+    let complete = Infinity;
+
+    for (const source of sources) {
+      const { chainId, address } = source.deployment;
+      const sourceStart = fromBlock === undefined ? Math.max(start, source.deployment.startBlock) : start;
+      if (end !== undefined && sourceStart > end) continue;
+
+      const params = { chain: chainId, address, fromBlock: sourceStart, toBlock: end, order: 'ASC' };
+      let items;
+      if (allPages) {
+        items = await fetchAllPages(source.request, params);
+      } else {
+        const { result = [], cursor } = (await source.request(params)).raw;
+        items = result;
+        if (cursor && result.length > 0) {
+          complete = Math.min(complete, Number(result[result.length - 1].block_number));
+        }
+      }
+
+      for (const item of items) {
+        getBackfillBlock(blocks, chainId, item)[source.field].push(source.toItem(item));
+      }
+    }
+
+    return { blocks, complete };
+  };
+
+  let { blocks, complete } = await readSources(nextBlock, toBlock, false);
+
+  // A block with more items than fit on a page is read in full on its own
+  if (complete === nextBlock) {
+    ({ blocks } = await readSources(nextBlock, nextBlock, true));
+    complete = nextBlock + 1;
+  }
+
+  const numbers = [...blocks.keys()].filter(number => number < complete).sort((a, b) => a - b);
+  for (const number of numbers) {
+    const payload = blocks.get(number);
+    // Each source was read on its own, so put the block's items back in
+    // log order
+    for (const field of ['nftTransfers', 'erc20Transfers', 'logs']) {
+      payload[field].sort((a, b) => Number(a.logIndex) - Number(b.logIndex));
+    }
+    await enqueueWebhookPayload(payload, 'backfill');
+
+    progress.blocks++;
+    progress.nftTransfers += payload.nftTransfers.length;
+    progress.erc20Transfers += payload.erc20Transfers.length;
+    progress.logs += payload.logs.length;
+  }
+
+  job.result = progress;
+  if (complete === Infinity) return true;
+
+  job.blockNumber = complete;
+  return false;
+}
+
+// Queue a backfill of historical transfers and contract logs from the Moralis
+// EVM API, one job per chain. The jobs are run by the ingestion worker a page
+// at a time and their blocks are applied through the same code path as the
+// webhook. Each deployment starts at its configured startBlock unless
+// fromBlock is given. Pass reset to wipe the derived collections of the
+// chains being backfilled and rebuild them.
+async function queueBackfill({ chainId, fromBlock, toBlock, reset = false } = {}) {
+  const range = {};
+  if (fromBlock !== undefined) range.fromBlock = Number(fromBlock);
+  if (toBlock !== undefined) range.toBlock = Number(toBlock);
+  if (Object.values(range).some(value => !Number.isInteger(value) || value < 0)) {
+    throw badRequest('fromBlock and toBlock must be block numbers');
+  }
+
+  const selected = selectDeployments(chainId);
+  const chains = [...new Set(selected.map(deployment => deployment.chainId))];
+
+  const jobs = await IngestionJob.create(chains.map(chain => ({
+    chainId: chain,
+    source: 'backfill',
+    kind: 'backfill',
+    blockNumber: range.fromBlock ?? Math.min(...selected
+      .filter(deployment => deployment.chainId === chain)
+      .map(deployment => deployment.startBlock)),
+    confirmed: true,
+    payload: { ...range, reset: Boolean(reset) }
+  })));
+
+  console.log(`Queued backfill of chains ${chains.join(', ')}`);
+  return {
+    ...range,
+    reset: Boolean(reset),
+    jobs: jobs.map(job => ({ id: job._id, chainId: job.chainId, fromBlock: job.blockNumber }))
+  };
+}
+
+// Queue a backfill and work through the queue until it has been applied, for
+// the command line
+async function runBackfill({ client, ...options } = {}) {
+  const queued = await queueBackfill(options);
+  const ids = queued.jobs.map(job => job.id);
+
+  for (;;) {
+    await drainIngestionQueue({ client });
+
+    const pending = await IngestionJob.countDocuments({
+      $or: [{ _id: { $in: ids } }, { source: 'backfill', kind: 'payload' }],
+      status: 'queued'
+    });
+    if (pending === 0) break;
+
+    await new Promise(resolve => setTimeout(resolve, INGESTION_POLL_INTERVAL_MS));
+  }
+
+  const jobs = await IngestionJob.find({ _id: { $in: ids } }).select('chainId status result lastError').lean();
+  const summary = { ...queued, jobs };
+
+  console.log('Backfill complete:', JSON.stringify(summary));
+  return summary;
+}
+
+// Compare NFT holdings in the database with the on-chain owners
+async function reconcileNftHoldings(client, deployment, Model) {
+  const { chainId, address } = deployment;
+  const key = { chainId, contract: address };
+  const owners = await fetchAllPages(params => client.nft.getNFTOwners(params), { chain: chainId, address });
+  const onChain = new Map(owners.map(item => [String(item.token_id), item.owner_of.toLowerCase()]));
+  const stored = new Map((await Model.find(key).lean()).map(holding => [holding.tokenId, holding.owner]));
+
+  const report = { mismatched: [], missing: [], extra: [] };
+
+  for (const [tokenId, owner] of onChain) {
+    if (!stored.has(tokenId)) {
+      report.missing.push({ tokenId, chainOwner: owner });
+    } else if (stored.get(tokenId) !== owner) {
+      report.mismatched.push({ tokenId, dbOwner: stored.get(tokenId), chainOwner: owner });
+    }
+  }
+
+  for (const [tokenId, owner] of stored) {
+    if (!onChain.has(tokenId)) {
+      report.extra.push({ tokenId, dbOwner: owner });
+    }
+  }
+
+  return report;
+}
+
+// Compare ERC404 fungible balances in the database with on-chain balances
+async function reconcileFungibleBalances(client, deployment) {
+  const { chainId, address } = deployment;
+  const key = { chainId, contract: address };
+  const owners = await fetchAllPages(params => client.token.getTokenOwners(params), { chain: chainId, tokenAddress: address });
+  const onChain = new Map(owners.map(item => [item.owner_address.toLowerCase(), String(item.balance)]));
+  const stored = new Map(
+    (await ERC404Fungible.find({ ...key, balance: { $ne: '0' } }).lean()).map(holder => [holder.address, holder.balance])
+  );
+
+  const report = { mismatched: [], missing: [], extra: [] };
+
+  for (const [holder, balance] of onChain) {
+    if (!stored.has(holder)) {
+      report.missing.push({ address: holder, chainBalance: balance });
+    } else if (stored.get(holder) !== balance) {
+      report.mismatched.push({ address: holder, dbBalance: stored.get(holder), chainBalance: balance });
+    }
+  }
+
+  for (const [holder, balance] of stored) {
+    if (!onChain.has(holder)) {
+      report.extra.push({ address: holder, dbBalance: balance });
+    }
+  }
+
+  return report;
+}
+
+// Set holdings and balances to the on-chain ones found by a reconciliation, in
+// one MongoDB transaction. Each corrected row gets a 'reconcile' entry in the
+// transfer ledger, after every transfer stored for the contract, and the
+// changes are journaled under a confirmed 'reconcile-<id>' transaction, so a
+// later rollback of an earlier transaction sees them as a conflict instead of
+// undoing the repair. Returns that transaction hash, or null if nothing changed.
+async function repairReconcileDrift(deployment, Model, { nft, fungible }) {
+  const key = { chainId: deployment.chainId, contract: deployment.address };
+
+  return runInTransaction(async (ctx) => {
+    const last = await Transfer.findOne(key)
+      .sort({ blockNumber: -1, logIndex: -1 })
+      .select('blockNumber logIndex')
+      .session(ctx.session)
+      .lean();
+    const blockNumber = Number.isInteger(last?.blockNumber) ? last.blockNumber : undefined;
+    const repairCtx = {
+      ...ctx,
+      chainId: deployment.chainId,
+      deployment,
+      pending: false,
+      journal: [],
+      transactionHash: `reconcile-${new mongoose.Types.ObjectId()}`,
+      block: { number: blockNumber, timestamp: new Date().toISOString() }
+    };
+    let logIndex = last ? last.logIndex + 1 : 0;
+    const recordCorrection = fields => recordTransfer(repairCtx, { ...fields, type: 'reconcile', logIndex: logIndex++ });
+
+    for (const { tokenId, chainOwner = null } of [...nft.mismatched, ...nft.missing, ...nft.extra]) {
+      // Compare with the stored owner again, it may have moved since the report
+      const current = await Model.findOne({ ...key, tokenId }).session(ctx.session).lean();
+      const from = current ? current.owner : ZERO_ADDRESS;
+      if (from === (chainOwner || ZERO_ADDRESS)) continue;
+
+      await setHoldingOwner(repairCtx, Model, tokenId, chainOwner);
+      await recordCorrection({ kind: 'nft', tokenId, from, to: chainOwner || ZERO_ADDRESS });
+    }
+
+    if (fungible) {
+      for (const { address: holder, chainBalance = '0' } of [...fungible.mismatched, ...fungible.missing, ...fungible.extra]) {
+        const current = await ERC404Fungible.findOne({ ...key, address: holder }).session(ctx.session).lean();
+        const delta = BigInt(chainBalance) - BigInt(current ? current.balance : '0');
+        if (delta === 0n) continue;
+
+        const amount = (delta < 0n ? -delta : delta).toString();
+        await updateERC404FungibleBalance(repairCtx, holder, amount, delta > 0n);
+        await recordCorrection({
+          kind: 'fungible',
+          amount,
+          from: delta > 0n ? ZERO_ADDRESS : holder,
+          to: delta > 0n ? holder : ZERO_ADDRESS
+        });
+      }
+    }
+
+    if (repairCtx.journal.length === 0) return null;
+
+    await ProcessedTransaction.create([{
+      chainId: deployment.chainId,
+      transactionHash: repairCtx.transactionHash,
+      status: 'confirmed',
+      blockNumber,
+      journal: repairCtx.journal,
+      confirmedAt: new Date()
+    }], { session: ctx.session });
+
+    return repairCtx.transactionHash;
+  }, { notify: false });
+}
+
+// Cross-check stored holdings and balances against the ones derived from the
+// transfer ledger. Only reported, since on-chain reconciliation is the repair.
+async function checkHoldingsAgainstLedger(deployment, Model) {
+  const key = { chainId: deployment.chainId, contract: deployment.address };
+
+  const lastTransfers = await Transfer.aggregate([
+    { $match: { ...key, kind: 'nft' } },
+    { $sort: { tokenId: 1, blockNumber: -1, logIndex: -1 } },
+    { $group: { _id: '$tokenId', to: { $first: '$to' } } }
+  ]);
+  const ledger = new Map(lastTransfers
+    .filter(transfer => transfer.to !== ZERO_ADDRESS)
+    .map(transfer => [transfer._id, transfer.to]));
+  const stored = new Map((await Model.find(key).lean()).map(holding => [holding.tokenId, holding.owner]));
+
+  const report = { mismatched: [], missing: [], extra: [] };
+
+  for (const [tokenId, owner] of ledger) {
+    if (!stored.has(tokenId)) {
+      report.missing.push({ tokenId, ledgerOwner: owner });
+    } else if (stored.get(tokenId) !== owner) {
+      report.mismatched.push({ tokenId, dbOwner: stored.get(tokenId), ledgerOwner: owner });
+    }
+  }
+
+  for (const [tokenId, owner] of stored) {
+    if (!ledger.has(tokenId)) {
+      report.extra.push({ tokenId, dbOwner: owner });
+    }
+  }
+
+  if (deployment.standard !== 'ERC404') return report;
+
+  const ledgerBalances = await Transfer.aggregate([
+    { $match: { ...key, kind: 'fungible' } },
+    {
+      $project: {
+        entries: [
+          { address: '$from', delta: { $multiply: [{ $toDecimal: '$amount' }, -1] } },
+          { address: '$to', delta: { $toDecimal: '$amount' } }
+        ]
+      }
+    },
+    { $unwind: '$entries' },
+    { $match: { 'entries.address': { $ne: ZERO_ADDRESS } } },
+    { $group: { _id: '$entries.address', balance: { $sum: '$entries.delta' } } }
+  ]);
+  const ledgerFungible = new Map(ledgerBalances
+    .map(item => [item._id, BigInt(item.balance.toString())])
+    .filter(([, balance]) => balance !== 0n));
+  const storedFungible = new Map((await ERC404Fungible.find(key).lean())
+    .map(holder => [holder.address, BigInt(holder.balance)])
+    .filter(([, balance]) => balance !== 0n));
+
+  for (const [address, balance] of ledgerFungible) {
+    if (storedFungible.get(address) !== balance) {
+      report.mismatched.push({
+        address,
+        dbBalance: (storedFungible.get(address) || 0n).toString(),
+        ledgerBalance: balance.toString()
+      });
+    }
+  }
+
+  for (const [address, balance] of storedFungible) {
+    if (!ledgerFungible.has(address)) {
+      report.extra.push({ address, dbBalance: balance.toString() });
+    }
+  }
+
+  return report;
+}
+
+// Count the differences found in one part of a reconciliation report
+function countDrift(report) {
+  return report ? report.mismatched.length + report.missing.length + report.extra.length : 0;
+}
+
+// Diff our holdings against on-chain ownership and optionally repair drift
+async function reconcileHoldings({ client, chainId, repair = false } = {}) {
+  client = client || await getEvmApiClient();
+  const report = {
+    checkedAt: new Date(),
+    repaired: Boolean(repair),
+    deployments: []
+  };
+
+  for (const deployment of selectDeployments(chainId)) {
+    const Model = deployment.standard === 'ERC404' ? ERC404NFT : ERC721Holding;
+    const entry = {
+      chainId: deployment.chainId,
+      contract: deployment.address,
+      standard: deployment.standard,
+      nft: await reconcileNftHoldings(client, deployment, Model),
+      fungible: deployment.standard === 'ERC404' ? await reconcileFungibleBalances(client, deployment) : undefined
+    };
+
+    if (repair && countDrift(entry.nft) + countDrift(entry.fungible) > 0) {
+      entry.repairTransaction = await repairReconcileDrift(deployment, Model, entry);
+    }
+    entry.ledger = await checkHoldingsAgainstLedger(deployment, Model);
+
+    report.deployments.push(entry);
+  }
+
+  const drift = report.deployments.reduce((sum, item) => (
+    sum + countDrift(item.nft) + countDrift(item.fungible) + countDrift(item.ledger)
+  ), 0);
+  report.drift = drift;
+
+  console.log(`Reconciliation found ${drift} differences${repair && drift > 0 ? ' (repaired)' : ''}`);
+  return report;
+}
+
+// Queue a backfill of holdings and minting details from historical chain
+// data. Its progress shows in /admin/ingestion-queue.
+app.post('/admin/backfill', requireAdminRole('operator'), async (req, res) => {
+  try {
+    const { chainId, fromBlock, toBlock, reset } = req.body || {};
+    const queued = await queueBackfill({ chainId, fromBlock, toBlock, reset: reset === true });
+    res.status(202).json(queued);
+    drainIngestionQueue().catch(error => {
+      console.error('Error draining ingestion queue:', error);
+    });
+  } catch (error) {
+    sendRouteError(res, error, 'Error queueing backfill');
+  }
+});
+
+// Compare holdings with on-chain owners, repairing drift if requested
+app.post('/admin/reconcile', requireAdminRole('operator'), async (req, res) => {
+  try {
+    const { chainId, repair } = req.body || {};
+    const report = await reconcileHoldings({ chainId, repair: repair === true });
+    res.json(report);
+  } catch (error) {
+    sendRouteError(res, error, 'Error running reconciliation');
+  }
+});
+
+// Stream management. The stream is found by its tag and kept in line with
+// streamConfig: the ABI, topics, chains and webhook URL are updated when they
+// drift and contract addresses missing from the stream are added. Every
+// function takes the Streams client so a fake one can be passed in.
+const STREAM_FIELDS = ['webhookUrl', 'description', 'includeNativeTxs', 'includeContractLogs', 'chainIds', 'topic0', 'abi'];
+
+// Compare values regardless of key and array order
+function normalizeStreamValue(value) {
+  if (Array.isArray(value)) {
+    return value.map(normalizeStreamValue).sort((a, b) => (
+      JSON.stringify(a).localeCompare(JSON.stringify(b))
+    ));
+  }
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.keys(value).sort().map(key => [key, normalizeStreamValue(value[key])]));
+  }
+  return typeof value === 'string' ? value.toLowerCase() : value;
+}
+
+// Helper function to find our stream by its tag
+async function findStream(client) {
+  const streams = await fetchAllPages(params => client.getAll(params), { limit: 100 });
+  return streams.find(stream => stream.tag === streamConfig.tag) || null;
+}
+
+// Helper function to list the fields of a stream that differ from streamConfig
+function diffStream(stream) {
+  const desired = { ...streamConfig, chainIds: streamConfig.chains };
+  const changes = {};
+
+  for (const field of STREAM_FIELDS) {
+    const current = stream[field] ?? null;
+    if (JSON.stringify(normalizeStreamValue(current)) !== JSON.stringify(normalizeStreamValue(desired[field]))) {
+      changes[field] = { current, desired: desired[field] };
+    }
+  }
+
+  return changes;
+}
+
+// Helper function to compare the stream's addresses with the configured ones
+async function diffStreamAddresses(client, stream) {
+  const result = await fetchAllPages(params => client.getAddresses(params), { id: stream.id, limit: 100 });
+  const current = new Set(result.map(item => String(item.address).toLowerCase()));
+  const desired = new Set(streamConfig.contractAddresses);
+
+  return {
+    missing: [...desired].filter(address => !current.has(address)),
+    extra: [...current].filter(address => !desired.has(address))
+  };
+}
+
+// Report whether the stream exists, its status and how it differs from streamConfig
+async function getStreamStatus({ client } = {}) {
+  client = client || await getStreamsClient();
+  const stream = await findStream(client);
+
+  if (!stream) {
+    return { exists: false, tag: streamConfig.tag };
+  }
+
+  const addresses = await diffStreamAddresses(client, stream);
+  const changes = diffStream(stream);
+
+  return {
+    exists: true,
+    id: stream.id,
+    tag: stream.tag,
+    status: stream.status,
+    statusMessage: stream.statusMessage,
+    inSync: Object.keys(changes).length === 0 && addresses.missing.length === 0,
+    changes,
+    missingAddresses: addresses.missing,
+    extraAddresses: addresses.extra
+  };
+}
+
+// Create the stream if it is missing, otherwise update whatever drifted from
+// streamConfig. Addresses on the stream that are no longer configured are only
+// reported. With dryRun nothing is changed.
+async function syncStream({ client, dryRun = false } = {}) {
+  client = client || await getStreamsClient();
+  const fields = {
+    webhookUrl: streamConfig.webhookUrl,
+    description: streamConfig.description,
+    tag: streamConfig.tag,
+    chains: streamConfig.chains,
+    abi: streamConfig.abi,
+    topic0: streamConfig.topic0,
+    includeContractLogs: streamConfig.includeContractLogs,
+    includeNativeTxs: streamConfig.includeNativeTxs
+  };
+
+  const stream = await findStream(client);
+
+  if (!stream) {
+    console.log(`Stream ${streamConfig.tag} not found${dryRun ? '' : ', creating it'}`);
+    if (dryRun) {
+      return { action: 'create', dryRun, addedAddresses: streamConfig.contractAddresses };
+    }
+
+    const created = (await client.add(fields)).raw;
+    await client.addAddress({ id: created.id, address: streamConfig.contractAddresses });
+    return { action: 'create', dryRun, id: created.id, addedAddresses: streamConfig.contractAddresses };
+  }
+
+  const changes = diffStream(stream);
+  const addresses = await diffStreamAddresses(client, stream);
+  const updated = Object.keys(changes).length > 0;
+
+  if (!dryRun) {
+    if (updated) {
+      console.log(`Updating stream ${stream.id}: ${Object.keys(changes).join(', ')}`);
+      await client.update({ id: stream.id, ...fields });
+    }
+    if (addresses.missing.length > 0) {
+      console.log(`Adding ${addresses.missing.length} addresses to stream ${stream.id}`);
+      await client.addAddress({ id: stream.id, address: addresses.missing });
+    }
+  }
+
+  return {
+    action: updated || addresses.missing.length > 0 ? 'update' : 'none',
+    dryRun,
+    id: stream.id,
+    changes,
+    addedAddresses: addresses.missing,
+    extraAddresses: addresses.extra
+  };
+}
+
+// Pause or resume the stream
+async function setStreamStatus({ client, status } = {}) {
+  if (!['active', 'paused'].includes(status)) {
+    throw badRequest('status must be active or paused');
+  }
+
+  client = client || await getStreamsClient();
+  const stream = await findStream(client);
+
+  if (!stream) {
+    throw Object.assign(new Error(`Stream ${streamConfig.tag} not found`), { statusCode: 404 });
+  }
+
+  await client.updateStatus({ id: stream.id, status });
+  console.log(`Stream ${stream.id} is now ${status}`);
+  return { id: stream.id, previousStatus: stream.status, status };
+}
+
+// Get the stream's status and drift from the configuration
+app.get('/admin/stream', requireAdminRole('viewer'), async (req, res) => {
+  try {
+    res.json(await getStreamStatus());
+  } catch (error) {
+    sendRouteError(res, error, 'Error fetching stream status');
+  }
+});
+
+// Create or update the stream to match the configuration
+app.post('/admin/stream/sync', requireAdminRole('operator'), async (req, res) => {
+  try {
+    const { dryRun } = req.body || {};
+    res.json(await syncStream({ dryRun: dryRun === true }));
+  } catch (error) {
+    sendRouteError(res, error, 'Error syncing stream');
+  }
+});
+
+// Pause or resume the stream
+app.post('/admin/stream/pause', requireAdminRole('operator'), async (req, res) => {
+  try {
+    res.json(await setStreamStatus({ status: 'paused' }));
+  } catch (error) {
+    sendRouteError(res, error, 'Error pausing stream');
+  }
+});
+
+app.post('/admin/stream/resume', requireAdminRole('operator'), async (req, res) => {
+  try {
+    res.json(await setStreamStatus({ status: 'active' }));
+  } catch (error) {
+    sendRouteError(res, error, 'Error resuming stream');
+  }
+});
+
+// JSON-RPC indexer, an ingestion path that does not depend on Moralis. It
+// polls eth_getLogs for each deployment from a per-contract cursor up to
+// RPC_CONFIRMATIONS blocks behind the head, turns the logs into the payload
+// shape Moralis Streams posts and queues them like webhook deliveries. With
+// RPC_INDEXER_MODE=verify it only reports logs the database is missing, to
+// cross-check a Streams setup. Endpoints come from RPC_URLS, a JSON object of
+// chain to URL, or RPC_URL for CHAIN_ID.
+const RPC_INDEXER_MODE = process.env.RPC_INDEXER_MODE || 'apply';
+const RPC_CONFIRMATIONS = parseInt(process.env.RPC_CONFIRMATIONS ?? '12', 10);
+const RPC_BLOCK_RANGE = parseInt(process.env.RPC_BLOCK_RANGE, 10) || 2000;
+const RPC_POLL_INTERVAL_MS = parseInt(process.env.RPC_POLL_INTERVAL_MS, 10) || 15 * 1000;
+const RPC_TIMEOUT_MS = 20 * 1000;
+// Block ranges fetched per contract per pass, so one pass stays short while catching up
+const RPC_MAX_RANGES_PER_PASS = 10;
+
+function loadRpcUrls() {
+  const configured = process.env.RPC_URLS
+    ? JSON.parse(process.env.RPC_URLS)
+    : process.env.RPC_URL ? { [process.env.CHAIN_ID || '0x1']: process.env.RPC_URL } : {};
+
+  const urls = new Map();
+  for (const [chain, url] of Object.entries(configured)) {
+    const chainId = normalizeChainId(chain);
+    if (!chainId) {
+      throw new Error(`Invalid chain in RPC_URLS: ${chain}`);
+    }
+    urls.set(chainId, url);
+  }
+
+  return urls;
+}
+
+const rpcUrls = loadRpcUrls();
+let rpcRequestId = 0;
+
+async function rpcCall(url, method, params) {
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ jsonrpc: '2.0', id: ++rpcRequestId, method, params }),
+    signal: AbortSignal.timeout(RPC_TIMEOUT_MS)
+  });
+
+  if (!response.ok) {
+    throw new Error(`${method} failed with HTTP ${response.status}`);
+  }
+
+  const body = await response.json();
+  if (body.error) {
+    const error = new Error(`${method} failed: ${body.error.message}`);
+    error.code = body.error.code;
+    throw error;
+  }
+
+  return body.result;
+}
+
+// Whether a node refused eth_getLogs because the range or its result is too
+// large. Nodes word this differently: -32005 is the standard "limit exceeded"
+// code, and the rest say so in the message (e.g. "query returned more than
+// 10000 results", "block range is too wide", "Log response size exceeded").
+function isRpcRangeTooLarge(error) {
+  if (error.code === -32005) return true;
+  return /more than \d+ results|block range|range (is )?too|too (large|wide|many)|response size|limit exceeded/i.test(error.message);
+}
+
+// Fetch the logs of a block range, halving the range when the node refuses
+// one that is too large. Any other error is thrown.
+async function fetchRpcLogs(url, address, fromBlock, toBlock) {
+  try {
+    const logs = await rpcCall(url, 'eth_getLogs', [{
+      address,
+      fromBlock: ethers.utils.hexValue(fromBlock),
+      toBlock: ethers.utils.hexValue(toBlock),
+      topics: [getRegisteredTopicHashes()]
+    }]);
+    return { logs, toBlock };
+  } catch (error) {
+    if (toBlock === fromBlock || !isRpcRangeTooLarge(error)) throw error;
+    const middle = fromBlock + Math.floor((toBlock - fromBlock) / 2);
+    console.log(`eth_getLogs ${fromBlock}-${toBlock} failed (${error.message}), retrying up to ${middle}`);
+    return fetchRpcLogs(url, address, fromBlock, middle);
+  }
+}
+
+// Turn raw logs into confirmed Streams-shaped payloads, one per block.
+// Transfer logs are also listed as nftTransfers / erc20Transfers the way
+// Moralis does, and mint transactions are fetched for their value.
+async function buildRpcPayloads(url, deployment, logs) {
+  const blocks = new Map();
+  const mintTopic = [...eventRegistry].find(([, variants]) => variants.some(variant => variant.name === 'TicketMinted'))[0];
+  const mintTransactions = new Set();
+
+  for (const log of logs) {
+    if (log.removed) continue;
+
+    const number = Number(log.blockNumber);
+    if (!blocks.has(number)) {
+      blocks.set(number, {
+        confirmed: true,
+        chainId: deployment.chainId,
+        block: { number: String(number), hash: log.blockHash },
+        nftTransfers: [],
+        erc20Transfers: [],
+        logs: [],
+        txs: []
+      });
+    }
+
+    const payload = blocks.get(number);
+    const [topic0, topic1, topic2, topic3] = log.topics;
+    const item = {
+      transactionHash: log.transactionHash,
+      logIndex: String(Number(log.logIndex)),
+      address: log.address.toLowerCase(),
+      data: log.data,
+      topic0,
+      topic1,
+      topic2,
+      topic3
+    };
+    payload.logs.push(item);
+
+    if (topic0 === TRANSFER_TOPIC && log.topics.length >= 3) {
+      const transfer = {
+        transactionHash: log.transactionHash,
+        logIndex: item.logIndex,
+        contract: item.address,
+        from: ethers.utils.hexDataSlice(topic1, 12),
+        to: ethers.utils.hexDataSlice(topic2, 12)
+      };
+
+      if (log.topics.length === 4) {
+        payload.nftTransfers.push({ ...transfer, tokenId: BigInt(topic3).toString() });
+      } else if (deployment.standard === 'ERC404') {
+        payload.erc20Transfers.push({ ...transfer, value: BigInt(log.data).toString() });
+      }
+    }
+
+    if (topic0 === mintTopic) mintTransactions.add(log.transactionHash);
+  }
+
+  for (const payload of blocks.values()) {
+    const block = await rpcCall(url, 'eth_getBlockByNumber', [ethers.utils.hexValue(Number(payload.block.number)), false]);
+    payload.block.timestamp = String(Number(block.timestamp));
+
+    for (const hash of new Set(payload.logs.map(log => log.transactionHash))) {
+      if (!mintTransactions.has(hash)) continue;
+      const tx = await rpcCall(url, 'eth_getTransactionByHash', [hash]);
+      payload.txs.push({ hash, fromAddress: tx.from.toLowerCase(), toAddress: tx.to?.toLowerCase(), value: BigInt(tx.value).toString() });
+    }
+  }
+
+  return [...blocks.values()].sort((a, b) => Number(a.block.number) - Number(b.block.number));
+}
+
+// Logs of the payloads that were not applied from any source
+async function findMissingLogs(chainId, payloads) {
+  const missing = [];
+
+  for (const payload of payloads) {
+    for (const event of collectEvents(payload)) {
+      // Transfer logs are applied through their nftTransfers / erc20Transfers entry
+      if (event.kind === 'log' && event.item.topic0 === TRANSFER_TOPIC) continue;
+
+      const applied = await ProcessedEvent.exists({ chainId, transactionHash: event.transactionHash, logIndex: event.logIndex });
+      if (!applied) {
+        missing.push({
+          transactionHash: event.transactionHash,
+          logIndex: event.logIndex,
+          blockNumber: Number(payload.block.number),
+          topic0: event.item.topic0
+        });
+      }
+    }
+  }
+
+  return missing;
+}
+
+// Index one deployment up to the safe block. Returns what was covered.
+async function indexDeploymentFromRpc(url, deployment, safeBlock, mode) {
+  const key = { chainId: deployment.chainId, contract: deployment.address };
+  const cursor = await IndexerCursor.findOne(key).lean();
+  // Without a cursor or startBlock there is no history to catch up on here;
+  // use a backfill for that
+  let fromBlock = cursor ? cursor.lastBlock + 1 : (deployment.startBlock || safeBlock);
+  const summary = { ...key, fromBlock, toBlock: fromBlock - 1, payloads: 0, logs: 0, missing: 0 };
+
+  for (let ranges = 0; ranges < RPC_MAX_RANGES_PER_PASS && fromBlock <= safeBlock; ranges++) {
+    const { logs, toBlock } = await fetchRpcLogs(url, deployment.address, fromBlock, Math.min(fromBlock + RPC_BLOCK_RANGE - 1, safeBlock));
+    const payloads = await buildRpcPayloads(url, deployment, logs);
+    const update = { lastBlock: toBlock, updatedAt: new Date(), $unset: { lastError: 1 } };
+
+    if (mode === 'verify') {
+      const missing = await findMissingLogs(deployment.chainId, payloads);
+      update.$inc = { checkedLogs: logs.length, missingLogs: missing.length };
+      if (missing.length > 0) {
+        update.$push = { lastMissing: { $each: missing, $slice: -100 } };
+        console.log(`${deployment.label}: ${missing.length} logs in blocks ${fromBlock}-${toBlock} are missing from the database`);
+      }
+      summary.missing += missing.length;
+    } else {
+      for (const payload of payloads) {
+        await enqueueWebhookPayload(payload, 'rpc');
+      }
+    }
+
+    // The cursor only moves once the range's payloads are stored
+    await IndexerCursor.updateOne(key, update, { upsert: true });
+
+    summary.toBlock = toBlock;
+    summary.payloads += payloads.length;
+    summary.logs += logs.length;
+    fromBlock = toBlock + 1;
+  }
+
+  return summary;
+}
+
+// Run one indexing pass over every deployment with an RPC endpoint
+async function runRpcIndexer({ chainId, mode = RPC_INDEXER_MODE } = {}) {
+  if (!['apply', 'verify'].includes(mode)) {
+    throw badRequest('mode must be apply or verify');
+  }
+
+  const summaries = [];
+
+  for (const deployment of selectDeployments(chainId)) {
+    const url = rpcUrls.get(deployment.chainId);
+    if (!url) continue;
+
+    try {
+      const head = Number(await rpcCall(url, 'eth_blockNumber', []));
+      const summary = await indexDeploymentFromRpc(url, deployment, head - RPC_CONFIRMATIONS, mode);
+      summaries.push({ ...summary, head });
+    } catch (error) {
+      console.error(`Error indexing ${deployment.label} over RPC:`, error);
+      await IndexerCursor.updateOne(
+        { chainId: deployment.chainId, contract: deployment.address },
+        { lastError: error.message, updatedAt: new Date() }
+      );
+      summaries.push({ chainId: deployment.chainId, contract: deployment.address, error: error.message });
+    }
+  }
+
+  if (mode === 'apply' && summaries.some(summary => summary.payloads > 0)) {
+    await drainIngestionQueue();
+  }
+
+  return { mode, deployments: summaries };
+}
+
+// Get the indexer cursors with how far behind the head each one is
+app.get('/admin/indexer', requireAdminRole('viewer'), async (req, res) => {
+  try {
+    const cursors = await IndexerCursor.find().select('-_id -__v').lean();
+    const heads = new Map();
+
+    for (const [chainId, url] of rpcUrls) {
+      try {
+        heads.set(chainId, Number(await rpcCall(url, 'eth_blockNumber', [])));
+      } catch (error) {
+        heads.set(chainId, null);
+      }
+    }
+
+    res.json({
+      mode: RPC_INDEXER_MODE,
+      confirmations: RPC_CONFIRMATIONS,
+      chains: [...rpcUrls.keys()],
+      cursors: cursors.map(cursor => ({
+        ...cursor,
+        head: heads.get(cursor.chainId) ?? null,
+        lag: heads.get(cursor.chainId) ? heads.get(cursor.chainId) - cursor.lastBlock : null
+      }))
+    });
+  } catch (error) {
+    sendRouteError(res, error, 'Error fetching indexer status');
+  }
+});
+
+// Run an indexing pass now, { chainId, mode }
+app.post('/admin/indexer/run', requireAdminRole('operator'), async (req, res) => {
+  try {
+    const { chainId, mode } = req.body || {};
+    res.json(await runRpcIndexer({ chainId, mode }));
+  } catch (error) {
+    sendRouteError(res, error, 'Error running indexer');
+  }
+});
+
+// Operational fixes. Each takes the Moralis EVM API client so a fake one can
+// be passed in.
+
+function notFound(message) {
+  const error = new Error(message);
+  error.statusCode = 404;
+  return error;
+}
+
+// Build a webhook-shaped payload for one transaction from the Moralis EVM API
+async function fetchTransactionPayload(client, chainId, transactionHash) {
+  const response = await client.transaction.getTransactionVerbose({ chain: chainId, transactionHash });
+  const tx = response && response.raw;
+
+  if (!tx) {
+    throw notFound(`Transaction ${transactionHash} not found on chain ${chainId}`);
+  }
+
+  const payload = {
+    confirmed: true,
+    chainId,
+    block: { number: String(tx.block_number), hash: tx.block_hash, timestamp: tx.block_timestamp },
+    nftTransfers: [],
+    erc20Transfers: [],
+    logs: [],
+    txs: [{ hash: tx.hash, fromAddress: tx.from_address, toAddress: tx.to_address, value: tx.value }]
+  };
+  const topicToAddress = topic => ethers.utils.hexDataSlice(topic, 12).toLowerCase();
+
+  for (const log of tx.logs || []) {
+    const item = {
+      transactionHash: tx.hash,
+      logIndex: String(log.log_index),
+      address: log.address,
+      data: log.data,
+      topic0: log.topic0,
+      topic1: log.topic1,
+      topic2: log.topic2,
+      topic3: log.topic3
+    };
+    payload.logs.push(item);
+
+    if (log.topic0?.toLowerCase() !== TRANSFER_TOPIC || !log.topic2) continue;
+
+    // ERC721 transfers index the token id, ERC20 transfers carry the amount in data
+    const transfer = {
+      transactionHash: tx.hash,
+      logIndex: item.logIndex,
+      contract: log.address,
+      from: topicToAddress(log.topic1),
+      to: topicToAddress(log.topic2)
+    };
+    if (log.topic3) {
+      payload.nftTransfers.push({ ...transfer, tokenId: BigInt(log.topic3).toString() });
+    } else {
+      payload.erc20Transfers.push({ ...transfer, value: BigInt(log.data).toString() });
+    }
+  }
+
+  return payload;
+}
+
+// Helper function to work out which chain an admin request means, falling
+// back to the only chain the transaction or the deployments are on
+async function resolveAdminChain(chainId, transactionHash) {
+  if (chainId !== undefined) {
+    const chain = normalizeChainId(chainId);
+    if (!deployments.some(deployment => deployment.chainId === chain)) {
+      throw badRequest(`No deployments configured for chain ${chainId}`);
+    }
+    return chain;
+  }
+
+  const known = transactionHash ? await ProcessedTransaction.distinct('chainId', { transactionHash }) : [];
+  const chains = known.length > 0 ? known : [...new Set(deployments.map(deployment => deployment.chainId))];
+
+  if (chains.length !== 1) {
+    throw badRequest('chainId is required');
+  }
+
+  return chains[0];
+}
+
+// Fetch a transaction again and apply any of its logs that are not applied
+// yet, e.g. logs dead-lettered before their event was registered. With
+// rollBack the transaction is undone and applied from scratch. That restores
+// its tickets as they were before it, so it is refused (409) while a later
+// transaction that changed the same tickets is still applied.
+async function reprocessTransaction({ client, chainId, transactionHash, rollBack = false } = {}) {
+  if (!/^0x[0-9a-fA-F]{64}$/.test(transactionHash || '')) {
+    throw badRequest('transactionHash must be a transaction hash');
+  }
+
+  const hash = transactionHash.toLowerCase();
+  const chain = await resolveAdminChain(chainId, hash);
+  client = client || await getEvmApiClient();
+  const payload = await fetchTransactionPayload(client, chain, hash);
+  const result = await processWebhookPayload(payload, { rollBack: rollBack ? [hash] : [], client });
+
+  // Logs that are applied now no longer belong in the dead-letter
+  const processed = await ProcessedEvent.distinct('logIndex', { chainId: chain, transactionHash: hash });
+  const resolved = await DeadLetterLog.deleteMany({ chainId: chain, transactionHash: hash, logIndex: { $in: processed } });
+
+  console.log(`Reprocessed transaction ${hash} on chain ${chain}`);
+  return { chainId: chain, transactionHash: hash, rolledBack: rollBack, resolvedDeadLetters: resolved.deletedCount, ...result };
+}
+
+// Delete the processed markers of a transaction without undoing its changes,
+// so the next delivery of it is applied again
+async function deleteTransactionMarker({ chainId, transactionHash } = {}) {
+  if (!/^0x[0-9a-fA-F]{64}$/.test(transactionHash || '')) {
+    throw badRequest('transactionHash must be a transaction hash');
+  }
+
+  const hash = transactionHash.toLowerCase();
+  const chain = await resolveAdminChain(chainId, hash);
+  const filter = { chainId: chain, transactionHash: hash };
+
+  if (!await ProcessedTransaction.exists(filter)) {
+    throw notFound('Transaction not found');
+  }
+
+  let events = 0;
+  await runInTransaction(async (ctx) => {
+    await ProcessedTransaction.deleteOne(filter, { session: ctx.session });
+    events = (await ProcessedEvent.deleteMany(filter, { session: ctx.session })).deletedCount;
+  });
+
+  console.log(`Deleted processed markers of ${hash} on chain ${chain}`);
+  return { chainId: chain, transactionHash: hash, deletedEvents: events };
+}
+
+// Rebuild one token from chain data: its transfer ledger and holding from the
+// token's transfers, and its ticket and openings by replaying its game events
+async function resyncToken({ client, chainId, contract, tokenId } = {}) {
+  if (!/^\d+$/.test(String(tokenId))) {
+    throw badRequest('tokenId must be a number');
+  }
+
+  const filter = parseDeploymentFilter({ chain: chainId, contract });
+  const matching = deployments.filter(deployment => (
+    (!filter.chainId || deployment.chainId === filter.chainId) &&
+    (!filter.contract || deployment.address === filter.contract)
+  ));
+
+  if (matching.length !== 1) {
+    throw badRequest('chainId and contract must select exactly one deployment');
+  }
+
+  const [deployment] = matching;
+  client = client || await getEvmApiClient();
+  const key = { chainId: deployment.chainId, contract: deployment.address };
+  const range = { chain: deployment.chainId, address: deployment.address };
+  const paddedTokenId = ethers.utils.hexZeroPad(ethers.BigNumber.from(tokenId).toHexString(), 32);
+
+  const transfers = (await fetchAllPages(params => client.nft.getNFTTransfers(params), { ...range, tokenId: String(tokenId) }))
+    .sort((a, b) => Number(a.block_number) - Number(b.block_number) || Number(a.log_index) - Number(b.log_index));
+
+  // Ticket events index the token id as their first or second topic. The
+  // logs API needs a topic0 and filters on nothing else, so each ticket
+  // event's logs are read and those of other tokens dropped here.
+  const ticketTopics = [...eventRegistry].filter(([, variants]) => variants.some(variant => (
+    variant.handler && variant.fragment.inputs.some(input => input.name === 'tokenId')
+  ))).map(([topic0]) => topic0);
+  const logs = [];
+  for (const topic0 of ticketTopics) {
+    const topicLogs = await fetchAllPages(params => client.events.getContractLogs(params), {
+      ...range,
+      fromBlock: deployment.startBlock,
+      topic0
+    });
+    logs.push(...topicLogs.filter(log => [log.topic1, log.topic2].some(topic => topic?.toLowerCase() === paddedTokenId)));
+  }
+
+  const events = [];
+  for (const log of logs) {
+    const topics = [log.topic0, log.topic1, log.topic2, log.topic3].filter(Boolean);
+    const entry = (eventRegistry.get(log.topic0?.toLowerCase()) || []).find(variant => variant.topicCount === topics.length);
+    if (!entry || !entry.handler) continue;
+
+    const args = entry.iface.parseLog({ data: log.data, topics }).args;
+    if (!args.tokenId || args.tokenId.toString() !== String(tokenId)) continue;
+
+    events.push({ log, entry, args });
+  }
+  events.sort((a, b) => (
+    Number(a.log.block_number) - Number(b.log.block_number) || Number(a.log.log_index) - Number(b.log.log_index)
+  ));
+
+  // Mints need their transaction to work out the price paid
+  const mintPayloads = new Map();
+  for (const { log, entry } of events) {
+    if (entry.name === 'TicketMinted' && !mintPayloads.has(log.transaction_hash)) {
+      mintPayloads.set(log.transaction_hash, await fetchTransactionPayload(client, deployment.chainId, log.transaction_hash));
+    }
+  }
+
+  const getBlock = item => ({ number: String(item.block_number), hash: item.block_hash, timestamp: item.block_timestamp });
+  let owner = null;
+
+  await runInTransaction(async (ctx) => {
+    const baseCtx = { ...ctx, chainId: deployment.chainId, deployment, pending: false, journal: [], processedTokenIds: new Set() };
+
+    for (const item of transfers) {
+      const transferCtx = { ...baseCtx, block: getBlock(item), transactionHash: item.transaction_hash.toLowerCase() };
+      const transfer = buildTransfer(transferCtx, {
+        kind: 'nft',
+        tokenId: String(tokenId),
+        from: item.from_address || ZERO_ADDRESS,
+        to: item.to_address,
+        logIndex: Number(item.log_index)
+      });
+      await Transfer.updateOne(
+        { chainId: transfer.chainId, transactionHash: transfer.transactionHash, logIndex: transfer.logIndex },
+        { $setOnInsert: transfer },
+        { upsert: true, session: ctx.session }
+      );
+    }
+
+    const last = transfers[transfers.length - 1];
+    if (last) {
+      const Model = deployment.standard === 'ERC404' ? ERC404NFT : ERC721Holding;
+      owner = last.to_address.toLowerCase() === ZERO_ADDRESS ? null : last.to_address.toLowerCase();
+      await setHoldingOwner({ ...baseCtx, block: getBlock(last) }, Model, String(tokenId), owner);
+    }
+
+    // Without any game events on chain there is nothing to rebuild the ticket from
+    if (events.length === 0) return;
+
+    await MintingDetails.deleteMany({ ...key, tokenId: String(tokenId) }, { session: ctx.session });
+    await Opening.deleteMany({ ...key, tokenId: String(tokenId) }, { session: ctx.session });
+
+    for (const { log, entry, args } of events) {
+      const transactionHash = log.transaction_hash.toLowerCase();
+      const payload = mintPayloads.get(log.transaction_hash);
+
+      await entry.handler({
+        ...baseCtx,
+        block: getBlock(log),
+        transactionHash,
+        transaction: payload && payload.txs[0],
+        transactionEvents: payload ? collectEvents(payload) : []
+      }, args, {
+        eventName: entry.name,
+        tokenType: deployment.standard,
+        contract: deployment.address,
+        topic0: log.topic0.toLowerCase(),
+        logIndex: Number(log.log_index)
+      });
+    }
+  }, { notify: false });
+
+  console.log(`Resynced token ${tokenId} of ${deployment.label}`);
+  return { ...key, tokenId: String(tokenId), owner, transfers: transfers.length, events: events.length };
+}
+
+// Reapply the logs of a transaction that are not applied yet, or with
+// rollBack undo and reapply the whole transaction
+app.post('/admin/transactions/:transactionHash/reprocess', requireAdminRole('operator'), async (req, res) => {
+  try {
+    const { chainId, rollBack } = req.body || {};
+    const { transactionHash } = req.params;
+    res.json(await reprocessTransaction({ chainId, transactionHash, rollBack: rollBack === true }));
+  } catch (error) {
+    sendRouteError(res, error, 'Error reprocessing transaction');
+  }
+});
+
+// Delete a bogus processed-transaction marker so the transaction can be delivered again
+app.delete('/admin/transactions/:transactionHash', requireAdminRole('admin'), async (req, res) => {
+  try {
+    const { transactionHash } = req.params;
+    res.json(await deleteTransactionMarker({ chainId: req.query.chainId, transactionHash }));
+  } catch (error) {
+    sendRouteError(res, error, 'Error deleting transaction marker');
+  }
+});
+
+// Rebuild one token from chain data
+app.post('/admin/tokens/:tokenId/resync', requireAdminRole('operator'), async (req, res) => {
+  try {
+    const { chainId, contract } = req.body || {};
+    res.json(await resyncToken({ chainId, contract, tokenId: req.params.tokenId }));
+  } catch (error) {
+    sendRouteError(res, error, 'Error resyncing token');
+  }
+});
+
+// Get the logs that could not be decoded or had no registered event, and the
+// transactions that could not be rolled back
+app.get('/admin/dead-letters', requireAdminRole('viewer'), async (req, res) => {
+  try {
+    const { chainId } = parseDeploymentFilter(req.query);
+    const filter = { ...parseDateRange(req.query, 'receivedAt') };
+    if (chainId) filter.chainId = chainId;
+    if (req.query.reason) filter.reason = req.query.reason;
+    if (req.query.transactionHash) filter.transactionHash = req.query.transactionHash.toLowerCase();
+
+    const list = parseListQuery(req.query, { receivedAt: 'receivedAt' });
+    res.json(await paginate(DeadLetterLog, filter, list));
+  } catch (error) {
+    sendRouteError(res, error, 'Error fetching dead letters');
+  }
+});
+
+// Get webhook ingestion counters and processing state, ?hours= to widen the
+// window (default 24)
+app.get('/admin/ingestion-stats', requireAdminRole('viewer'), async (req, res) => {
+  try {
+    const hours = req.query.hours === undefined ? 24 : Number(req.query.hours);
+    if (!Number.isInteger(hours) || hours < 1 || hours > 24 * 90) {
+      throw badRequest('hours must be an integer between 1 and 2160');
+    }
+
+    const since = new Date(Date.now() - hours * 60 * 60 * 1000);
+    since.setUTCMinutes(0, 0, 0);
+
+    const [chains, series, transactions, deadLetters, queue] = await Promise.all([
+      IngestionStat.aggregate([
+        { $match: { hour: { $gte: since } } },
+        {
+          $group: {
+            _id: '$chainId',
+            deliveries: { $sum: '$deliveries' },
+            confirmedDeliveries: { $sum: '$confirmedDeliveries' },
+            events: { $sum: '$events' },
+            transactions: { $sum: '$transactions' },
+            failures: { $sum: '$failures' },
+            rejectedSignatures: { $sum: '$rejectedSignatures' },
+            processingMs: { $sum: '$processingMs' },
+            lastDeliveryAt: { $max: '$lastDeliveryAt' },
+            lastBlockNumber: { $max: '$lastBlockNumber' }
+          }
+        },
+        { $sort: { _id: 1 } }
+      ]),
+      IngestionStat.find({ hour: { $gte: since } }).sort({ hour: 1 }).select('-_id -__v').lean(),
+      ProcessedTransaction.aggregate([
+        { $group: { _id: { chainId: '$chainId', status: '$status' }, count: { $sum: 1 } } }
+      ]),
+      DeadLetterLog.aggregate([
+        { $group: { _id: { chainId: '$chainId', reason: '$reason' }, count: { $sum: 1 } } }
+      ]),
+      IngestionJob.aggregate([
+        { $match: { status: { $in: ['queued', 'quarantined'] } } },
+        {
+          $group: {
+            _id: { chainId: '$chainId', status: '$status' },
+            count: { $sum: 1 },
+            oldestReceivedAt: { $min: '$receivedAt' }
+          }
+        }
+      ])
+    ]);
+
+    res.json({
+      since,
+      chains: chains.map(({ _id, processingMs, ...chain }) => ({
+        chainId: _id,
+        ...chain,
+        averageProcessingMs: chain.deliveries > 0 ? Math.round(processingMs / chain.deliveries) : 0
+      })),
+      series,
+      transactions: transactions.map(({ _id, count }) => ({ ..._id, count })),
+      deadLetters: deadLetters.map(({ _id, count }) => ({ ..._id, count })),
+      queue: queue.map(({ _id, ...counts }) => ({ ..._id, ...counts })),
+      pricing: { source: PRICE_SOURCE, ...priceStats }
+    });
+  } catch (error) {
+    sendRouteError(res, error, 'Error fetching ingestion stats');
+  }
+});
+
+// Get queued, applied or quarantined webhook payloads, ?status= and ?chain= to
+// filter. Payloads are left out unless ?payload=true.
+app.get('/admin/ingestion-queue', requireAdminRole('viewer'), async (req, res) => {
+  try {
+    const { chainId } = parseDeploymentFilter(req.query);
+    const filter = { ...parseDateRange(req.query, 'receivedAt') };
+    if (chainId) filter.chainId = chainId;
+    if (req.query.status) filter.status = req.query.status;
+
+    const includePayload = parseBooleanParam(req.query.payload, 'payload') === true;
+    const list = parseListQuery(req.query, { receivedAt: 'receivedAt', block: 'blockNumber' });
+    const page = await paginate(IngestionJob, filter, list);
+    if (!includePayload) {
+      page.data = page.data.map(({ payload, ...job }) => job);
+    }
+    res.json(page);
+  } catch (error) {
+    sendRouteError(res, error, 'Error fetching ingestion queue');
+  }
+});
+
+// Requeue quarantined payloads, optionally only some ({ ids, chainId,
+// fromBlock, toBlock }); status: 'done' replays applied ones instead
+app.post('/admin/ingestion-queue/replay', requireAdminRole('operator'), async (req, res) => {
+  try {
+    const result = await replayIngestionJobs(req.body || {});
+    res.json(result);
+    drainIngestionQueue().catch(error => {
+      console.error('Error draining ingestion queue:', error);
+    });
+  } catch (error) {
+    sendRouteError(res, error, 'Error replaying ingestion jobs');
+  }
+});
+
+// Get the admin audit log, ?actor= to filter by key name
+app.get('/admin/audit-log', requireAdminRole('admin'), async (req, res) => {
+  try {
+    const filter = { ...parseDateRange(req.query, 'createdAt') };
+    if (req.query.actor) filter.actor = req.query.actor;
+
+    const list = parseListQuery(req.query, { createdAt: 'createdAt' });
+    res.json(await paginate(AdminAuditLog, filter, list));
+  } catch (error) {
+    sendRouteError(res, error, 'Error fetching audit log');
+  }
+});
+
+// Outbound webhooks. Integrators register an endpoint with the events it
+// wants; every matching event is recorded as a delivery and POSTed as signed
+// JSON, retrying failures with exponential backoff. The signature header is
+// `t=<unix seconds>,v1=<hex HMAC-SHA256 of "<t>.<body>" with the endpoint secret>`.
+const OUTBOUND_EVENTS = [
+  'ticket.minted',
+  'ticket.resolved',
+  'reward.paid',
+  'pool.deposited',
+  'pool.withdrawn',
+  'transaction.rolled_back'
+];
+// Field compared against an endpoint's minWinAmount
+const WIN_AMOUNT_FIELDS = { 'ticket.resolved': 'winAmount', 'reward.paid': 'amount' };
+// The wallet an event is about and the notification setting that lets it
+// opt out of having the event sent
+const WALLET_NOTIFICATION_FIELDS = {
+  'ticket.minted': { wallet: 'minter', setting: 'mints' },
+  'ticket.resolved': { wallet: 'minter', setting: 'wins' },
+  'reward.paid': { wallet: 'winner', setting: 'payouts' }
+};
+const WEBHOOK_MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS, 10) || 8;
+const WEBHOOK_RETRY_BASE_MS = parseInt(process.env.WEBHOOK_RETRY_BASE_MS, 10) || 30 * 1000;
+const WEBHOOK_RETRY_MAX_MS = 6 * 60 * 60 * 1000;
+const WEBHOOK_TIMEOUT_MS = 10 * 1000;
+// How long a delivery attempt holds its claim before another worker may retry it
+const WEBHOOK_LEASE_MS = 60 * 1000;
+const LOCAL_HOSTNAMES = ['localhost', '127.0.0.1', '[::1]'];
+
+function signOutboundPayload(secret, timestamp, body) {
+  return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+function endpointMatches(endpoint, { event, data }) {
+  if (!endpoint.events.includes(event)) return false;
+  if (endpoint.chainId && data.chainId !== endpoint.chainId) return false;
+  if (endpoint.contract && data.contract && data.contract !== endpoint.contract) return false;
+
+  const amountField = WIN_AMOUNT_FIELDS[event];
+  if (endpoint.minWinAmount && amountField) {
+    return BigInt(data[amountField] || 0) >= BigInt(endpoint.minWinAmount);
+  }
+
+  return true;
+}
+
+// Helper function to find which of the wallets in notifications turned
+// notifications off, as a set of "<address>:<setting>"
+async function getMutedNotifications(notifications) {
+  const wallets = new Set();
+  for (const { event, data } of notifications) {
+    const fields = WALLET_NOTIFICATION_FIELDS[event];
+    if (fields && data[fields.wallet]) wallets.add(data[fields.wallet]);
+  }
+
+  const muted = new Set();
+  if (wallets.size === 0) return muted;
+
+  const settings = await WalletSettings.find({ address: { $in: [...wallets] } }).select('address notifications').lean();
+  for (const { address, notifications: enabled } of settings) {
+    for (const setting of ['mints', 'wins', 'payouts']) {
+      if (enabled?.[setting] === false) muted.add(`${address}:${setting}`);
+    }
+  }
+  return muted;
+}
+
+// Record a delivery for every endpoint that wants each event, then start
+// delivering them. Events about a wallet that turned their kind off in its
+// settings are not sent. Deliveries that fail here are picked up by the retry
+// sweep.
+async function queueNotifications(notifications) {
+  const endpoints = await WebhookEndpoint.find({ active: true }).lean();
+  if (endpoints.length === 0) return;
+
+  const muted = await getMutedNotifications(notifications);
+  const deliveries = [];
+
+  for (const notification of notifications) {
+    const fields = WALLET_NOTIFICATION_FIELDS[notification.event];
+    if (fields && muted.has(`${notification.data[fields.wallet]}:${fields.setting}`)) continue;
+
+    for (const endpoint of endpoints) {
+      if (!endpointMatches(endpoint, notification)) continue;
+
+      const _id = new mongoose.Types.ObjectId();
+      deliveries.push({
+        _id,
+        endpointId: endpoint._id,
+        event: notification.event,
+        payload: { id: _id.toString(), event: notification.event, createdAt: new Date(), data: notification.data }
+      });
+    }
+  }
+
+  if (deliveries.length === 0) return;
+
+  await WebhookDelivery.insertMany(deliveries);
+  for (const { _id } of deliveries) {
+    attemptDelivery(_id).catch(error => {
+      console.error('Error delivering outbound webhook:', error);
+    });
+  }
+}
+
+// Send a delivery once if it is due, recording the outcome and scheduling the
+// next retry. Returns the updated delivery, or null if it was not due.
+async function attemptDelivery(deliveryId) {
+  const now = new Date();
+  const delivery = await WebhookDelivery.findOneAndUpdate(
+    { _id: deliveryId, status: 'pending', nextAttemptAt: { $lte: now } },
+    { nextAttemptAt: new Date(now.getTime() + WEBHOOK_LEASE_MS) },
+    { new: true }
+  );
+  if (!delivery) return null;
+
+  const endpoint = await WebhookEndpoint.findById(delivery.endpointId).select('+secret').lean();
+  const attempt = { at: now };
+
+  if (!endpoint) {
+    attempt.error = 'Endpoint was deleted';
+  } else {
+    const body = JSON.stringify(delivery.payload);
+    const timestamp = Math.floor(Date.now() / 1000);
+
+    try {
+      const response = await fetch(endpoint.url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'FortuneTickets-Webhooks/1.0',
+          'X-Fortune-Event': delivery.event,
+          'X-Fortune-Delivery': delivery._id.toString(),
+          'X-Fortune-Signature': `t=${timestamp},v1=${signOutboundPayload(endpoint.secret, timestamp, body)}`
+        },
+        body,
+        redirect: 'manual',
+        signal: AbortSignal.timeout(WEBHOOK_TIMEOUT_MS)
+      });
+      attempt.responseStatus = response.status;
+      if (!response.ok) {
+        attempt.error = (await response.text()).slice(0, 500) || `HTTP ${response.status}`;
+      }
+    } catch (error) {
+      attempt.error = error.name === 'TimeoutError' ? 'Timed out' : error.message;
+    }
+  }
+
+  attempt.durationMs = Date.now() - now.getTime();
+  delivery.attempts += 1;
+  delivery.lastAttemptAt = now;
+  delivery.responseStatus = attempt.responseStatus;
+  delivery.error = attempt.error;
+  delivery.attemptLog.push(attempt);
+
+  if (!attempt.error) {
+    delivery.status = 'delivered';
+    delivery.deliveredAt = new Date();
+  } else if (!endpoint || delivery.attempts >= WEBHOOK_MAX_ATTEMPTS) {
+    delivery.status = 'failed';
+    console.log(`Outbound webhook ${delivery._id} failed after ${delivery.attempts} attempts: ${attempt.error}`);
+  } else {
+    const delay = Math.min(WEBHOOK_RETRY_BASE_MS * 2 ** (delivery.attempts - 1), WEBHOOK_RETRY_MAX_MS);
+    delivery.nextAttemptAt = new Date(Date.now() + delay);
+  }
+
+  await delivery.save();
+  return delivery;
+}
+
+// Retry the deliveries whose backoff has elapsed
+async function retryDueDeliveries(limit = 100) {
+  const due = await WebhookDelivery.find({ status: 'pending', nextAttemptAt: { $lte: new Date() } })
+    .sort({ nextAttemptAt: 1 })
+    .limit(limit)
+    .select('_id');
+
+  for (const { _id } of due) {
+    await attemptDelivery(_id);
+  }
+
+  return due.length;
+}
+
+// Validate an endpoint registration or update. With partial only the given
+// fields are checked.
+function parseWebhookEndpoint(body, partial = false) {
+  const { name, url, events, minWinAmount, chainId, contract, active } = body || {};
+  const endpoint = {};
+
+  if (url !== undefined || !partial) {
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch (error) {
+      throw badRequest('url must be a URL');
+    }
+    // Plain HTTP is only allowed for local receivers, e.g. while testing
+    const isLocal = LOCAL_HOSTNAMES.includes(parsed.hostname);
+    if (parsed.protocol !== 'https:' && !(parsed.protocol === 'http:' && isLocal)) {
+      throw badRequest('url must use https');
+    }
+    endpoint.url = parsed.toString();
+  }
+
+  if (events !== undefined || !partial) {
+    const list = events === undefined ? OUTBOUND_EVENTS : events;
+    if (!Array.isArray(list) || list.length === 0 || list.some(event => !OUTBOUND_EVENTS.includes(event))) {
+      throw badRequest(`events must be a list of ${OUTBOUND_EVENTS.join(', ')}`);
+    }
+    endpoint.events = [...new Set(list)];
+  }
+
+  if (minWinAmount !== undefined) {
+    if (minWinAmount !== null && !/^\d+$/.test(String(minWinAmount))) {
+      throw badRequest('minWinAmount must be an amount in wei');
+    }
+    endpoint.minWinAmount = minWinAmount === null ? undefined : String(minWinAmount);
+  }
+
+  if (chainId !== undefined || contract !== undefined) {
+    const filter = parseDeploymentFilter({
+      chain: chainId === null ? undefined : chainId,
+      contract: contract === null ? undefined : contract
+    });
+    if (chainId !== undefined) endpoint.chainId = filter.chainId;
+    if (contract !== undefined) endpoint.contract = filter.contract;
+  }
+
+  if (name !== undefined) endpoint.name = name === null ? undefined : String(name);
+
+  if (active !== undefined) {
+    if (typeof active !== 'boolean') {
+      throw badRequest('active must be true or false');
+    }
+    endpoint.active = active;
+  }
+
+  return endpoint;
+}
+
+async function findWebhookEndpoint(id) {
+  const endpoint = mongoose.isValidObjectId(id) && await WebhookEndpoint.findById(id).select('-__v');
+  if (!endpoint) {
+    throw notFound('Webhook endpoint not found');
+  }
+  return endpoint;
+}
+
+// Register an endpoint. The response holds the signing secret, which is not
+// shown again.
+app.post('/admin/webhooks', requireAdminRole('operator'), async (req, res) => {
+  try {
+    const secret = `whsec_${crypto.randomBytes(24).toString('hex')}`;
+    const endpoint = await WebhookEndpoint.create({ ...parseWebhookEndpoint(req.body), secret });
+    const { __v, ...data } = endpoint.toObject();
+    res.status(201).json(data);
+  } catch (error) {
+    sendRouteError(res, error, 'Error registering webhook');
+  }
+});
+
+app.get('/admin/webhooks', requireAdminRole('viewer'), async (req, res) => {
+  try {
+    res.json(await WebhookEndpoint.find().sort({ createdAt: 1 }).select('-__v').lean());
+  } catch (error) {
+    sendRouteError(res, error, 'Error fetching webhooks');
+  }
+});
+
+// Update an endpoint; rotateSecret: true issues a new signing secret
+app.put('/admin/webhooks/:id', requireAdminRole('operator'), async (req, res) => {
+  try {
+    const endpoint = await findWebhookEndpoint(req.params.id);
+    const update = parseWebhookEndpoint(req.body, true);
+    const secret = req.body?.rotateSecret === true ? `whsec_${crypto.randomBytes(24).toString('hex')}` : undefined;
+
+    endpoint.set({ ...update, updatedAt: new Date() });
+    if (secret) endpoint.secret = secret;
+    await endpoint.save();
+
+    const { __v, ...data } = endpoint.toObject();
+    res.json(secret ? { ...data, secret } : data);
+  } catch (error) {
+    sendRouteError(res, error, 'Error updating webhook');
+  }
+});
+
+app.delete('/admin/webhooks/:id', requireAdminRole('operator'), async (req, res) => {
+  try {
+    const endpoint = await findWebhookEndpoint(req.params.id);
+    await endpoint.deleteOne();
+    await WebhookDelivery.updateMany(
+      { endpointId: endpoint._id, status: 'pending' },
+      { status: 'failed', error: 'Endpoint was deleted' }
+    );
+    res.json({ message: 'Webhook deleted' });
+  } catch (error) {
+    sendRouteError(res, error, 'Error deleting webhook');
+  }
+});
+
+// Send a ping event to an endpoint right away and return the delivery
+app.post('/admin/webhooks/:id/test', requireAdminRole('operator'), async (req, res) => {
+  try {
+    const endpoint = await findWebhookEndpoint(req.params.id);
+    const _id = new mongoose.Types.ObjectId();
+    await WebhookDelivery.create({
+      _id,
+      endpointId: endpoint._id,
+      event: 'ping',
+      payload: { id: _id.toString(), event: 'ping', createdAt: new Date(), data: { message: 'Test delivery' } }
+    });
+
+    const delivery = await attemptDelivery(_id);
+    const { __v, ...data } = delivery.toObject();
+    res.json(data);
+  } catch (error) {
+    sendRouteError(res, error, 'Error sending test webhook');
+  }
+});
+
+// Get an endpoint's delivery log, ?status= and ?event= to filter
+app.get('/admin/webhooks/:id/deliveries', requireAdminRole('viewer'), async (req, res) => {
+  try {
+    const endpoint = await findWebhookEndpoint(req.params.id);
+    const filter = { endpointId: endpoint._id, ...parseDateRange(req.query, 'createdAt') };
+    if (req.query.status) filter.status = req.query.status;
+    if (req.query.event) filter.event = req.query.event;
+
+    const list = parseListQuery(req.query, { createdAt: 'createdAt' });
+    res.json(await paginate(WebhookDelivery, filter, list));
+  } catch (error) {
+    sendRouteError(res, error, 'Error fetching webhook deliveries');
+  }
+});
+
+// Send a failed delivery again, with a fresh set of retries
+app.post('/admin/webhooks/:id/deliveries/:deliveryId/retry', requireAdminRole('operator'), async (req, res) => {
+  try {
+    const endpoint = await findWebhookEndpoint(req.params.id);
+    const delivery = mongoose.isValidObjectId(req.params.deliveryId) && await WebhookDelivery.findOneAndUpdate(
+      { _id: req.params.deliveryId, endpointId: endpoint._id, status: 'failed' },
+      { status: 'pending', attempts: 0, nextAttemptAt: new Date() }
+    );
+    if (!delivery) {
+      throw notFound('No failed delivery found');
+    }
+
+    const { __v, ...data } = (await attemptDelivery(delivery._id)).toObject();
+    res.json(data);
+  } catch (error) {
+    sendRouteError(res, error, 'Error retrying webhook delivery');
+  }
+});
+
+// List routes share cursor pagination: ?limit=&cursor=&sort=&order= and
+// respond with { data, nextCursor }
+const LIST_DEFAULT_LIMIT = 50;
+const LIST_MAX_LIMIT = 500;
+
+// Cursors hold the sort value and _id of the last document on a page
+function encodeCursor(doc, sortField) {
+  let value = doc[sortField];
+  let type = 'raw';
+
+  if (value instanceof Date) {
+    value = value.toISOString();
+    type = 'date';
+  } else if (value instanceof mongoose.Types.Decimal128) {
+    value = value.toString();
+    type = 'decimal';
+  }
+
+  return Buffer.from(JSON.stringify([type, value === undefined ? null : value, String(doc._id)])).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+  try {
+    const [type, value, id] = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    let decoded = value;
+
+    if (value !== null && type === 'date') decoded = new Date(value);
+    if (value !== null && type === 'decimal') decoded = mongoose.Types.Decimal128.fromString(value);
+
+    return { value: decoded, id: new mongoose.Types.ObjectId(id) };
+  } catch (error) {
+    throw badRequest('Invalid cursor');
+  }
+}
+
+// Parse ?limit=, a whole number between 1 and maxLimit
+function parseLimit(query, { defaultLimit = LIST_DEFAULT_LIMIT, maxLimit = LIST_MAX_LIMIT } = {}) {
+  const limit = query.limit === undefined ? defaultLimit : Number(query.limit);
+  if (!Number.isInteger(limit) || limit < 1 || limit > maxLimit) {
+    throw badRequest(`limit must be an integer between 1 and ${maxLimit}`);
+  }
+  return limit;
+}
+
+// Parse limit, cursor, sort and order. sortFields maps the public sort names
+// to document fields; the first one is the default.
+function parseListQuery(query, sortFields) {
+  const limit = parseLimit(query);
+
+  const sort = query.sort || Object.keys(sortFields)[0];
+  if (!sortFields[sort]) {
+    throw badRequest(`sort must be one of ${Object.keys(sortFields).join(', ')}`);
+  }
+
+  const order = query.order || 'desc';
+  if (order !== 'asc' && order !== 'desc') {
+    throw badRequest('order must be asc or desc');
+  }
+
+  return {
+    limit,
+    sortField: sortFields[sort],
+    direction: order === 'asc' ? 1 : -1,
+    cursor: query.cursor ? decodeCursor(query.cursor) : null
+  };
+}
+
+// Filter on a date field from ?from= and ?to=
+function parseDateRange(query, field) {
+  if (!query.from && !query.to) return {};
+
+  const range = {};
+  if (query.from) range.$gte = new Date(query.from);
+  if (query.to) range.$lte = new Date(query.to);
+
+  if (Object.values(range).some(date => isNaN(date))) {
+    throw badRequest('from and to must be valid dates');
+  }
+
+  return { [field]: range };
+}
+
+// Restrict a query to one chain (?chain=base, 8453 or 0x2105) and/or one
+// contract (?contract=0x...)
+function parseDeploymentFilter(query) {
+  const filter = {};
+
+  if (query.chain !== undefined) {
+    filter.chainId = normalizeChainId(query.chain);
+    if (!filter.chainId) {
+      throw badRequest('chain must be a chain name or id');
+    }
+  }
+
+  if (query.contract !== undefined) {
+    if (!ethers.utils.isAddress(query.contract)) {
+      throw badRequest('contract must be an address');
+    }
+    filter.contract = query.contract.toLowerCase();
+  }
+
+  return filter;
+}
+
+// Match tickets or openings by the chain, contract and token id of the given
+// documents. Returns null when there is nothing to match.
+function getTokenKeysFilter(docs) {
+  if (docs.length === 0) return null;
+  return { $or: docs.map(({ chainId, contract, tokenId }) => ({ chainId, contract, tokenId })) };
+}
+
+// Which of an address's tickets an address route covers: the ones it holds
+// now (as ERC721 or ERC404 NFTs), opened, minted, or all of them
+const ADDRESS_SCOPES = ['owned', 'opened', 'minted', 'all'];
+
+function parseAddressScope(query, defaultScope) {
+  const { scope = defaultScope } = query;
+  if (!ADDRESS_SCOPES.includes(scope)) {
+    throw badRequest(`scope must be one of ${ADDRESS_SCOPES.join(', ')}`);
+  }
+  return scope === 'all' ? ADDRESS_SCOPES.filter(name => name !== 'all') : [scope];
+}
+
+// Find the chain, contract and token id of the tickets an address holds,
+// opened or minted, once each
+async function findAddressTokenKeys(address, scopes, deploymentFilter) {
+  const select = 'chainId contract tokenId';
+  const queries = {
+    owned: () => Promise.all([
+      ERC721Holding.find({ ...deploymentFilter, owner: address }).select(select).lean(),
+      ERC404NFT.find({ ...deploymentFilter, owner: address }).select(select).lean()
+    ]),
+    opened: () => Opening.find({ ...deploymentFilter, opener: address }).select(select).lean(),
+    minted: () => MintingDetails.find({ ...deploymentFilter, minter: address }).select(select).lean()
+  };
+
+  const docs = (await Promise.all(scopes.map(scope => queries[scope]()))).flat(2);
+  return [...new Map(docs.map(doc => [`${doc.chainId}:${doc.contract}:${doc.tokenId}`, doc])).values()];
+}
+
+// Build the filter matching an address's scopes. direct maps a scope to a
+// filter on the listed collection itself (e.g. minted to { minter }); the
+// other scopes go through the token ids of the matching tickets. Returns null
+// when nothing can match.
+async function getAddressScopeFilter(address, scopes, deploymentFilter, direct) {
+  const clauses = scopes.filter(scope => direct[scope]).map(scope => direct[scope]);
+  const keys = await findAddressTokenKeys(address, scopes.filter(scope => !direct[scope]), deploymentFilter);
+  const tokenFilter = getTokenKeysFilter(keys);
+
+  if (tokenFilter) clauses.push(...tokenFilter.$or);
+  return clauses.length ? { $or: clauses } : null;
+}
+
+function parseBooleanParam(value, name) {
+  if (value === undefined) return undefined;
+  if (value === 'true') return true;
+  if (value === 'false') return false;
+  throw badRequest(`${name} must be true or false`);
+}
+
+// Filters shared by the minting details and ticket lists
+function parseMintingDetailsFilter(query) {
+  const filter = { ...parseDeploymentFilter(query), ...parseDateRange(query, 'timestamp') };
+
+  const resolved = parseBooleanParam(query.resolved, 'resolved');
+  if (resolved !== undefined) {
+    filter.rollResult = { $exists: resolved };
+  }
+
+  if (query.minPayout !== undefined) {
+    if (!/^\d+$/.test(query.minPayout)) {
+      throw badRequest('minPayout must be an amount in wei');
+    }
+    filter.payoutValue = { $gte: mongoose.Types.Decimal128.fromString(query.minPayout) };
+  }
+
+  return filter;
+}
+
+// Filters shared by the opening lists
+function parseOpeningFilter(query) {
+  const filter = { ...parseDeploymentFilter(query), ...parseDateRange(query, 'timestamp') };
+
+  if (query.tokenType !== undefined) {
+    if (!['ERC721', 'ERC404'].includes(query.tokenType)) {
+      throw badRequest('tokenType must be ERC721 or ERC404');
+    }
+    filter.tokenType = query.tokenType;
+  }
+
+  return filter;
+}
+
+// Filters shared by the transfer lists
+function parseTransferFilter(query) {
+  const filter = { ...parseDeploymentFilter(query), ...parseDateRange(query, 'timestamp') };
+
+  if (query.kind !== undefined) {
+    if (!['nft', 'fungible'].includes(query.kind)) {
+      throw badRequest('kind must be nft or fungible');
+    }
+    filter.kind = query.kind;
+  }
+
+  if (query.type !== undefined) {
+    if (!['mint', 'transfer', 'burn', 'reconcile'].includes(query.type)) {
+      throw badRequest('type must be mint, transfer, burn or reconcile');
+    }
+    filter.type = query.type;
+  }
+
+  return filter;
+}
+
+const MINTING_DETAILS_SORT_FIELDS = { timestamp: 'timestamp', payout: 'payoutValue' };
+const OPENING_SORT_FIELDS = { timestamp: 'timestamp' };
+const TRANSFER_SORT_FIELDS = { timestamp: 'timestamp', block: 'blockNumber' };
+
+// Fetch one page of a collection, ordered by the sort field and then _id so
+// the cursor is stable when sort values tie
+async function paginate(Model, filter, { limit, sortField, direction, cursor }) {
+  const query = { ...filter };
+
+  if (cursor) {
+    const op = direction === 1 ? '$gt' : '$lt';
+    query.$and = [
+      ...(query.$and || []),
+      {
+        $or: [
+          { [sortField]: { [op]: cursor.value } },
+          { [sortField]: cursor.value, _id: { [op]: cursor.id } }
+        ]
+      }
+    ];
+  }
+
+  const docs = await Model.find(query)
+    .sort({ [sortField]: direction, _id: direction })
+    .limit(limit + 1)
+    .lean();
+
+  const data = docs.slice(0, limit);
+  return {
+    data,
+    nextCursor: docs.length > limit ? encodeCursor(data[data.length - 1], sortField) : null
+  };
+}
+
+// Convert minting details to match the frontend interface
+function formatMintingDetails(detail) {
+  const { payoutValue, ...rest } = detail;
+
+  return {
+    ...rest,
+    timestamp: detail.timestamp.toISOString(), // Convert Date to string
+    rollResult: detail.rollResult || undefined,
+    payout: detail.payout || undefined,
+    levels: detail.levels.map(level => ({
+      winAmount: level.winAmount,
+      rollNumber: level.rollNumber,
+      winPercentage: level.winPercentage
+    }))
+  };
+}
+
+// Helper function to get all holdings for an address. The top-level fields
+// combine every deployment matching the filter; contracts breaks them down.
+async function getHoldings(address, filter = {}) {
+  const addressLower = address.toLowerCase();
+
+  // Get ERC404 fungible balances
+  const fungibleBalances = await ERC404Fungible.find({ ...filter, address: addressLower });
+
+  // Get ERC404 NFTs
+  const erc404NFTs = await ERC404NFT.find({ ...filter, owner: addressLower });
+
+  // Get ERC721 tokens
+  const erc721Tokens = await ERC721Holding.find({ ...filter, owner: addressLower });
+
+  const contracts = deployments
+    .filter(deployment => (
+      (!filter.chainId || deployment.chainId === filter.chainId) &&
+      (!filter.contract || deployment.address === filter.contract)
+    ))
+    .map((deployment) => {
+      const isDeployment = doc => doc.chainId === deployment.chainId && doc.contract === deployment.address;
+      const tokens = (deployment.standard === 'ERC404' ? erc404NFTs : erc721Tokens).filter(isDeployment);
+      const fungible = fungibleBalances.find(isDeployment);
+
+      return {
+        chainId: deployment.chainId,
+        contract: deployment.address,
+        standard: deployment.standard,
+        fungible: deployment.standard === 'ERC404' ? (fungible ? fungible.balance : '0') : undefined,
+        tokenIds: tokens.map(token => token.tokenId)
+      };
+    });
+
+  return {
+    erc404: {
+      fungible: fungibleBalances.reduce((total, balance) => total + BigInt(balance.balance), 0n).toString(),
+      nfts: erc404NFTs.map(nft => nft.tokenId)
+    },
+    erc721: erc721Tokens.map(token => token.tokenId),
+    // Holdings that come from transactions still awaiting confirmation
+    pending: {
+      fungible: fungibleBalances.some(balance => balance.pending),
+      erc404: erc404NFTs.filter(nft => nft.pending).map(nft => nft.tokenId),
+      erc721: erc721Tokens.filter(token => token.pending).map(token => token.tokenId)
+    },
+    contracts
+  };
+}
+
+// Get all holdings for an address
+app.get('/holdings/:address', async (req, res) => {
+  try {
+    res.json(await getHoldings(parseWalletAddress(req.params.address), parseDeploymentFilter(req.query)));
+  } catch (error) {
+    sendRouteError(res, error, 'Error fetching holdings');
+  }
+});
+
+// Helper function to page through the distinct owners of an NFT collection
+async function paginateOwners(Model, filter, { limit, direction, cursor }) {
+  const match = {};
+  if (cursor) {
+    match._id = { [direction === 1 ? '$gt' : '$lt']: cursor };
+  }
+
+  const owners = await Model.aggregate([
+    { $match: filter },
+    { $group: { _id: '$owner' } },
+    { $match: match },
+    { $sort: { _id: direction } },
+    { $limit: limit + 1 }
+  ]);
+
+  const data = owners.slice(0, limit).map(owner => owner._id);
+  return {
+    data,
+    nextCursor: owners.length > limit ? Buffer.from(data[data.length - 1]).toString('base64url') : null
+  };
+}
+
+// Get all holders of a specific token type
+app.get('/holders/:tokenType', async (req, res) => {
+  try {
+    const { tokenType } = req.params;
+    const filter = parseDeploymentFilter(req.query);
+    let page;
+
+    if (tokenType === 'erc404-fungible') {
+      const list = parseListQuery(req.query, { balance: 'balanceValue', address: 'address' });
+      page = await paginate(ERC404Fungible, { ...filter, balanceValue: { $gt: DECIMAL_ZERO } }, list);
+      page.data = page.data.map(({ balanceValue, ...holder }) => holder);
+    } else if (tokenType === 'erc404-nft' || tokenType === 'erc721') {
+      const list = parseListQuery({ ...req.query, cursor: undefined }, { address: 'address' });
+      list.cursor = req.query.cursor ? Buffer.from(req.query.cursor, 'base64url').toString('utf8') : null;
+      page = await paginateOwners(tokenType === 'erc721' ? ERC721Holding : ERC404NFT, filter, list);
+    } else {
+      return res.status(400).json({ error: 'Invalid token type' });
+    }
+
+    res.json(page);
+  } catch (error) {
+    sendRouteError(res, error, 'Error fetching holders');
+  }
+});
+
+// Get the ERC404 fungible holders of one deployment as of the end of a block,
+// for airdrops and reward snapshots. Pages are ordered by address.
+app.get('/snapshots/:block', async (req, res) => {
+  try {
+    const block = Number(req.params.block);
+    if (!Number.isInteger(block) || block < 0) {
+      throw badRequest('block must be a block number');
+    }
+
+    const filter = parseDeploymentFilter(req.query);
+    const matching = deployments.filter(deployment => (
+      deployment.standard === 'ERC404' &&
+      (!filter.chainId || deployment.chainId === filter.chainId) &&
+      (!filter.contract || deployment.address === filter.contract)
+    ));
+
+    if (matching.length !== 1) {
+      throw badRequest('chain and contract must select exactly one ERC404 deployment');
+    }
+
+    const [{ chainId, address: contract }] = matching;
+    const list = parseListQuery({ ...req.query, cursor: undefined }, { address: 'address' });
+    const match = { chainId, contract, blockNumber: { $lte: block } };
+    if (req.query.cursor) {
+      match.address = { [list.direction === 1 ? '$gt' : '$lt']: Buffer.from(req.query.cursor, 'base64url').toString('utf8') };
+    }
+
+    const holders = await BalanceSnapshot.aggregate([
+      { $match: match },
+      { $sort: { address: list.direction, blockNumber: -1 } },
+      {
+        $group: {
+          _id: '$address',
+          balance: { $first: '$balance' },
+          balanceValue: { $first: '$balanceValue' },
+          blockNumber: { $first: '$blockNumber' },
+          pending: { $first: '$pending' }
+        }
+      },
+      { $match: { balanceValue: { $gt: DECIMAL_ZERO } } },
+      { $sort: { _id: list.direction } },
+      { $limit: list.limit + 1 }
+    ]);
+
+    const data = holders.slice(0, list.limit).map(holder => ({
+      address: holder._id,
+      balance: holder.balance,
+      // Block of the holder's last balance change at or before the snapshot
+      lastChangeBlock: holder.blockNumber,
+      pending: holder.pending
+    }));
+
+    res.json({
+      block,
+      chainId,
+      contract,
+      data,
+      nextCursor: holders.length > list.limit ? Buffer.from(data[data.length - 1].address).toString('base64url') : null
+    });
+  } catch (error) {
+    sendRouteError(res, error, 'Error fetching balance snapshot');
+  }
+});
+
+const POOL_HISTORY_INTERVALS = ['hour', 'day', 'week', 'month'];
+
+// Fiat pricing. Amounts are priced in USD as of the event they come from: a
+// mint at the mint, a win when the ticket resolved, a payout when it was paid.
+// Prices are kept per asset and hour. With PRICE_SOURCE=moralis (the default)
+// they come from the Moralis token price API, through the wrapped native token
+// for native amounts: every applied payload records the prices of its block's
+// hour in PriceQuote, and the API routes only read what was recorded. With
+// PRICE_SOURCE=seed they are read from the PRICE_SEED_FILE JSON instead, which
+// needs no network or database. PRICE_SOURCE=off leaves every USD field null.
+const PRICE_SOURCE = process.env.PRICE_SOURCE || (process.env.PRICE_SEED_FILE ? 'seed' : 'moralis');
+if (!['moralis', 'seed', 'off'].includes(PRICE_SOURCE)) {
+  throw new Error(`Invalid PRICE_SOURCE: ${PRICE_SOURCE}`);
+}
+const HOUR_MS = 60 * 60 * 1000;
+// How far back a recorded price may be used for a later hour without one,
+// e.g. the start of a pool history bucket or the current pool balance
+const PRICE_MAX_AGE_MS = 24 * HOUR_MS;
+
+// Wrapped native tokens, priced in place of native amounts
+const NATIVE_PRICE_TOKENS = {
+  '0x1': '0xc02aaa39b223fe8d0a0e5c4f27ead9083c756cc2',
+  '0x2105': '0x4200000000000000000000000000000000000006',
+  '0x89': '0x0d500b1d8e8ef31e21c99d1db9a6444d3adf1270'
+};
+
+// The seed file maps "<chainId>:<asset>" to [timestamp, usd] pairs, e.g.
+// { "0x1:native": [["2024-01-01T00:00:00Z", 2281.5]] }. An event takes the
+// latest price at or before its time.
+function loadPriceSeed() {
+  if (PRICE_SOURCE !== 'seed') return new Map();
+  if (!process.env.PRICE_SEED_FILE) {
+    throw new Error('PRICE_SOURCE=seed needs PRICE_SEED_FILE');
+  }
+
+  const seed = JSON.parse(fs.readFileSync(process.env.PRICE_SEED_FILE, 'utf8'));
+  return new Map(Object.entries(seed).map(([key, entries]) => {
+    const [chain, asset] = key.split(':');
+    const chainId = normalizeChainId(chain);
+    if (!chainId || !asset) {
+      throw new Error(`Invalid price seed key: ${key}`);
+    }
+
+    const prices = entries
+      .map(([timestamp, usd]) => ({ time: new Date(timestamp).getTime(), usd: Number(usd) }))
+      .sort((a, b) => a.time - b.time);
+    if (prices.some(price => isNaN(price.time) || !Number.isFinite(price.usd))) {
+      throw new Error(`Invalid price seed entry for ${key}`);
+    }
+    return [`${chainId}:${asset.toLowerCase()}`, prices];
+  }));
+}
+
+const priceSeed = loadPriceSeed();
+
+function findSeedPrice({ chainId, asset, hour }) {
+  const prices = priceSeed.get(`${chainId}:${asset}`) || [];
+  let found = null;
+  for (const price of prices) {
+    if (price.time > hour.getTime()) break;
+    found = price.usd;
+  }
+  return found;
+}
+
+// Helper function to find the asset an amount is paid in: the native coin, or
+// the chain's ERC404 token for tickets bought with tokens
+function getPriceAsset(chainId, isETHVersion) {
+  if (isETHVersion !== false) return 'native';
+
+  const token = deployments.find(deployment => deployment.chainId === chainId && deployment.standard === 'ERC404');
+  return token ? token.address : null;
+}
+
+function getPriceKey({ chainId, asset, hour }) {
+  return `${chainId}:${asset}:${hour.toISOString()}`;
+}
+
+// Fetch the USD price of an asset for an hour from Moralis, at the given block
+// or at the first block of the hour
+async function fetchMoralisPrice(client, { chainId, asset, hour, blockNumber }) {
+  const address = asset === 'native' ? NATIVE_PRICE_TOKENS[chainId] : asset;
+  if (!address) return null;
+
+  const params = { chain: chainId, address };
+  if (hour.getTime() + HOUR_MS <= Date.now()) {
+    params.toBlock = blockNumber || (await client.block.getDateToBlock({ chain: chainId, date: hour.toISOString() })).raw.block;
+  }
+
+  const response = await client.token.getTokenPrice(params);
+  const usd = Number(response.raw.usdPrice);
+  return Number.isFinite(usd) ? usd : null;
+}
+
+// Moralis price lookups since the process started: found, without a price
+// and failed, with the last failure. Reported by /admin/ingestion-stats.
+const priceStats = { fetched: 0, unavailable: 0, failed: 0, lastError: null, lastFailedAt: null };
+
+function getPriceHour(timestamp) {
+  return new Date(Math.floor(new Date(timestamp).getTime() / HOUR_MS) * HOUR_MS);
+}
+
+// Group { chainId, asset, timestamp, blockNumber } points by their price key,
+// skipping points that cannot be priced
+function getWantedPrices(points) {
+  const wanted = new Map();
+
+  for (const point of points) {
+    if (!point.asset || !point.timestamp || PRICE_SOURCE === 'off') continue;
+
+    const hour = getPriceHour(point.timestamp);
+    const key = getPriceKey({ ...point, hour });
+    if (!wanted.has(key)) {
+      wanted.set(key, { chainId: point.chainId, asset: point.asset, hour, blockNumber: point.blockNumber });
+    }
+  }
+
+  return wanted;
+}
+
+// Get the USD prices for a list of { chainId, asset, timestamp } points from
+// the seed or the recorded quotes; nothing is fetched. A point without a quote
+// for its hour takes the latest one within PRICE_MAX_AGE_MS before it. Returns
+// a Map from getPriceKey to the price; unknown prices are missing from it.
+async function getUsdPrices(points) {
+  const prices = new Map();
+  const wanted = getWantedPrices(points);
+
+  if (PRICE_SOURCE === 'seed') {
+    for (const [key, point] of wanted) {
+      const usd = findSeedPrice(point);
+      if (usd !== null) prices.set(key, usd);
+    }
+    return prices;
+  }
+  if (!wanted.size) return prices;
+
+  // Read the quotes of each asset's hour range in one query
+  const byAsset = new Map();
+  for (const [key, point] of wanted) {
+    const assetKey = `${point.chainId}:${point.asset}`;
+    const entry = byAsset.get(assetKey) || { chainId: point.chainId, asset: point.asset, points: [] };
+    entry.points.push([key, point]);
+    byAsset.set(assetKey, entry);
+  }
+
+  for (const { chainId, asset, points: assetPoints } of byAsset.values()) {
+    const hours = assetPoints.map(([, point]) => point.hour.getTime());
+    const quotes = await PriceQuote.find({
+      chainId,
+      asset,
+      source: PRICE_SOURCE,
+      hour: { $gte: new Date(Math.min(...hours) - PRICE_MAX_AGE_MS), $lte: new Date(Math.max(...hours)) }
+    }).select('hour usd').sort({ hour: 1 }).lean();
+
+    for (const [key, point] of assetPoints) {
+      let found = null;
+      for (const quote of quotes) {
+        if (quote.hour > point.hour) break;
+        found = quote;
+      }
+      if (found && point.hour.getTime() - found.hour.getTime() <= PRICE_MAX_AGE_MS) {
+        prices.set(key, found.usd);
+      }
+    }
+  }
+
+  return prices;
+}
+
+// Fetch and record the USD prices of the given points that have no quote for
+// their hour yet. Called as payloads are applied, so failures are counted and
+// logged but never thrown.
+async function recordUsdPrices(points, { client } = {}) {
+  if (PRICE_SOURCE !== 'moralis') return;
+
+  const wanted = getWantedPrices(points);
+  if (!wanted.size) return;
+
+  try {
+    const recorded = await PriceQuote.find({
+      source: PRICE_SOURCE,
+      $or: [...wanted.values()].map(({ chainId, asset, hour }) => ({ chainId, asset, hour }))
+    }).lean();
+    for (const quote of recorded) {
+      wanted.delete(getPriceKey(quote));
+    }
+  } catch (error) {
+    console.error('Error reading recorded prices:', error.message);
+    return;
+  }
+
+  for (const point of wanted.values()) {
+    try {
+      client = client || await getEvmApiClient();
+      const usd = await fetchMoralisPrice(client, point);
+      if (usd === null) {
+        priceStats.unavailable++;
+        continue;
+      }
+
+      priceStats.fetched++;
+      await PriceQuote.updateOne(
+        { chainId: point.chainId, asset: point.asset, hour: point.hour },
+        { $set: { usd, source: PRICE_SOURCE, fetchedAt: new Date() } },
+        { upsert: true }
+      );
+    } catch (error) {
+      priceStats.failed++;
+      priceStats.lastError = `${point.asset} on ${point.chainId}: ${error.message}`;
+      priceStats.lastFailedAt = new Date();
+      console.error(`Error fetching price of ${point.asset} on ${point.chainId}:`, error.message);
+    }
+  }
+}
+
+// Record the prices of the assets a chain's amounts are paid in, at a block
+function recordBlockPrices(chainId, block, { client } = {}) {
+  const timestamp = getBlockTimestamp(block);
+  const blockNumber = block?.number !== undefined ? Number(block.number) : undefined;
+  const assets = [...new Set([getPriceAsset(chainId, true), getPriceAsset(chainId, false)])].filter(Boolean);
+
+  return recordUsdPrices(assets.map(asset => ({ chainId, asset, timestamp, blockNumber })), { client });
+}
+
+// Helper function to convert a wei amount to USD, rounded to cents
+function toUsd(prices, point, amount) {
+  if (!amount || !point.asset || !point.timestamp) return null;
+
+  const usd = prices.get(getPriceKey({ ...point, hour: getPriceHour(point.timestamp) }));
+  if (usd === undefined) return null;
+  return Math.round(Number(ethers.utils.formatEther(amount)) * usd * 100) / 100;
+}
+
+// Helper function to sum amounts in USD; null when any price is unknown
+function sumUsd(prices, entries) {
+  let total = 0;
+  for (const [point, amount] of entries) {
+    if (!amount || amount === '0') continue;
+    const usd = toUsd(prices, point, amount);
+    if (usd === null) return null;
+    total += usd;
+  }
+  return Math.round(total * 100) / 100;
+}
+
+// The points in time a ticket's amounts are priced at
+function getTicketPricePoints(ticket) {
+  const asset = getPriceAsset(ticket.chainId, ticket.isETHVersion);
+  const entry = status => (ticket.history || []).find(step => step.status === status) || {};
+  const point = (timestamp, blockNumber) => ({ chainId: ticket.chainId, asset, timestamp, blockNumber });
+
+  return {
+    minted: point(ticket.timestamp, entry('minted').blockNumber),
+    resolved: point(entry('resolved').timestamp, entry('resolved').blockNumber),
+    // Resolved tickets carry their expected payout until it is paid
+    paid: ticket.paidAt
+      ? point(ticket.paidAt, entry('paid').blockNumber)
+      : point(entry('resolved').timestamp, entry('resolved').blockNumber)
+  };
+}
+
+// Add the USD value of each ticket's amounts as a usd field
+async function addTicketUsd(tickets) {
+  const points = tickets.map(getTicketPricePoints);
+  const prices = await getUsdPrices(points.flatMap(Object.values));
+
+  return tickets.map((ticket, index) => {
+    const { minted, resolved, paid } = points[index];
+    return {
+      ...ticket,
+      usd: {
+        mintPrice: toUsd(prices, minted, ticket.mintPrice),
+        expectedValue: toUsd(prices, minted, ticket.expectedValue),
+        winAmount: toUsd(prices, resolved, ticket.winAmount),
+        payout: toUsd(prices, paid, ticket.payout)
+      }
+    };
+  });
+}
+
+// Get the current prize pool balance, summed across contracts
+app.get('/pool', async (req, res) => {
+  try {
+    const pools = await PoolBalance.find(parseDeploymentFilter(req.query)).lean();
+
+    const sum = field => pools.reduce((total, pool) => total + BigInt(pool[field]), 0n).toString();
+
+    // Balances are valued at the latest recorded price
+    const now = new Date();
+    const points = pools.map(pool => ({ chainId: pool.chainId, asset: 'native', timestamp: now }));
+    const prices = await getUsdPrices(points);
+
+    res.json({
+      balance: sum('balance'),
+      balanceUsd: sumUsd(prices, pools.map((pool, index) => [points[index], pool.balance])),
+      totalDeposited: sum('totalDeposited'),
+      totalWithdrawn: sum('totalWithdrawn'),
+      pending: pools.some(pool => pool.pending),
+      contracts: pools.map((pool, index) => ({
+        chainId: pool.chainId,
+        contract: pool.contract,
+        balance: pool.balance,
+        balanceUsd: toUsd(prices, points[index], pool.balance),
+        totalDeposited: pool.totalDeposited,
+        totalWithdrawn: pool.totalWithdrawn,
+        updatedAt: pool.updatedAt,
+        pending: pool.pending
+      }))
+    });
+  } catch (error) {
+    sendRouteError(res, error, 'Error fetching pool');
+  }
+});
+
+// Get the prize pool history bucketed by hour, day, week or month
+app.get('/pool/history', async (req, res) => {
+  try {
+    const { interval = 'day' } = req.query;
+
+    if (!POOL_HISTORY_INTERVALS.includes(interval)) {
+      return res.status(400).json({ error: `interval must be one of ${POOL_HISTORY_INTERVALS.join(', ')}` });
+    }
+
+    const match = { ...parseDeploymentFilter(req.query), ...parseDateRange(req.query, 'timestamp') };
+
+    const buckets = await PoolEvent.aggregate([
+      { $match: match },
+      { $sort: { timestamp: 1, blockNumber: 1, logIndex: 1 } },
+      {
+        $group: {
+          _id: { chainId: '$chainId', contract: '$contract', bucket: { $dateTrunc: { date: '$timestamp', unit: interval } } },
+          deposited: {
+            $sum: { $cond: [{ $eq: ['$type', 'deposit'] }, { $toDecimal: '$amount' }, 0] }
+          },
+          withdrawn: {
+            $sum: { $cond: [{ $eq: ['$type', 'withdrawal'] }, { $toDecimal: '$amount' }, 0] }
+          },
+          balance: { $last: '$balanceAfter' },
+          events: { $sum: 1 }
+        }
+      },
+      { $sort: { '_id.bucket': 1 } }
+    ]);
+
+    // Merge the per-contract buckets, carrying each contract's balance forward
+    // through buckets where it had no activity
+    const balances = new Map();
+    const series = new Map();
+
+    for (const bucket of buckets) {
+      const key = bucket._id.bucket.toISOString();
+      balances.set(`${bucket._id.chainId}:${bucket._id.contract}`, BigInt(bucket.balance));
+
+      const entry = series.get(key) || { timestamp: key, deposited: 0n, withdrawn: 0n, events: 0, contracts: [] };
+      entry.deposited += BigInt(bucket.deposited.toString());
+      entry.withdrawn += BigInt(bucket.withdrawn.toString());
+      entry.events += bucket.events;
+      entry.balance = [...balances.values()].reduce((total, balance) => total + balance, 0n);
+      entry.contracts.push({ chainId: bucket._id.chainId, deposited: bucket.deposited, withdrawn: bucket.withdrawn });
+      entry.balances = [...balances].map(([contractKey, balance]) => [contractKey.split(':')[0], balance]);
+      series.set(key, entry);
+    }
+
+    // USD values use the price at the start of each bucket
+    const pricePoint = (chainId, timestamp) => ({ chainId, asset: 'native', timestamp });
+    const prices = await getUsdPrices([...series.values()].flatMap(entry => (
+      entry.balances.map(([chainId]) => pricePoint(chainId, entry.timestamp))
+    )));
+    const sumBucketUsd = (entry, amounts) => sumUsd(prices, amounts.map(([chainId, amount]) => (
+      [pricePoint(chainId, entry.timestamp), amount.toString()]
+    )));
+
+    res.json({
+      interval,
+      series: [...series.values()].map(entry => ({
+        timestamp: entry.timestamp,
+        deposited: entry.deposited.toString(),
+        withdrawn: entry.withdrawn.toString(),
+        balance: entry.balance.toString(),
+        depositedUsd: sumBucketUsd(entry, entry.contracts.map(part => [part.chainId, part.deposited])),
+        withdrawnUsd: sumBucketUsd(entry, entry.contracts.map(part => [part.chainId, part.withdrawn])),
+        balanceUsd: sumBucketUsd(entry, entry.balances),
+        events: entry.events
+      }))
+    });
+  } catch (error) {
+    sendRouteError(res, error, 'Error fetching pool history');
+  }
+});
+
+// Get a ticket with its lifecycle history and openings. Pass ?chain= and
+// ?contract= to pick the ticket when several deployments share a token id.
+app.get('/tickets/:tokenId', async (req, res) => {
+  try {
+    const { tokenId } = req.params;
+    const ticket = await MintingDetails.findOne({ ...parseDeploymentFilter(req.query), tokenId }).lean();
+
+    if (!ticket) {
+      return res.status(404).json({ error: 'Ticket not found' });
+    }
+
+    const openings = await Opening.find({ chainId: ticket.chainId, contract: ticket.contract, tokenId })
+      .sort({ timestamp: -1 })
+      .lean();
+    const [priced] = await addTicketUsd([ticket]);
+    res.json({ ...formatMintingDetails(priced), openings });
+  } catch (error) {
+    sendRouteError(res, error, 'Error fetching ticket');
+  }
+});
+
+// Get tickets, optionally filtered by lifecycle status or anomalies. Tickets
+// the signed-in wallet hid are left out.
+app.get('/tickets', readWalletSession, async (req, res) => {
+  try {
+    const { status, anomalous } = req.query;
+    const filter = {};
+
+    if (status) {
+      if (!TICKET_STATUSES.includes(status)) {
+        return res.status(400).json({ error: `status must be one of ${TICKET_STATUSES.join(', ')}` });
+      }
+      filter.status = status;
+    }
+
+    if (parseBooleanParam(anomalous, 'anomalous')) {
+      filter['anomalies.0'] = { $exists: true };
+    }
+
+    const hidden = await getHiddenTicketsFilter(req);
+    if (hidden) {
+      filter.$and = [hidden];
+    }
+
+    const list = parseListQuery(req.query, MINTING_DETAILS_SORT_FIELDS);
+    const page = await paginate(MintingDetails, { ...parseMintingDetailsFilter(req.query), ...filter }, list);
+    res.json({ ...page, data: (await addTicketUsd(page.data)).map(formatMintingDetails) });
+  } catch (error) {
+    sendRouteError(res, error, 'Error fetching tickets');
+  }
+});
+
+// Token metadata. GET /metadata/:contract/:tokenId serves OpenSea-style
+// tokenURI JSON built from the ticket's minting details, with an SVG image
+// rendered from its current state. Set the contracts' base URI to
+// METADATA_BASE_URL/metadata/<contract>/. When a ticket changes, marketplaces
+// are asked to refetch its metadata (OpenSea, when OPENSEA_API_KEY is set).
+const METADATA_BASE_URL = (process.env.METADATA_BASE_URL || '').replace(/\/+$/, '');
+const METADATA_EXTERNAL_URL = process.env.METADATA_EXTERNAL_URL || '';
+const OPENSEA_API_KEY = process.env.OPENSEA_API_KEY || '';
+// Updates to one ticket within this window are sent as a single refresh
+const METADATA_REFRESH_DELAY_MS = parseInt(process.env.METADATA_REFRESH_DELAY_MS, 10) || 30 * 1000;
+
+// OpenSea's names for the chains we index
+const OPENSEA_CHAINS = {
+  '0x1': 'ethereum',
+  '0xaa36a7': 'sepolia',
+  '0x2105': 'base',
+  '0x14a34': 'base_sepolia',
+  '0x89': 'matic',
+  '0x13882': 'amoy'
+};
+
+// Colors and label of each state a ticket image can show
+const TICKET_IMAGE_STATES = {
+  sealed: { label: 'SEALED', background: '#1e293b', accent: '#94a3b8' },
+  opening: { label: 'OPENING', background: '#4c1d95', accent: '#c4b5fd' },
+  won: { label: 'WINNER', background: '#78350f', accent: '#fcd34d' },
+  lost: { label: 'NO WIN', background: '#334155', accent: '#cbd5e1' },
+  paid: { label: 'PAID OUT', background: '#14532d', accent: '#86efac' }
+};
+
+// Helper function to find the deployment a metadata request is for
+function findMetadataDeployment(contract, chain) {
+  if (!ethers.utils.isAddress(contract)) {
+    throw badRequest('contract must be an address');
+  }
+
+  let chainId;
+  if (chain !== undefined) {
+    chainId = normalizeChainId(chain);
+    if (!chainId) {
+      throw badRequest('chain must be a chain name or id');
+    }
+  }
+
+  const deployment = deployments.find(candidate => (
+    candidate.address === contract.toLowerCase() && (!chainId || candidate.chainId === chainId)
+  ));
+  if (!deployment) {
+    throw notFound('Contract not found');
+  }
+  return deployment;
+}
+
+// Helper function to load the ticket of a metadata request
+async function findMetadataTicket(req) {
+  const { contract, tokenId } = req.params;
+  const deployment = findMetadataDeployment(contract, req.query.chain);
+
+  if (!/^\d+$/.test(tokenId)) {
+    throw badRequest('tokenId must be a number');
+  }
+
+  const ticket = await MintingDetails.findOne({
+    chainId: deployment.chainId,
+    contract: deployment.address,
+    tokenId
+  }).lean();
+
+  if (!ticket || !ticket.status) {
+    throw notFound('Ticket not found');
+  }
+  return { deployment, ticket };
+}
+
+// Helper function to work out what a ticket's image shows
+function getTicketImageState(ticket) {
+  if (ticket.status === 'paid') return 'paid';
+  if (ticket.status === 'opening') return 'opening';
+  if (ticket.status !== 'resolved') return 'sealed';
+  return ticket.hitLevel >= 0 || BigInt(ticket.winAmount || 0) > 0n ? 'won' : 'lost';
+}
+
+// Helper function to turn a wei amount into a number of whole units
+function formatUnitsNumber(value) {
+  return value ? Number(ethers.utils.formatEther(value)) : 0;
+}
+
+function escapeXml(value) {
+  return String(value).replace(/[<>&'"]/g, char => ({
+    '<': '&lt;', '>': '&gt;', '&': '&amp;', '\'': '&apos;', '"': '&quot;'
+  })[char]);
+}
+
+// Build the OpenSea attributes of a ticket
+function buildTicketAttributes(deployment, ticket) {
+  const state = getTicketImageState(ticket);
+  const currency = ticket.isETHVersion === false ? 'Token' : 'ETH';
+  const attributes = [
+    { trait_type: 'Status', value: ticket.status },
+    { trait_type: 'Result', value: ['won', 'paid'].includes(state) ? 'Won' : state === 'lost' ? 'Lost' : 'Pending' },
+    { trait_type: 'Standard', value: deployment.standard },
+    { trait_type: 'Currency', value: currency },
+    { trait_type: 'Levels', value: ticket.levels.length, display_type: 'number' }
+  ];
+
+  if (ticket.levels.length) {
+    const maxWin = ticket.levels.reduce((max, level) => {
+      const amount = BigInt(level.winAmount);
+      return amount > max ? amount : max;
+    }, 0n);
+    attributes.push({ trait_type: 'Max Win', value: formatUnitsNumber(maxWin.toString()), display_type: 'number' });
+  }
+
+  ticket.levels.forEach((level, index) => {
+    attributes.push({ trait_type: `Level ${index + 1} Prize`, value: formatUnitsNumber(level.winAmount), display_type: 'number' });
+    if (level.winPercentage !== undefined && level.winPercentage !== null) {
+      attributes.push({
+        trait_type: `Level ${index + 1} Odds`,
+        value: level.winPercentage * 100 / WIN_PERCENTAGE_DENOMINATOR,
+        display_type: 'boost_percentage'
+      });
+    }
+  });
+
+  if (ticket.expectedValue) {
+    attributes.push({ trait_type: 'Expected Value', value: formatUnitsNumber(ticket.expectedValue), display_type: 'number' });
+  }
+  if (ticket.rollResult !== undefined && ticket.rollResult !== null) {
+    attributes.push({ trait_type: 'Roll Result', value: ticket.rollResult, display_type: 'number' });
+  }
+  if (ticket.hitLevel >= 0) {
+    attributes.push({ trait_type: 'Winning Level', value: ticket.hitLevel + 1, display_type: 'number' });
+  }
+  if (ticket.winAmount) {
+    attributes.push({ trait_type: 'Win Amount', value: formatUnitsNumber(ticket.winAmount), display_type: 'number' });
+  }
+  if (ticket.payout) {
+    attributes.push({ trait_type: 'Payout', value: formatUnitsNumber(ticket.payout), display_type: 'number' });
+  }
+  if (ticket.timestamp) {
+    attributes.push({ trait_type: 'Minted', value: Math.floor(new Date(ticket.timestamp).getTime() / 1000), display_type: 'date' });
+  }
+
+  return attributes;
+}
+
+// Render a ticket as an SVG card that follows its lifecycle: sealed until it
+// is opened, then the roll result with the winning level highlighted
+function renderTicketSvg(ticket) {
+  const state = getTicketImageState(ticket);
+  const { label, background, accent } = TICKET_IMAGE_STATES[state];
+  const currency = ticket.isETHVersion === false ? 'TOKEN' : 'ETH';
+  const revealed = ['won', 'lost', 'paid'].includes(state);
+
+  const levelRows = ticket.levels.slice(0, 8).map((level, index) => {
+    const y = 190 + index * 28;
+    const hit = revealed && ticket.hitLevel === index;
+    const odds = level.winPercentage !== undefined && level.winPercentage !== null
+      ? ` · ${level.winPercentage * 100 / WIN_PERCENTAGE_DENOMINATOR}%`
+      : '';
+    return [
+      hit ? `<rect x="24" y="${y - 19}" width="302" height="26" rx="6" fill="${accent}" fill-opacity="0.25"/>` : '',
+      `<text x="36" y="${y}" font-size="15" fill="${hit ? accent : '#e2e8f0'}">`
+        + `Level ${index + 1}: ${escapeXml(formatUnitsNumber(level.winAmount))} ${currency}${escapeXml(odds)}</text>`
+    ].join('');
+  }).join('');
+
+  let footer = 'Open to reveal';
+  if (state === 'opening') footer = 'Rolling…';
+  if (revealed) footer = `Roll ${ticket.rollResult ?? '?'}`;
+  if (state === 'won' && ticket.winAmount) footer += ` · Won ${formatUnitsNumber(ticket.winAmount)} ${currency}`;
+  if (state === 'paid' && ticket.payout) footer += ` · Paid ${formatUnitsNumber(ticket.payout)} ${currency}`;
+
+  return [
+    '<svg xmlns="http://www.w3.org/2000/svg" width="350" height="500" viewBox="0 0 350 500" font-family="Helvetica, Arial, sans-serif">',
+    `<rect width="350" height="500" rx="24" fill="${background}"/>`,
+    `<rect x="12" y="12" width="326" height="476" rx="18" fill="none" stroke="${accent}" stroke-width="2"/>`,
+    `<text x="175" y="64" text-anchor="middle" font-size="22" font-weight="bold" fill="${accent}">FORTUNE TICKET</text>`,
+    `<text x="175" y="100" text-anchor="middle" font-size="18" fill="#f8fafc">#${escapeXml(ticket.tokenId)}</text>`,
+    `<text x="175" y="142" text-anchor="middle" font-size="28" font-weight="bold" fill="#f8fafc">${label}</text>`,
+    levelRows,
+    `<text x="175" y="456" text-anchor="middle" font-size="16" fill="${accent}">${escapeXml(footer)}</text>`,
+    '</svg>'
+  ].join('');
+}
+
+// Tickets that can still change are cached briefly; paid tickets are final
+function setMetadataCacheHeaders(res, ticket) {
+  res.set('Cache-Control', ticket.status === 'paid' && !ticket.pending
+    ? 'public, max-age=86400'
+    : 'public, max-age=60, stale-while-revalidate=300');
+}
+
+// Get the tokenURI metadata of a ticket, ?chain= when the contract address is
+// deployed on several chains
+app.get('/metadata/:contract/:tokenId', async (req, res) => {
+  try {
+    const { deployment, ticket } = await findMetadataTicket(req);
+    const baseUrl = METADATA_BASE_URL || `${req.protocol}://${req.get('host')}`;
+    const chainQuery = req.query.chain !== undefined ? `?chain=${encodeURIComponent(req.query.chain)}` : '';
+    const state = getTicketImageState(ticket);
+
+    const metadata = {
+      name: `Fortune Ticket #${ticket.tokenId}`,
+      description: `A Fortune Ticket with ${ticket.levels.length} prize levels. `
+        + `Current state: ${TICKET_IMAGE_STATES[state].label.toLowerCase()}.`,
+      image: `${baseUrl}/metadata/${deployment.address}/${ticket.tokenId}/image.svg${chainQuery}`,
+      attributes: buildTicketAttributes(deployment, ticket),
+      background_color: TICKET_IMAGE_STATES[state].background.slice(1)
+    };
+    if (METADATA_EXTERNAL_URL) {
+      metadata.external_url = METADATA_EXTERNAL_URL
+        .replace('{chainId}', deployment.chainId)
+        .replace('{contract}', deployment.address)
+        .replace('{tokenId}', ticket.tokenId);
+    }
+
+    setMetadataCacheHeaders(res, ticket);
+    res.json(metadata);
+  } catch (error) {
+    sendRouteError(res, error, 'Error fetching token metadata');
+  }
+});
+
+// Get the image of a ticket
+app.get('/metadata/:contract/:tokenId/image.svg', async (req, res) => {
+  try {
+    const { ticket } = await findMetadataTicket(req);
+
+    setMetadataCacheHeaders(res, ticket);
+    res.type('image/svg+xml').send(renderTicketSvg(ticket));
+  } catch (error) {
+    sendRouteError(res, error, 'Error rendering token image');
+  }
+});
+
+// Ask OpenSea to refetch a token's metadata
+async function refreshMarketplaceMetadata(chainId, contract, tokenId) {
+  const chain = OPENSEA_CHAINS[chainId];
+  if (!OPENSEA_API_KEY || !chain) return;
+
+  const response = await fetch(
+    `https://api.opensea.io/api/v2/chain/${chain}/contract/${contract}/nfts/${tokenId}/refresh`,
+    {
+      method: 'POST',
+      headers: { 'X-API-KEY': OPENSEA_API_KEY },
+      signal: AbortSignal.timeout(10 * 1000)
+    }
+  );
+  if (!response.ok) {
+    throw new Error(`OpenSea refresh returned ${response.status}`);
+  }
+}
+
+const pendingMetadataRefreshes = new Map();
+
+// Metadata refresh hook on MINTING_DETAILS_UPDATED broadcasts. Refreshes are
+// debounced per token so a batch that touches a ticket several times (or its
+// pending and confirmed deliveries) sends a single request.
+function scheduleMetadataRefresh({ type, data }) {
+  if (type !== 'MINTING_DETAILS_UPDATED' || !OPENSEA_API_KEY || !data.ticket) return;
+
+  const { chainId, contract, tokenId } = data.ticket;
+  const key = `${chainId}:${contract}:${tokenId}`;
+  if (pendingMetadataRefreshes.has(key)) return;
+
+  pendingMetadataRefreshes.set(key, setTimeout(() => {
+    pendingMetadataRefreshes.delete(key);
+    refreshMarketplaceMetadata(chainId, contract, tokenId).catch(error => {
+      console.error(`Error refreshing metadata of token ${tokenId}:`, error.message);
+    });
+  }, METADATA_REFRESH_DELAY_MS).unref());
+}
+
+// Time windows for the leaderboard, in milliseconds
+const LEADERBOARD_WINDOWS = {
+  '24h': 24 * 60 * 60 * 1000,
+  '7d': 7 * 24 * 60 * 60 * 1000,
+  '30d': 30 * 24 * 60 * 60 * 1000,
+  all: null
+};
+const LEADERBOARD_METRICS = ['totalWinnings', 'biggestWin', 'ticketsOpened'];
+const LEADERBOARD_DEFAULT_LIMIT = 10;
+const LEADERBOARD_MAX_LIMIT = 100;
+
+// Get minting, opening and winning statistics for an address
+app.get('/address/:address/stats', async (req, res) => {
+  try {
+    const address = parseWalletAddress(req.params.address);
+    const filter = parseDeploymentFilter(req.query);
+
+    const [minted, openings, paid] = await Promise.all([
+      MintingDetails.find({ ...filter, minter: address }).select('chainId mintPrice isETHVersion timestamp history').lean(),
+      Opening.find({ ...filter, opener: address }).select('chainId contract tokenId').lean(),
+      MintingDetails.find({ ...filter, winner: address, status: 'paid' })
+        .select('chainId payout isETHVersion paidAt history')
+        .lean()
+    ]);
+
+    // A ticket may be opened more than once
+    const opened = [...new Map(openings.map(opening => (
+      [`${opening.chainId}:${opening.contract}:${opening.tokenId}`, opening]
+    ))).values()];
+    const openedFilter = getTokenKeysFilter(opened);
+
+    const resolved = openedFilter
+      ? await MintingDetails.find({ ...openedFilter, status: { $in: ['resolved', 'paid'] } })
+        .select('levels winAmount hitLevel')
+        .lean()
+      : [];
+
+    const totalWagered = minted.reduce((total, ticket) => total + BigInt(ticket.mintPrice || 0), 0n);
+    const totalWon = paid.reduce((total, ticket) => total + BigInt(ticket.payout || 0), 0n);
+
+    const mintedPoints = minted.map(ticket => getTicketPricePoints(ticket).minted);
+    const paidPoints = paid.map(ticket => getTicketPricePoints(ticket).paid);
+    const prices = await getUsdPrices([...mintedPoints, ...paidPoints]);
+    const totalWageredUsd = sumUsd(prices, minted.map((ticket, index) => [mintedPoints[index], ticket.mintPrice]));
+    const totalWonUsd = sumUsd(prices, paid.map((ticket, index) => [paidPoints[index], ticket.payout]));
+
+    // Per level, the share of resolved tickets that landed on it: every ticket
+    // could have hit any of its levels, so it counts towards each level's
+    // tickets but wins at most one, its hitLevel. Tickets resolved before
+    // hitLevel was stored fall back to the first level paying their win amount.
+    const levels = [];
+    for (const ticket of resolved) {
+      const hit = ticket.hitLevel ?? ticket.levels.findIndex(level => (
+        ticket.winAmount && ticket.winAmount !== '0' && level.winAmount === ticket.winAmount
+      ));
+      ticket.levels.forEach((level, index) => {
+        levels[index] = levels[index] || { level: index, tickets: 0, wins: 0 };
+        levels[index].tickets++;
+        if (hit === index) levels[index].wins++;
+      });
+    }
+
+    res.json({
+      address,
+      ticketsMinted: minted.length,
+      ticketsOpened: opened.length,
+      ticketsResolved: resolved.length,
+      ticketsWon: paid.filter(ticket => ticket.payout && ticket.payout !== '0').length,
+      totalWagered: totalWagered.toString(),
+      totalWon: totalWon.toString(),
+      netProfit: (totalWon - totalWagered).toString(),
+      totalWageredUsd,
+      totalWonUsd,
+      netProfitUsd: totalWageredUsd !== null && totalWonUsd !== null
+        ? Math.round((totalWonUsd - totalWageredUsd) * 100) / 100
+        : null,
+      winRate: resolved.length > 0
+        ? resolved.filter(ticket => ticket.winAmount && ticket.winAmount !== '0').length / resolved.length
+        : 0,
+      winRateByLevel: levels.filter(Boolean).map(level => ({
+        ...level,
+        winRate: level.tickets > 0 ? level.wins / level.tickets : 0
+      }))
+    });
+  } catch (error) {
+    sendRouteError(res, error, 'Error fetching address stats');
+  }
+});
+
+// Get the top wallets by total winnings, biggest single win or tickets opened
+app.get('/leaderboard', async (req, res) => {
+  try {
+    const { metric = 'totalWinnings', window = 'all' } = req.query;
+    const limit = parseLimit(req.query, { defaultLimit: LEADERBOARD_DEFAULT_LIMIT, maxLimit: LEADERBOARD_MAX_LIMIT });
+
+    if (!LEADERBOARD_METRICS.includes(metric)) {
+      return res.status(400).json({ error: `metric must be one of ${LEADERBOARD_METRICS.join(', ')}` });
+    }
+
+    if (!(window in LEADERBOARD_WINDOWS)) {
+      return res.status(400).json({ error: `window must be one of ${Object.keys(LEADERBOARD_WINDOWS).join(', ')}` });
+    }
+
+    const since = LEADERBOARD_WINDOWS[window] && new Date(Date.now() - LEADERBOARD_WINDOWS[window]);
+    const filter = parseDeploymentFilter(req.query);
+    let entries;
+
+    if (metric === 'ticketsOpened') {
+      const match = since ? { ...filter, timestamp: { $gte: since } } : filter;
+      entries = await Opening.aggregate([
+        { $match: match },
+        {
+          $group: {
+            _id: '$opener',
+            tokenIds: { $addToSet: { chainId: '$chainId', contract: '$contract', tokenId: '$tokenId' } }
+          }
+        },
+        { $project: { value: { $size: '$tokenIds' } } },
+        { $sort: { value: -1 } },
+        { $limit: limit }
+      ]);
+    } else {
+      const match = { ...filter, status: 'paid', winner: { $exists: true } };
+      if (since) match.paidAt = { $gte: since };
+
+      entries = await MintingDetails.aggregate([
+        { $match: match },
+        {
+          $group: {
+            _id: '$winner',
+            value: metric === 'totalWinnings'
+              ? { $sum: { $toDecimal: '$payout' } }
+              : { $max: { $toDecimal: '$payout' } }
+          }
+        },
+        { $sort: { value: -1 } },
+        { $limit: limit }
+      ]);
+    }
+
+    res.json({
+      metric,
+      window,
+      leaderboard: entries.map((entry, index) => ({
+        rank: index + 1,
+        address: entry._id,
+        value: entry.value.toString()
+      }))
+    });
+  } catch (error) {
+    sendRouteError(res, error, 'Error fetching leaderboard');
+  }
+});
+
+const ANALYTICS_INTERVALS = ['day', 'week', 'month'];
+
+// Get fairness analytics over resolved tickets: a histogram of roll results
+// with a chi-square statistic against a uniform roll, hit rates per level
+// against the advertised odds, and the theoretical and realized house edge per
+// ?interval= (day, week or month). ?buckets= sets the histogram size and
+// ?rollMax= the highest possible roll (the highest seen by default).
+app.get('/analytics/odds', async (req, res) => {
+  try {
+    const filter = {
+      ...parseDeploymentFilter(req.query),
+      ...parseDateRange(req.query, 'timestamp'),
+      status: { $in: ['resolved', 'paid'] },
+      rollResult: { $ne: null }
+    };
+
+    const buckets = req.query.buckets === undefined ? 20 : Number(req.query.buckets);
+    if (!Number.isInteger(buckets) || buckets < 1 || buckets > 200) {
+      throw badRequest('buckets must be an integer between 1 and 200');
+    }
+
+    const interval = req.query.interval || 'day';
+    if (!ANALYTICS_INTERVALS.includes(interval)) {
+      throw badRequest(`interval must be one of ${ANALYTICS_INTERVALS.join(', ')}`);
+    }
+
+    const rollMaxParam = req.query.rollMax === undefined ? undefined : Number(req.query.rollMax);
+    if (rollMaxParam !== undefined && (!Number.isInteger(rollMaxParam) || rollMaxParam < 0)) {
+      throw badRequest('rollMax must be a non-negative integer');
+    }
+
+    const [[summary], levels, series] = await Promise.all([
+      MintingDetails.aggregate([
+        { $match: filter },
+        {
+          $group: {
+            _id: null,
+            tickets: { $sum: 1 },
+            wins: { $sum: { $cond: [{ $gt: ['$hitLevel', -1] }, 1, 0] } },
+            maxRoll: { $max: '$rollResult' }
+          }
+        }
+      ]),
+      MintingDetails.aggregate([
+        { $match: { ...filter, hitLevel: { $ne: null }, 'levels.winPercentage': { $ne: null } } },
+        { $unwind: { path: '$levels', includeArrayIndex: 'level' } },
+        {
+          $group: {
+            _id: '$level',
+            tickets: { $sum: 1 },
+            hits: { $sum: { $cond: [{ $eq: ['$hitLevel', '$level'] }, 1, 0] } },
+            expectedHits: { $sum: { $divide: ['$levels.winPercentage', WIN_PERCENTAGE_DENOMINATOR] } }
+          }
+        },
+        { $sort: { _id: 1 } }
+      ]),
+      MintingDetails.aggregate([
+        { $match: { ...filter, mintPrice: { $ne: null }, expectedValue: { $ne: null } } },
+        {
+          $group: {
+            _id: { $dateTrunc: { date: '$timestamp', unit: interval } },
+            tickets: { $sum: 1 },
+            wagered: { $sum: { $toDecimal: '$mintPrice' } },
+            expectedPayout: { $sum: { $toDecimal: '$expectedValue' } },
+            payout: { $sum: { $toDecimal: { $ifNull: ['$payout', '0'] } } }
+          }
+        },
+        { $sort: { _id: 1 } }
+      ])
+    ]);
+
+    const tickets = summary ? summary.tickets : 0;
+
+    // Fixed-width buckets over 0..rollMax; the last one may be narrower
+    const rollMax = rollMaxParam ?? (summary ? summary.maxRoll : 0);
+    const width = Math.ceil((rollMax + 1) / buckets);
+    const counts = tickets > 0
+      ? await MintingDetails.aggregate([
+        { $match: { ...filter, rollResult: { $gte: 0, $lte: rollMax } } },
+        { $group: { _id: { $floor: { $divide: ['$rollResult', width] } }, count: { $sum: 1 } } }
+      ])
+      : [];
+    const countByBucket = new Map(counts.map(({ _id, count }) => [_id, count]));
+    const inRange = counts.reduce((total, { count }) => total + count, 0);
+
+    let chiSquare = 0;
+    const histogram = [];
+    for (let from = 0; from <= rollMax; from += width) {
+      const to = Math.min(from + width - 1, rollMax);
+      const count = countByBucket.get(from / width) || 0;
+      const expected = inRange * (to - from + 1) / (rollMax + 1);
+      if (expected > 0) chiSquare += (count - expected) ** 2 / expected;
+      histogram.push({ from, to, count, expected });
+    }
+
+    // Realized edge is what the house kept of the wagers; theoretical is what
+    // the advertised odds say it should keep
+    const edge = (wagered, paid) => (Number(wagered) > 0 ? 1 - Number(paid) / Number(wagered) : null);
+    const houseEdge = series.map(({ _id, tickets: count, wagered, expectedPayout, payout }) => ({
+      period: _id,
+      tickets: count,
+      wagered: wagered.toString(),
+      expectedPayout: expectedPayout.toString(),
+      payout: payout.toString(),
+      theoreticalEdge: edge(wagered, expectedPayout),
+      realizedEdge: edge(wagered, payout)
+    }));
+
+    const totals = series.reduce((total, period) => ({
+      wagered: total.wagered + BigInt(period.wagered.toString()),
+      expectedPayout: total.expectedPayout + BigInt(period.expectedPayout.toString()),
+      payout: total.payout + BigInt(period.payout.toString())
+    }), { wagered: 0n, expectedPayout: 0n, payout: 0n });
+
+    res.json({
+      tickets,
+      wins: summary ? summary.wins : 0,
+      winPercentageDenominator: WIN_PERCENTAGE_DENOMINATOR,
+      rolls: {
+        rollMax,
+        histogram,
+        outOfRange: tickets - inRange,
+        chiSquare,
+        degreesOfFreedom: histogram.length - 1
+      },
+      levels: levels.map(({ _id, tickets: count, hits, expectedHits }) => ({
+        level: _id,
+        tickets: count,
+        hits,
+        hitRate: hits / count,
+        advertisedRate: expectedHits / count,
+        expectedHits
+      })),
+      houseEdge: {
+        wagered: totals.wagered.toString(),
+        expectedPayout: totals.expectedPayout.toString(),
+        payout: totals.payout.toString(),
+        theoreticalEdge: edge(totals.wagered, totals.expectedPayout),
+        realizedEdge: edge(totals.wagered, totals.payout),
+        series: houseEdge
+      }
+    });
+  } catch (error) {
+    sendRouteError(res, error, 'Error fetching odds analytics');
+  }
+});
+
+// Exports. Rows are read through a database cursor and written as they
+// arrive, waiting for the client to drain the response, so an export never
+// holds a whole collection in memory. Amounts are given in ETH (or whole
+// tokens for tickets bought with the ERC404 token) next to the raw wei.
+const EXPORT_FORMATS = ['csv', 'json'];
+
+// Helper function to quote a CSV field when it needs it
+function toCsvField(value) {
+  if (value === undefined || value === null) return '';
+  const text = value instanceof Date ? value.toISOString() : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function formatExportAmount(wei) {
+  return wei ? ethers.utils.formatEther(wei) : null;
+}
+
+function getExportCurrency(isETHVersion) {
+  if (isETHVersion === undefined || isETHVersion === null) return null;
+  return isETHVersion ? 'ETH' : 'TOKEN';
+}
+
+// Stream the documents of a cursor as a CSV or JSON download. Both formats
+// carry the same columns. The first document is read before anything is sent
+// so a failing query still gets an error response; after that an error cuts
+// the connection and the client sees a truncated download, not a short file.
+async function streamExport(req, res, cursor, { filename, columns, toRow }) {
+  const format = req.query.format || 'csv';
+  let doc;
+
+  try {
+    if (!EXPORT_FORMATS.includes(format)) {
+      throw badRequest(`format must be one of ${EXPORT_FORMATS.join(', ')}`);
+    }
+    doc = await cursor.next();
+  } catch (error) {
+    await cursor.close().catch(() => {});
+    throw error;
+  }
+
+  res.set('Content-Disposition', `attachment; filename="${filename}.${format}"`);
+  res.type(format === 'csv' ? 'text/csv' : 'application/json');
+
+  // Wait for the client to drain the buffer, or to go away
+  const write = chunk => new Promise((resolve) => {
+    if (res.write(chunk)) return resolve();
+    const done = () => {
+      res.off('drain', done);
+      res.off('close', done);
+      resolve();
+    };
+    res.on('drain', done);
+    res.on('close', done);
+  });
+
+  try {
+    await write(format === 'csv' ? `${columns.join(',')}\n` : '[');
+
+    let first = true;
+    while (doc && !res.destroyed) {
+      const row = toRow(doc);
+      if (format === 'csv') {
+        await write(`${columns.map(column => toCsvField(row[column])).join(',')}\n`);
+      } else {
+        const fields = Object.fromEntries(columns.map(column => [column, row[column] ?? null]));
+        await write(`${first ? '' : ','}\n${JSON.stringify(fields)}`);
+      }
+      first = false;
+      doc = await cursor.next();
+    }
+
+    res.end(format === 'csv' ? '' : '\n]\n');
+  } catch (error) {
+    console.error(`Error streaming ${filename} export:`, error);
+    res.destroy(error);
+  } finally {
+    await cursor.close().catch(() => {});
+  }
+}
+
+const WALLET_EXPORT_COLUMNS = [
+  'timestamp', 'event', 'chainId', 'contract', 'tokenId', 'transactionHash',
+  'amount', 'currency', 'amountWei', 'rollResult', 'pending'
+];
+
+// Helper function to shape a ticket or opening into a wallet export row.
+// order keeps rows with the same timestamp in lifecycle order.
+function projectWalletEvent(event, order, fields) {
+  return {
+    $project: {
+      _id: 0,
+      event: { $literal: event },
+      order: { $literal: order },
+      chainId: 1,
+      contract: 1,
+      tokenId: 1,
+      pending: 1,
+      ...fields
+    }
+  };
+}
+
+// Every step of a wallet's tickets in time order: the tickets it minted and
+// opened, how the tickets it opened resolved, and the rewards it was paid
+function buildWalletEventsPipeline(address, query) {
+  const filter = parseDeploymentFilter(query);
+  const resolvedEntry = {
+    $arrayElemAt: [{ $filter: { input: '$history', cond: { $eq: ['$$this.status', 'resolved'] } } }, 0]
+  };
+
+  return [
+    { $match: { ...filter, minter: address } },
+    projectWalletEvent('minted', 0, {
+      timestamp: 1, transactionHash: 1, amount: '$mintPrice', isETHVersion: 1
+    }),
+    {
+      $unionWith: {
+        coll: Opening.collection.name,
+        pipeline: [
+          { $match: { ...filter, opener: address } },
+          projectWalletEvent('opened', 1, { timestamp: 1, transactionHash: 1 })
+        ]
+      }
+    },
+    {
+      $unionWith: {
+        coll: Opening.collection.name,
+        pipeline: [
+          { $match: { ...filter, opener: address } },
+          // A ticket may be opened more than once
+          { $group: { _id: { chainId: '$chainId', contract: '$contract', tokenId: '$tokenId' } } },
+          {
+            $lookup: {
+              from: MintingDetails.collection.name,
+              localField: '_id.tokenId',
+              foreignField: 'tokenId',
+              let: { chainId: '$_id.chainId', contract: '$_id.contract' },
+              pipeline: [
+                { $match: { $expr: { $and: [{ $eq: ['$chainId', '$$chainId'] }, { $eq: ['$contract', '$$contract'] }] } } },
+                { $match: { status: { $in: ['resolved', 'paid'] } } }
+              ],
+              as: 'ticket'
+            }
+          },
+          { $unwind: '$ticket' },
+          { $replaceRoot: { newRoot: '$ticket' } },
+          projectWalletEvent('resolved', 2, {
+            timestamp: { $ifNull: [{ $let: { vars: { entry: resolvedEntry }, in: '$$entry.timestamp' } }, '$timestamp'] },
+            transactionHash: '$resolvedTransactionHash',
+            amount: '$winAmount',
+            isETHVersion: 1,
+            rollResult: 1
+          })
+        ]
+      }
+    },
+    {
+      $unionWith: {
+        coll: MintingDetails.collection.name,
+        pipeline: [
+          { $match: { ...filter, winner: address, status: 'paid' } },
+          projectWalletEvent('paid', 3, {
+            timestamp: '$paidAt', transactionHash: '$paidTransactionHash', amount: '$payout', isETHVersion: 1
+          })
+        ]
+      }
+    },
+    { $match: parseDateRange(query, 'timestamp') },
+    { $sort: { timestamp: 1, order: 1, tokenId: 1 } }
+  ];
+}
+
+// Export a wallet's ticket history for accounting, ?format=csv|json, with the
+// usual ?chain=, ?contract=, ?from= and ?to= filters
+app.get('/address/:address/export', async (req, res) => {
+  try {
+    const address = parseWalletAddress(req.params.address);
+    const cursor = MintingDetails.aggregate(buildWalletEventsPipeline(address, req.query))
+      .allowDiskUse(true)
+      .cursor();
+
+    await streamExport(req, res, cursor, {
+      filename: `fortune-${address}`,
+      columns: WALLET_EXPORT_COLUMNS,
+      toRow: ({ order, amount, isETHVersion, ...row }) => ({
+        ...row,
+        amount: formatExportAmount(amount),
+        currency: getExportCurrency(isETHVersion),
+        amountWei: amount || null,
+        rollResult: row.rollResult ?? null,
+        pending: Boolean(row.pending)
+      })
+    });
+  } catch (error) {
+    sendRouteError(res, error, 'Error exporting wallet history');
+  }
+});
+
+// Collections the admin export covers, each read in time order
+const ADMIN_EXPORTS = {
+  'minting-details': {
+    Model: MintingDetails,
+    columns: [
+      'timestamp', 'chainId', 'contract', 'tokenId', 'status', 'minter', 'transactionHash',
+      'mintPrice', 'currency', 'rollResult', 'winAmount', 'hitLevel', 'expectedValue', 'payout',
+      'winner', 'paidAt', 'resolvedTransactionHash', 'paidTransactionHash', 'anomalies', 'pending'
+    ],
+    toRow: ticket => ({
+      ...ticket,
+      mintPrice: formatExportAmount(ticket.mintPrice),
+      currency: getExportCurrency(ticket.isETHVersion),
+      winAmount: formatExportAmount(ticket.winAmount),
+      expectedValue: formatExportAmount(ticket.expectedValue),
+      payout: formatExportAmount(ticket.payout),
+      anomalies: (ticket.anomalies || []).map(anomaly => anomaly.type).join(' ')
+    })
+  },
+  openings: {
+    Model: Opening,
+    columns: ['timestamp', 'chainId', 'contract', 'tokenId', 'tokenType', 'opener', 'transactionHash', 'logIndex', 'pending'],
+    toRow: opening => opening
+  },
+  'pool-events': {
+    Model: PoolEvent,
+    columns: [
+      'timestamp', 'chainId', 'contract', 'type', 'account', 'amount', 'balanceAfter',
+      'blockNumber', 'transactionHash', 'logIndex', 'pending'
+    ],
+    toRow: event => ({
+      ...event,
+      amount: formatExportAmount(event.amount),
+      balanceAfter: formatExportAmount(event.balanceAfter)
+    })
+  }
+};
+
+// Export minting details, openings or pool events between ?from= and ?to=,
+// ?format=csv|json, optionally for one ?chain= or ?contract=
+app.get('/admin/export/:collection', requireAdminRole('viewer'), async (req, res) => {
+  try {
+    const { collection } = req.params;
+    const source = ADMIN_EXPORTS[collection];
+
+    if (!source) {
+      throw notFound(`collection must be one of ${Object.keys(ADMIN_EXPORTS).join(', ')}`);
+    }
+
+    const filter = { ...parseDeploymentFilter(req.query), ...parseDateRange(req.query, 'timestamp') };
+    const cursor = source.Model.find(filter)
+      .select('-_id -__v -history -levels -payoutValue')
+      .sort({ timestamp: 1, _id: 1 })
+      .lean()
+      .cursor({ batchSize: 500 });
+
+    await streamExport(req, res, cursor, {
+      filename: `fortune-${collection}`,
+      columns: source.columns,
+      toRow: source.toRow
+    });
+  } catch (error) {
+    sendRouteError(res, error, 'Error exporting records');
+  }
+});
+
+// Get the confirmation status of a processed transaction
+app.get('/transactions/:transactionHash', async (req, res) => {
+  try {
+    const { transactionHash } = req.params;
+    const { chainId } = parseDeploymentFilter(req.query);
+    const filter = { transactionHash: transactionHash.toLowerCase() };
+    if (chainId) filter.chainId = chainId;
+
+    const transaction = await ProcessedTransaction.findOne(filter)
+      .select('-journal')
+      .lean();
+
+    if (!transaction) {
+      return res.status(404).json({ error: 'Transaction not found' });
+    }
+
+    res.json({ ...transaction, pending: transaction.status === 'pending' });
+  } catch (error) {
+    sendRouteError(res, error, 'Error fetching transaction');
+  }
+});
+
+// Health check endpoint
+app.get('/health', (req, res) => {
+  res.status(200).json({ status: 'ok' });
+});
+
+// Get the transfer history (provenance) of a token
+app.get('/tokens/:tokenId/history', async (req, res) => {
+  try {
+    const { tokenId } = req.params;
+    const list = parseListQuery(req.query, TRANSFER_SORT_FIELDS);
+    const page = await paginate(Transfer, { ...parseTransferFilter(req.query), kind: 'nft', tokenId }, list);
+    res.json(page);
+  } catch (error) {
+    sendRouteError(res, error, 'Error fetching token history');
+  }
+});
+
+// Get the transfers sent or received by an address, ?direction=in|out to pick one side
+app.get('/address/:address/transfers', async (req, res) => {
+  try {
+    const address = parseWalletAddress(req.params.address);
+    const { direction } = req.query;
+    const list = parseListQuery(req.query, TRANSFER_SORT_FIELDS);
+    const filter = parseTransferFilter(req.query);
+
+    if (direction === 'in') {
+      filter.to = address;
+    } else if (direction === 'out') {
+      filter.from = address;
+    } else if (direction === undefined) {
+      filter.$or = [{ from: address }, { to: address }];
+    } else {
+      throw badRequest('direction must be in or out');
+    }
+
+    const page = await paginate(Transfer, filter, list);
+    res.json(page);
+  } catch (error) {
+    sendRouteError(res, error, 'Error fetching transfers');
+  }
+});
+
+// Get openings for a token
+app.get('/openings/:tokenId', async (req, res) => {
+  try {
+    const { tokenId } = req.params;
+    const list = parseListQuery(req.query, OPENING_SORT_FIELDS);
+    const page = await paginate(Opening, { ...parseOpeningFilter(req.query), tokenId }, list);
+    res.json(page);
+  } catch (error) {
+    sendRouteError(res, error, 'Error fetching openings');
+  }
+});
+
+// Get the openings of an address's tickets: by default the openings it made,
+// whoever holds the ticket now; ?scope=owned|minted|all for the openings of
+// the tickets it holds or minted. Tickets the signed-in wallet hid are left out.
+app.get('/address/:address/openings', readWalletSession, async (req, res) => {
+  try {
+    const address = parseWalletAddress(req.params.address);
+    const scopes = parseAddressScope(req.query, 'opened');
+    const list = parseListQuery(req.query, OPENING_SORT_FIELDS);
+    const filter = parseOpeningFilter(req.query);
+
+    const tokenFilter = await getAddressScopeFilter(address, scopes, parseDeploymentFilter(req.query), {
+      opened: { opener: address }
+    });
+
+    if (!tokenFilter) {
+      return res.json({ data: [], nextCursor: null });
+    }
+
+    const hidden = await getHiddenTicketsFilter(req);
+    const page = await paginate(Opening, { ...filter, $and: [tokenFilter, ...(hidden ? [hidden] : [])] }, list);
+    res.json(page);
+  } catch (error) {
+    sendRouteError(res, error, 'Error fetching openings');
+  }
+});
+
+// Get minting details for a token
+app.get('/minting-details/:tokenId', async (req, res) => {
+  try {
+    const { tokenId } = req.params;
+    const details = await MintingDetails.findOne({ ...parseDeploymentFilter(req.query), tokenId });
+    res.json(details);
+  } catch (error) {
+    sendRouteError(res, error, 'Error fetching minting details');
+  }
+});
+
+// Get the minting details of an address's tickets: by default the ones it
+// holds now as ERC721 or ERC404 NFTs; ?scope=opened|minted|all for the tickets
+// it opened or minted, whoever holds them now. Tickets the signed-in wallet hid
+// are left out.
+app.get('/address/:address/minting-details', readWalletSession, async (req, res) => {
+  try {
+    const address = parseWalletAddress(req.params.address);
+    const scopes = parseAddressScope(req.query, 'owned');
+    const list = parseListQuery(req.query, MINTING_DETAILS_SORT_FIELDS);
+    const filter = parseMintingDetailsFilter(req.query);
+
+    const tokenFilter = await getAddressScopeFilter(address, scopes, parseDeploymentFilter(req.query), {
+      minted: { minter: address }
+    });
+
+    if (!tokenFilter) {
+      return res.json({ data: [], nextCursor: null });
+    }
+
+    const hidden = await getHiddenTicketsFilter(req);
+    const page = await paginate(MintingDetails, { ...filter, $and: [tokenFilter, ...(hidden ? [hidden] : [])] }, list);
+
+    res.json({ ...page, data: page.data.map(formatMintingDetails) });
+  } catch (error) {
+    sendRouteError(res, error, 'Error fetching minting details');
+  }
+});
+
+// Get all minting details, without the tickets the signed-in wallet hid
+app.get('/minting-details', readWalletSession, async (req, res) => {
+  try {
+    const list = parseListQuery(req.query, MINTING_DETAILS_SORT_FIELDS);
+    const filter = parseMintingDetailsFilter(req.query);
+    const hidden = await getHiddenTicketsFilter(req);
+    if (hidden) {
+      filter.$and = [hidden];
+    }
+    const page = await paginate(MintingDetails, filter, list);
+
+    // Set proper headers
+    res.setHeader('Content-Type', 'application/json');
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization, Accept');
+    res.setHeader('Access-Control-Allow-Credentials', 'false');
+
+    res.json({ ...page, data: page.data.map(formatMintingDetails) });
+  } catch (error) {
+    sendRouteError(res, error, 'Error fetching minting details');
+  }
+});
+
+// Sign-In with Ethereum (EIP-4361). The client gets a nonce, has the wallet
+// sign a SIWE message containing it and exchanges message and signature for a
+// session token, sent as `Authorization: Bearer <token>` to the private
+// per-wallet routes. Public read routes stay public.
+const SIWE_NONCE_TTL_MS = 10 * 60 * 1000;
+const WALLET_SESSION_TTL_MS = parseInt(process.env.WALLET_SESSION_TTL_MS, 10) || 7 * 24 * 60 * 60 * 1000;
+// Domains sign-in messages may be issued for. The Host header is up to the
+// client, so without SIWE_DOMAINS sign-in is turned off.
+const SIWE_DOMAINS = (process.env.SIWE_DOMAINS || '').split(',').map(domain => domain.trim()).filter(Boolean);
+
+function hashSessionToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+// Parse an EIP-4361 message into its fields. Returns null if it is not one.
+function parseSiweMessage(message) {
+  const lines = String(message).split('\n');
+  const header = /^(\S+) wants you to sign in with your Ethereum account:$/.exec(lines[0] || '');
+  const address = lines[1];
+
+  if (!header || !/^0x[0-9a-fA-F]{40}$/.test(address || '')) return null;
+
+  const fields = { domain: header[1], address };
+  const names = {
+    URI: 'uri',
+    Version: 'version',
+    'Chain ID': 'chainId',
+    Nonce: 'nonce',
+    'Issued At': 'issuedAt',
+    'Expiration Time': 'expirationTime',
+    'Not Before': 'notBefore',
+    'Request ID': 'requestId'
+  };
+
+  for (const line of lines.slice(2)) {
+    const match = /^([A-Za-z ]+): (.+)$/.exec(line);
+    if (match && names[match[1]]) fields[names[match[1]]] = match[2];
+  }
+
+  return fields;
+}
+
+// Check a signed SIWE message and return the signing wallet, throwing a 400 or
+// 401 error when it is not acceptable
+async function verifySiweMessage(message, signature) {
+  const fields = parseSiweMessage(message);
+  if (!fields || !fields.nonce || !fields.issuedAt || !fields.uri || !fields.chainId || fields.version !== '1') {
+    throw badRequest('message must be a Sign-In with Ethereum message');
+  }
+
+  if (!SIWE_DOMAINS.includes(fields.domain)) {
+    throw unauthorized(`Sign-in message is for ${fields.domain}`);
+  }
+
+  // The URI must be on the domain signed in for, and the chain one we index
+  let uri;
+  try {
+    uri = new URL(fields.uri);
+  } catch (error) {
+    throw badRequest('message URI is malformed');
+  }
+  if (uri.host !== fields.domain) {
+    throw unauthorized(`Sign-in message URI is not on ${fields.domain}`);
+  }
+
+  const chainId = /^\d+$/.test(fields.chainId) ? normalizeChainId(fields.chainId) : null;
+  if (!deployments.some(deployment => deployment.chainId === chainId)) {
+    throw unauthorized(`Sign-in message is for chain ${fields.chainId}`);
+  }
+
+  const now = Date.now();
+  if (fields.expirationTime && !(new Date(fields.expirationTime).getTime() > now)) {
+    throw unauthorized('Sign-in message has expired');
+  }
+  if (fields.notBefore && !(new Date(fields.notBefore).getTime() <= now)) {
+    throw unauthorized('Sign-in message is not valid yet');
+  }
+
+  let signer;
+  try {
+    signer = ethers.utils.verifyMessage(message, signature);
+  } catch (error) {
+    throw badRequest('signature is malformed');
+  }
+
+  if (signer.toLowerCase() !== fields.address.toLowerCase()) {
+    throw unauthorized('Signature does not match the message address');
+  }
+
+  // Each nonce signs in once
+  const nonce = await SiweNonce.findOneAndUpdate(
+    { nonce: fields.nonce, used: false, expiresAt: { $gt: new Date() } },
+    { used: true }
+  );
+  if (!nonce) {
+    throw unauthorized('Nonce is unknown, expired or already used');
+  }
+
+  return { address: signer.toLowerCase(), chainId };
+}
+
+function unauthorized(message) {
+  const error = new Error(message);
+  error.statusCode = 401;
+  return error;
+}
+
+// Helper function to find the unexpired session of a request's bearer token
+function findWalletSession(token) {
+  return WalletSession.findOne({ tokenHash: hashSessionToken(token), expiresAt: { $gt: new Date() } }).lean();
+}
+
+// Middleware to require a wallet session. Routes with an :address parameter
+// may only be used by that wallet.
+async function requireWalletSession(req, res, next) {
+  try {
+    const token = (req.get('authorization') || '').replace(/^Bearer\s+/i, '');
+    if (!token) {
+      return res.status(401).json({ error: 'Sign in required' });
+    }
+
+    const session = await findWalletSession(token);
+    if (!session) {
+      return res.status(401).json({ error: 'Session expired or invalid' });
+    }
+
+    if (req.params.address && req.params.address.toLowerCase() !== session.address) {
+      return res.status(403).json({ error: 'Session belongs to another wallet' });
+    }
+
+    req.wallet = session;
+    next();
+  } catch (error) {
+    sendRouteError(res, error, 'Error checking session');
+  }
+}
+
+// Middleware to read the wallet session on public routes that adapt to the
+// signed-in wallet. A token matching no session leaves the request anonymous,
+// so public routes stay public (and admin keys sent as bearer tokens work).
+async function readWalletSession(req, res, next) {
+  try {
+    const token = (req.get('authorization') || '').replace(/^Bearer\s+/i, '');
+    if (token) {
+      req.wallet = await findWalletSession(token) || undefined;
+    }
+    next();
+  } catch (error) {
+    sendRouteError(res, error, 'Error checking session');
+  }
+}
+
+// Helper function to build a filter leaving out the tickets the signed-in
+// wallet hid, or null when there are none
+async function getHiddenTicketsFilter(req) {
+  if (!req.wallet) return null;
+
+  const settings = await WalletSettings.findOne({ address: req.wallet.address }).select('hiddenTickets').lean();
+  if (!settings || settings.hiddenTickets.length === 0) return null;
+
+  return { $nor: settings.hiddenTickets.map(({ chainId, contract, tokenId }) => ({ chainId, contract, tokenId })) };
+}
+
+// Middleware to turn the /auth routes off until SIWE_DOMAINS is set
+app.use('/auth', (req, res, next) => {
+  if (SIWE_DOMAINS.length === 0) {
+    return res.status(503).json({ error: 'Wallet sign-in not configured' });
+  }
+  next();
+});
+
+// Issue a nonce to put in a sign-in message
+app.get('/auth/nonce', async (req, res) => {
+  try {
+    const nonce = crypto.randomBytes(16).toString('hex');
+    const expiresAt = new Date(Date.now() + SIWE_NONCE_TTL_MS);
+    await SiweNonce.create({ nonce, expiresAt });
+    res.json({ nonce, expiresAt });
+  } catch (error) {
+    sendRouteError(res, error, 'Error issuing nonce');
+  }
+});
+
+// Exchange a signed sign-in message for a session token
+app.post('/auth/verify', async (req, res) => {
+  try {
+    const { message, signature } = req.body || {};
+    if (typeof message !== 'string' || typeof signature !== 'string') {
+      throw badRequest('message and signature are required');
+    }
+
+    const { address, chainId } = await verifySiweMessage(message, signature);
+    const token = crypto.randomBytes(32).toString('base64url');
+    const expiresAt = new Date(Date.now() + WALLET_SESSION_TTL_MS);
+
+    await WalletSession.create({ tokenHash: hashSessionToken(token), address, chainId, expiresAt });
+    console.log(`Wallet signed in: ${address}`);
+    res.json({ token, address, expiresAt });
+  } catch (error) {
+    sendRouteError(res, error, 'Error verifying sign-in');
+  }
+});
+
+// Get the wallet the session belongs to
+app.get('/auth/session', requireWalletSession, (req, res) => {
+  res.json({ address: req.wallet.address, chainId: req.wallet.chainId, expiresAt: req.wallet.expiresAt });
+});
+
+// End the session
+app.post('/auth/logout', requireWalletSession, async (req, res) => {
+  try {
+    await WalletSession.deleteOne({ _id: req.wallet._id });
+    res.json({ message: 'Signed out' });
+  } catch (error) {
+    sendRouteError(res, error, 'Error signing out');
+  }
+});
+
+// Helper function to return settings in API form, with defaults for wallets
+// that never saved any
+function formatWalletSettings(address, settings) {
+  const defaults = new WalletSettings({ address }).toObject();
+  const { notifications, hiddenTickets, updatedAt } = settings || defaults;
+  return { address, notifications, hiddenTickets, updatedAt: settings ? updatedAt : null };
+}
+
+// Validate a settings update; only the given fields are changed
+function parseWalletSettings(body) {
+  const update = {};
+  const { notifications, hiddenTickets } = body || {};
+
+  if (notifications !== undefined) {
+    if (!notifications || typeof notifications !== 'object') {
+      throw badRequest('notifications must be an object');
+    }
+    for (const key of ['mints', 'wins', 'payouts']) {
+      if (notifications[key] === undefined) continue;
+      if (typeof notifications[key] !== 'boolean') {
+        throw badRequest(`notifications.${key} must be true or false`);
+      }
+      update[`notifications.${key}`] = notifications[key];
+    }
+  }
+
+  if (hiddenTickets !== undefined) {
+    if (!Array.isArray(hiddenTickets) || hiddenTickets.length > 1000) {
+      throw badRequest('hiddenTickets must be a list of at most 1000 tickets');
+    }
+    update.hiddenTickets = hiddenTickets.map((ticket) => {
+      const filter = parseDeploymentFilter({ chain: ticket?.chainId, contract: ticket?.contract });
+      if (!filter.chainId || !filter.contract || !/^\d+$/.test(String(ticket.tokenId))) {
+        throw badRequest('hiddenTickets entries need a chainId, contract and tokenId');
+      }
+      return { ...filter, tokenId: String(ticket.tokenId) };
+    });
+  }
+
+  return update;
+}
+
+// Get a wallet's private settings
+app.get('/address/:address/settings', requireWalletSession, async (req, res) => {
+  try {
+    const settings = await WalletSettings.findOne({ address: req.wallet.address }).lean();
+    res.json(formatWalletSettings(req.wallet.address, settings));
+  } catch (error) {
+    sendRouteError(res, error, 'Error fetching settings');
+  }
+});
+
+// Update a wallet's private settings
+app.put('/address/:address/settings', requireWalletSession, async (req, res) => {
+  try {
+    const update = parseWalletSettings(req.body);
+    const settings = await WalletSettings.findOneAndUpdate(
+      { address: req.wallet.address },
+      { ...update, updatedAt: new Date() },
+      { upsert: true, new: true, setDefaultsOnInsert: true }
+    ).lean();
+    res.json(formatWalletSettings(req.wallet.address, settings));
+  } catch (error) {
+    sendRouteError(res, error, 'Error updating settings');
+  }
+});
+
+// GraphQL API at /graphql over the same data as the REST routes, with
+// subscriptions bridged from the WebSocket broadcasts. Amounts are wei strings.
+const graphqlSchema = buildSchema(`
+  scalar DateTime
+
+  enum Order { asc desc }
+  enum TicketStatus { minted opening resolved paid }
+  enum TicketSort { timestamp payout }
+  enum TokenType { ERC721 ERC404 }
+  enum TransferDirection { in out }
+  enum TransferKind { nft fungible }
+  enum TransferType { mint transfer burn }
+  enum TransferSort { timestamp block }
+
+  type Query {
+    wallet(address: String!): Wallet
+    ticket(tokenId: String!, chain: String, contract: String): Ticket
+    tickets(
+      first: Int = 50, after: String, sort: TicketSort, order: Order, status: TicketStatus,
+      resolved: Boolean, minPayout: String, chain: String, contract: String, from: String, to: String
+    ): TicketConnection!
+    pools(chain: String, contract: String): [Pool!]!
+  }
+
+  type Subscription {
+    "Ticket changes, for one token, one wallet's tickets or all"
+    ticketUpdated(tokenId: String, address: String): TicketUpdate!
+    poolUpdated: PoolUpdate!
+    "Fires when the wallet's holdings change"
+    walletUpdated(address: String!): Wallet!
+    transactionUpdated(address: String): TransactionUpdate!
+  }
+
+  type Wallet {
+    address: String!
+    holdings(chain: String, contract: String): [Holding!]!
+    balances(chain: String, contract: String): [FungibleBalance!]!
+    mintedTickets(
+      first: Int = 50, after: String, sort: TicketSort, order: Order, status: TicketStatus,
+      chain: String, contract: String
+    ): TicketConnection!
+    wonTickets(first: Int = 50, after: String, sort: TicketSort, order: Order, chain: String, contract: String): TicketConnection!
+    "Openings made by this wallet"
+    openings(first: Int = 50, after: String, order: Order, tokenType: TokenType, chain: String, contract: String): OpeningConnection!
+    transfers(
+      first: Int = 50, after: String, sort: TransferSort, order: Order, direction: TransferDirection,
+      kind: TransferKind, type: TransferType, chain: String, contract: String
+    ): TransferConnection!
+  }
+
+  type Holding {
+    chainId: String!
+    contract: String!
+    standard: TokenType!
+    tokenId: String!
+    pending: Boolean!
+    ticket: Ticket
+  }
+
+  type FungibleBalance {
+    chainId: String!
+    contract: String!
+    balance: String!
+    pending: Boolean!
+  }
+
+  type Ticket {
+    chainId: String!
+    contract: String!
+    tokenId: String!
+    status: TicketStatus
+    isETHVersion: Boolean
+    levels: [Level!]!
+    rollResult: Int
+    winAmount: String
+    payout: String
+    expectedValue: String
+    hitLevel: Int
+    payoutDelta: String
+    mintPrice: String
+    minter: Wallet
+    winner: Wallet
+    "Current holder, null once burned"
+    owner: Wallet
+    timestamp: DateTime
+    paidAt: DateTime
+    transactionHash: String
+    resolvedTransactionHash: String
+    paidTransactionHash: String
+    history: [TicketStep!]!
+    anomalies: [Anomaly!]!
+    pending: Boolean
+    openings: [Opening!]!
+    transfers(first: Int = 50, after: String, sort: TransferSort, order: Order): TransferConnection!
+  }
+
+  type Level {
+    index: Int!
+    rollNumber: Int!
+    winAmount: String!
+    winPercentage: Int
+    hit: Boolean!
+  }
+
+  type TicketStep {
+    status: String!
+    timestamp: DateTime!
+    transactionHash: String!
+    blockNumber: Int
+  }
+
+  type Anomaly {
+    type: String!
+    message: String
+    transactionHash: String
+    detectedAt: DateTime
+  }
+
+  type Opening {
+    chainId: String!
+    contract: String!
+    tokenId: String!
+    tokenType: TokenType!
+    opener: Wallet!
+    timestamp: DateTime
+    transactionHash: String!
+    logIndex: Int
+    pending: Boolean
+    ticket: Ticket
+  }
+
+  type Transfer {
+    chainId: String!
+    contract: String!
+    standard: TokenType!
+    kind: TransferKind!
+    type: TransferType!
+    tokenId: String
+    amount: String
+    from: Wallet!
+    to: Wallet!
+    blockNumber: Int
+    logIndex: Int!
+    transactionHash: String!
+    timestamp: DateTime!
+    pending: Boolean
+    ticket: Ticket
+  }
+
+  type Pool {
+    chainId: String!
+    contract: String!
+    balance: String!
+    totalDeposited: String!
+    totalWithdrawn: String!
+    updatedAt: DateTime
+    pending: Boolean
+    events(first: Int = 50, after: String, order: Order, from: String, to: String): PoolEventConnection!
+  }
+
+  type PoolEvent {
+    chainId: String!
+    contract: String!
+    type: String!
+    account: Wallet!
+    amount: String!
+    balanceAfter: String!
+    blockNumber: Int
+    timestamp: DateTime
+    transactionHash: String!
+    logIndex: Int!
+    pending: Boolean
+  }
+
+  type TicketUpdate {
+    pending: Boolean
+    ticket: Ticket!
+  }
+
+  type PoolUpdate {
+    chainId: String!
+    contract: String!
+    type: String!
+    account: Wallet!
+    amount: String!
+    balance: String!
+    totalDeposited: String!
+    totalWithdrawn: String!
+    pending: Boolean
+  }
+
+  type TransactionUpdate {
+    status: String!
+    chainId: String!
+    transactionHash: String!
+    blockNumber: Int
+    reason: String
+  }
+
+  type TicketConnection { nodes: [Ticket!]!, nextCursor: String }
+  type OpeningConnection { nodes: [Opening!]!, nextCursor: String }
+  type TransferConnection { nodes: [Transfer!]!, nextCursor: String }
+  type PoolEventConnection { nodes: [PoolEvent!]!, nextCursor: String }
+`);
+
+const GRAPHQL_MAX_DEPTH = parseInt(process.env.GRAPHQL_MAX_DEPTH, 10) || 10;
+const GRAPHQL_MAX_COMPLEXITY = parseInt(process.env.GRAPHQL_MAX_COMPLEXITY, 10) || 5000;
+// Assumed size of list fields that take no `first` argument
+const GRAPHQL_LIST_COST = 10;
+
+const TRANSACTION_UPDATE_STATUSES = {
+  TRANSACTION_PENDING: 'pending',
+  TRANSACTION_CONFIRMED: 'confirmed',
+  TRANSACTION_ROLLED_BACK: 'rolled_back'
+};
+
+// Helper function to turn GraphQL arguments into the query string form the
+// REST parsers validate
+function toListQuery(args) {
+  const query = {};
+  for (const [key, value] of Object.entries(args)) {
+    if (value === undefined || value === null) continue;
+    query[key === 'first' ? 'limit' : key === 'after' ? 'cursor' : key] = String(value);
+  }
+  return query;
+}
+
+async function resolveConnection(Model, filter, args, sortFields) {
+  const page = await paginate(Model, filter, parseListQuery(toListQuery(args), sortFields));
+  return { nodes: page.data, nextCursor: page.nextCursor };
+}
+
+function toWallet(address) {
+  return address ? { address } : null;
+}
+
+// Tickets are looked up once per request, however many openings, transfers
+// or holdings point at them
+function createGraphqlContext() {
+  const tickets = new Map();
+
+  return {
+    loadTicket({ chainId, contract, tokenId }) {
+      const key = `${chainId}:${contract}:${tokenId}`;
+      if (!tickets.has(key)) {
+        tickets.set(key, MintingDetails.findOne({ chainId, contract, tokenId }).lean());
+      }
+      return tickets.get(key);
+    }
+  };
+}
+
+// Yield the broadcasts of the given types that carry any of the topics (or
+// all of them when no topics are given)
+async function* subscribeToBroadcasts(types, topics = []) {
+  for await (const [entry] of on(broadcastEvents, 'update')) {
+    if (types.includes(entry.type) && (topics.length === 0 || entry.topics.some(topic => topics.includes(topic)))) {
+      yield entry;
+    }
+  }
+}
+
+// Helper function to attach resolvers to the fields of a schema built from SDL
+function attachResolvers(schema, resolvers) {
+  for (const [typeName, fields] of Object.entries(resolvers)) {
+    const type = schema.getType(typeName);
+
+    if (type instanceof GraphQLScalarType) {
+      Object.assign(type, fields);
+      continue;
+    }
+
+    for (const [fieldName, resolver] of Object.entries(fields)) {
+      Object.assign(type.getFields()[fieldName], typeof resolver === 'function' ? { resolve: resolver } : resolver);
+    }
+  }
+
+  return schema;
+}
+
+function parseWalletAddress(address) {
+  if (!ethers.utils.isAddress(address)) {
+    throw badRequest('address must be an address');
+  }
+  return address.toLowerCase();
+}
+
+attachResolvers(graphqlSchema, {
+  DateTime: {
+    serialize: value => new Date(value).toISOString()
+  },
+  Query: {
+    wallet: (root, { address }) => ({ address: parseWalletAddress(address) }),
+    ticket: (root, { tokenId, ...args }) => (
+      MintingDetails.findOne({ ...parseDeploymentFilter(args), tokenId }).lean()
+    ),
+    tickets: (root, args) => {
+      const filter = parseMintingDetailsFilter(toListQuery(args));
+      if (args.status) filter.status = args.status;
+      return resolveConnection(MintingDetails, filter, args, MINTING_DETAILS_SORT_FIELDS);
+    },
+    pools: (root, args) => PoolBalance.find(parseDeploymentFilter(args)).lean()
+  },
+  Subscription: {
+    ticketUpdated: {
+      subscribe: (root, { tokenId, address }) => subscribeToBroadcasts(
+        ['MINTING_DETAILS_UPDATED'],
+        tokenId ? [`token:${tokenId}`] : address ? [`address:${parseWalletAddress(address)}`] : []
+      ),
+      resolve: ({ data }) => ({ pending: data.pending, ticket: data.ticket })
+    },
+    poolUpdated: {
+      subscribe: () => subscribeToBroadcasts(['POOL_UPDATED']),
+      resolve: ({ data }) => data
+    },
+    walletUpdated: {
+      subscribe: (root, { address }) => subscribeToBroadcasts(
+        ['HOLDINGS_UPDATED'],
+        [`address:${parseWalletAddress(address)}`]
+      ),
+      resolve: ({ data }) => ({ address: data.address })
+    },
+    transactionUpdated: {
+      subscribe: (root, { address }) => subscribeToBroadcasts(
+        Object.keys(TRANSACTION_UPDATE_STATUSES),
+        [address ? `address:${parseWalletAddress(address)}` : 'transactions']
+      ),
+      resolve: ({ type, data }) => ({ ...data, status: TRANSACTION_UPDATE_STATUSES[type] })
+    }
+  },
+  Wallet: {
+    holdings: async ({ address }, args) => {
+      const filter = { ...parseDeploymentFilter(args), owner: address };
+      const [erc721, erc404] = await Promise.all([
+        ERC721Holding.find(filter).lean(),
+        ERC404NFT.find(filter).lean()
+      ]);
+      return [
+        ...erc721.map(holding => ({ ...holding, standard: 'ERC721' })),
+        ...erc404.map(holding => ({ ...holding, standard: 'ERC404' }))
+      ];
+    },
+    balances: ({ address }, args) => ERC404Fungible.find({ ...parseDeploymentFilter(args), address }).lean(),
+    mintedTickets: ({ address }, args) => {
+      const filter = { ...parseMintingDetailsFilter(toListQuery(args)), minter: address };
+      if (args.status) filter.status = args.status;
+      return resolveConnection(MintingDetails, filter, args, MINTING_DETAILS_SORT_FIELDS);
+    },
+    wonTickets: ({ address }, args) => resolveConnection(
+      MintingDetails,
+      { ...parseMintingDetailsFilter(toListQuery(args)), winner: address, status: 'paid' },
+      args,
+      MINTING_DETAILS_SORT_FIELDS
+    ),
+    openings: ({ address }, args) => resolveConnection(
+      Opening,
+      { ...parseOpeningFilter(toListQuery(args)), opener: address },
+      args,
+      OPENING_SORT_FIELDS
+    ),
+    transfers: ({ address }, args) => {
+      const filter = parseTransferFilter(toListQuery(args));
+      if (args.direction === 'in') {
+        filter.to = address;
+      } else if (args.direction === 'out') {
+        filter.from = address;
+      } else {
+        filter.$or = [{ from: address }, { to: address }];
+      }
+      return resolveConnection(Transfer, filter, args, TRANSFER_SORT_FIELDS);
+    }
+  },
+  Holding: {
+    ticket: (holding, args, context) => context.loadTicket(holding)
+  },
+  Ticket: {
+    levels: ticket => ticket.levels.map((level, index) => ({
+      ...level,
+      index,
+      hit: ticket.hitLevel === index
+    })),
+    minter: ticket => toWallet(ticket.minter),
+    winner: ticket => toWallet(ticket.winner),
+    owner: async (ticket) => {
+      const deployment = findDeployment(ticket.chainId, ticket.contract);
+      if (!deployment) return null;
+
+      const Model = deployment.standard === 'ERC404' ? ERC404NFT : ERC721Holding;
+      const holding = await Model.findOne({ chainId: ticket.chainId, contract: ticket.contract, tokenId: ticket.tokenId })
+        .select('owner')
+        .lean();
+      return toWallet(holding && holding.owner);
+    },
+    history: ticket => ticket.history || [],
+    anomalies: ticket => ticket.anomalies || [],
+    openings: ({ chainId, contract, tokenId }) => (
+      Opening.find({ chainId, contract, tokenId }).sort({ timestamp: -1 }).lean()
+    ),
+    transfers: ({ chainId, contract, tokenId }, args) => resolveConnection(
+      Transfer,
+      { chainId, contract, kind: 'nft', tokenId },
+      args,
+      TRANSFER_SORT_FIELDS
+    )
+  },
+  Opening: {
+    opener: opening => toWallet(opening.opener),
+    ticket: (opening, args, context) => context.loadTicket(opening)
+  },
+  Transfer: {
+    from: transfer => toWallet(transfer.from),
+    to: transfer => toWallet(transfer.to),
+    ticket: (transfer, args, context) => (transfer.kind === 'nft' ? context.loadTicket(transfer) : null)
+  },
+  Pool: {
+    events: ({ chainId, contract }, args) => resolveConnection(
+      PoolEvent,
+      { chainId, contract, ...parseDateRange(args, 'timestamp') },
+      args,
+      { timestamp: 'timestamp' }
+    )
+  },
+  PoolEvent: {
+    account: event => toWallet(event.account)
+  },
+  PoolUpdate: {
+    account: update => toWallet(update.account)
+  }
+});
+
+// Depth and cost of a selection set. Each field costs 1 plus its children,
+// multiplied by the page size for paginated fields (`first`) and by
+// GRAPHQL_LIST_COST for other lists (except a connection's nodes, which the
+// page size already covers).
+function measureSelectionSet(type, selectionSet, { fragments, variables, visited }) {
+  let depth = 0;
+  let cost = 0;
+
+  for (const selection of selectionSet.selections) {
+    if (selection.kind === Kind.FIELD) {
+      const field = type.getFields ? type.getFields()[selection.name.value] : undefined;
+      // Introspection and unknown fields; the latter are reported by the standard rules
+      if (!field) continue;
+
+      const child = selection.selectionSet
+        ? measureSelectionSet(getNamedType(field.type), selection.selectionSet, { fragments, variables, visited })
+        : { depth: 0, cost: 0 };
+
+      const isList = isListType(getNullableType(field.type)) && !type.name.endsWith('Connection');
+      let size = isList ? GRAPHQL_LIST_COST : 1;
+      const firstArg = field.args.find(arg => arg.name === 'first');
+      if (firstArg) {
+        const node = selection.arguments.find(arg => arg.name.value === 'first');
+        const value = node ? valueFromAST(node.value, firstArg.type, variables) : firstArg.defaultValue;
+        size = Number.isInteger(value) && value > 0 ? value : firstArg.defaultValue;
+      }
+
+      depth = Math.max(depth, child.depth + 1);
+      cost += 1 + child.cost * size;
+      continue;
+    }
+
+    const fragment = selection.kind === Kind.INLINE_FRAGMENT ? selection : fragments[selection.name.value];
+    // Fragment cycles are reported by the standard rules
+    if (!fragment || visited.has(fragment)) continue;
+
+    const fragmentType = fragment.typeCondition ? graphqlSchema.getType(fragment.typeCondition.name.value) : type;
+    const child = measureSelectionSet(fragmentType, fragment.selectionSet, {
+      fragments,
+      variables,
+      visited: new Set([...visited, fragment])
+    });
+    depth = Math.max(depth, child.depth);
+    cost += child.cost;
+  }
+
+  return { depth, cost };
+}
+
+// Validation rule rejecting operations deeper or costlier than the limits
+function createQueryLimitRule(variables = {}) {
+  return context => ({
+    OperationDefinition(operation) {
+      const fragments = {};
+      for (const definition of context.getDocument().definitions) {
+        if (definition.kind === Kind.FRAGMENT_DEFINITION) fragments[definition.name.value] = definition;
+      }
+
+      const rootType = graphqlSchema.getRootType(operation.operation);
+      if (!rootType) return;
+
+      const { depth, cost } = measureSelectionSet(rootType, operation.selectionSet, {
+        fragments,
+        variables: variables || {},
+        visited: new Set()
+      });
+
+      if (depth > GRAPHQL_MAX_DEPTH) {
+        context.reportError(new GraphQLError(`Query depth ${depth} exceeds the limit of ${GRAPHQL_MAX_DEPTH}`, { nodes: [operation] }));
+      }
+      if (cost > GRAPHQL_MAX_COMPLEXITY) {
+        context.reportError(new GraphQLError(`Query complexity ${cost} exceeds the limit of ${GRAPHQL_MAX_COMPLEXITY}`, { nodes: [operation] }));
+      }
+    }
+  });
+}
+
+// Keep the messages of invalid-input errors and hide everything else
+function maskGraphqlErrors(result) {
+  if (!result || !result.errors) return result;
+
+  return {
+    ...result,
+    errors: result.errors.map((error) => {
+      const original = error.originalError;
+      if (!original || original instanceof GraphQLError || (original.statusCode >= 400 && original.statusCode < 500)) {
+        return error;
+      }
+
+      console.error('GraphQL error:', original);
+      return new GraphQLError('Internal server error', { nodes: error.nodes, path: error.path });
+    })
+  };
+}
+
+app.all('/graphql', createHandler({
+  schema: graphqlSchema,
+  context: () => createGraphqlContext(),
+  validationRules: (req, args, rules) => [...rules, createQueryLimitRule(args.variableValues)],
+  onOperation: (req, args, result) => maskGraphqlErrors(result)
+}));
+
+// Add a test endpoint
+app.get('/test', (req, res) => {
+  console.log('Test endpoint hit');
+  res.setHeader('Content-Type', 'application/json');
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization, Accept');
+  res.setHeader('Access-Control-Allow-Credentials', 'false');
+  res.json({ message: 'Server is running' });
+});
+
+// Tag documents written before multi-chain support with the deployment they
+// came from (the first configured deployment of each standard), fill in
+// numeric fungible balances and replace the old single-contract unique indexes
+async function migrateLegacyDocuments() {
+  const legacy = { chainId: { $exists: false } };
+  const erc721 = deployments.find(deployment => deployment.standard === 'ERC721');
+  const erc404 = deployments.find(deployment => deployment.standard === 'ERC404');
+  const tag = deployment => ({ $set: { chainId: deployment.chainId, contract: deployment.address } });
+  const summary = {};
+
+  if (erc721) {
+    summary.erc721Holdings = (await ERC721Holding.updateMany(legacy, tag(erc721))).modifiedCount;
+    summary.mintingDetails = (await MintingDetails.updateMany(legacy, tag(erc721))).modifiedCount;
+    summary.erc721Openings = (await Opening.updateMany({ ...legacy, tokenType: 'ERC721' }, tag(erc721))).modifiedCount;
+  }
+
+  if (erc404) {
+    summary.erc404Nfts = (await ERC404NFT.updateMany(legacy, tag(erc404))).modifiedCount;
+    summary.erc404Fungible = (await ERC404Fungible.updateMany(legacy, tag(erc404))).modifiedCount;
+    summary.erc404Openings = (await Opening.updateMany({ ...legacy, tokenType: 'ERC404' }, tag(erc404))).modifiedCount;
+  }
+
+  // Holdings of the zero address left behind by burns
+  summary.burnedHoldings = (await ERC721Holding.deleteMany({ owner: ZERO_ADDRESS })).deletedCount +
+    (await ERC404NFT.deleteMany({ owner: ZERO_ADDRESS })).deletedCount +
+    (await ERC404Fungible.deleteMany({ address: ZERO_ADDRESS })).deletedCount;
+
+  // Balances stored before they were kept numerically
+  summary.erc404FungibleValues = (await ERC404Fungible.updateMany(
+    { balanceValue: { $exists: false } },
+    [{ $set: { balanceValue: { $toDecimal: '$balance' } } }]
+  )).modifiedCount;
+
+  for (const Model of [ERC721Holding, ERC404NFT, ERC404Fungible, BalanceSnapshot, Transfer, MintingDetails, Opening]) {
+    await Model.syncIndexes();
+  }
+
+  console.log('Migration complete:', summary);
+  return summary;
+}
+
+// Command line jobs, e.g. `node server.js backfill --from-block 19000000 --reset`
+const cliCommands = {
+  backfill: options => runBackfill(options),
+  reconcile: options => reconcileHoldings(options),
+  migrate: () => migrateLegacyDocuments(),
+  'stream-status': () => getStreamStatus(),
+  'stream-sync': options => syncStream({ dryRun: options.dryRun === true }),
+  'stream-pause': () => setStreamStatus({ status: 'paused' }),
+  'stream-resume': () => setStreamStatus({ status: 'active' }),
+  reprocess: options => reprocessTransaction({ ...options, rollBack: options.rollBack === true }),
+  'resync-token': options => resyncToken(options),
+  replay: options => replayIngestionJobs(options),
+  'rpc-index': options => runRpcIndexer(options)
+};
+
+// Turn `--from-block 5 --reset` into { fromBlock: '5', reset: true }
+function parseCliOptions(args) {
+  const options = {};
+
+  for (let i = 0; i < args.length; i++) {
+    if (!args[i].startsWith('--')) continue;
+
+    const key = args[i].slice(2).replace(/-([a-z])/g, (match, letter) => letter.toUpperCase());
+    const next = args[i + 1];
+
+    if (next === undefined || next.startsWith('--')) {
+      options[key] = true;
+    } else {
+      options[key] = next;
+      i++;
+    }
+  }
+
+  return options;
+}
+
+const cliCommand = require.main === module ? process.argv[2] : undefined;
+
+if (cliCommand) {
+  if (!cliCommands[cliCommand]) {
+    console.error(`Unknown command: ${cliCommand}. Available: ${Object.keys(cliCommands).join(', ')}`);
+    process.exit(1);
+  }
+
+  cliCommands[cliCommand](parseCliOptions(process.argv.slice(3)))
+    .then((result) => {
+      console.log(JSON.stringify(result, null, 2));
+      process.exit(0);
+    })
+    .catch((error) => {
+      console.error(`Command ${cliCommand} failed:`, error);
+      process.exit(1);
+    });
+}
+
+// Create HTTP server when run directly (not for a command line job, nor when
+// the app is imported, e.g. by Vercel or the tests)
+const server = require.main !== module || cliCommand ? null : app.listen(process.env.PORT || 3001, () => {
+  console.log(`Server running on port ${process.env.PORT || 3001}`);
+});
+
+// WebSocket servers for the broadcast protocol at /ws and GraphQL
+// subscriptions (graphql-ws protocol) at /graphql, sharing the HTTP server
+const wss = server && new WebSocket.Server({ noServer: true });
+const graphqlWss = server && new WebSocket.Server({ noServer: true });
+
+if (server) {
+  server.on('upgrade', (req, socket, head) => {
+    const { pathname } = new URL(req.url, 'http://localhost');
+    const target = { '/ws': wss, '/graphql': graphqlWss }[pathname];
+
+    if (!target) {
+      socket.destroy();
+      return;
+    }
+
+    target.handleUpgrade(req, socket, head, ws => target.emit('connection', ws, req));
+  });
+
+  useServer({
+    schema: graphqlSchema,
+    onSubscribe: (ctx, id, payload) => {
+      let document;
+      try {
+        document = parse(payload.query);
+      } catch (error) {
+        return [error];
+      }
+
+      const errors = validate(graphqlSchema, document, [...specifiedRules, createQueryLimitRule(payload.variables)]);
+      if (errors.length > 0) return errors;
+
+      return {
+        schema: graphqlSchema,
+        document,
+        variableValues: payload.variables,
+        operationName: payload.operationName,
+        contextValue: createGraphqlContext()
+      };
+    },
+    onNext: (ctx, id, payload, args, result) => maskGraphqlErrors(result)
+  }, graphqlWss);
+}
+
+// WebSocket subscription protocol. Clients send JSON messages:
+//   { "type": "subscribe", "topics": ["address:0x...", "token:42", "pool", "mints"] }
+//   { "type": "unsubscribe", "topics": [...] }
+//   { "type": "resume", "serverId": "...", "lastSeq": 120 }
+//   { "type": "ping" }
+// Every broadcast carries a sequence number so a reconnecting client can
+// resume and have missed messages replayed from the buffer. Clients only
+// receive broadcasts for topics they subscribed to; the "*" topic opts in to
+// every broadcast.
+const WS_TOPIC_PATTERN = /^(address:0x[0-9a-f]{40}|token:\d+|pool|mints|transactions|\*)$/;
+const WS_HEARTBEAT_INTERVAL_MS = parseInt(process.env.WS_HEARTBEAT_INTERVAL_MS, 10) || 30000;
+const WS_REPLAY_BUFFER_SIZE = parseInt(process.env.WS_REPLAY_BUFFER_SIZE, 10) || 1000;
+
+// Sequence numbers restart with the process, so clients must also match the server id to resume
+const serverId = crypto.randomUUID();
+const replayBuffer = [];
+let broadcastSeq = 0;
+
+// Every broadcast is also emitted here for GraphQL subscriptions
+const broadcastEvents = new EventEmitter();
+broadcastEvents.setMaxListeners(0);
+broadcastEvents.on('update', scheduleMetadataRefresh);
+
+function sendToClient(ws, message) {
+  if (ws.readyState === WebSocket.OPEN) {
+    ws.send(JSON.stringify(message));
+  }
+}
+
+function isClientSubscribed(ws, topics) {
+  if (ws.subscriptions.has('*')) return true;
+  return topics.some(topic => ws.subscriptions.has(topic));
+}
+
+// Send a broadcast to the clients subscribed to any of its topics
+function sendToSubscribers(clients, entry) {
+  clients.forEach((client) => {
+    if (isClientSubscribed(client, entry.topics)) {
+      sendToClient(client, entry);
+    }
+  });
+}
+
+function handleClientMessage(ws, message) {
+  if (message.type === 'ping') {
+    return sendToClient(ws, { type: 'pong', seq: broadcastSeq });
+  }
+
+  if (message.type === 'subscribe' || message.type === 'unsubscribe') {
+    const topics = (Array.isArray(message.topics) ? message.topics : [])
+      .map(topic => String(topic).toLowerCase());
+    const invalid = topics.filter(topic => !WS_TOPIC_PATTERN.test(topic));
+
+    if (topics.length === 0 || invalid.length > 0) {
+      return sendToClient(ws, { type: 'ERROR', data: { message: 'Invalid topics', topics: invalid } });
+    }
+
+    for (const topic of topics) {
+      if (message.type === 'subscribe') {
+        ws.subscriptions.add(topic);
+      } else {
+        ws.subscriptions.delete(topic);
+      }
+    }
+
+    return sendToClient(ws, { type: 'SUBSCRIPTIONS', data: { topics: [...ws.subscriptions] } });
+  }
+
+  if (message.type === 'resume') {
+    const lastSeq = Number(message.lastSeq);
+    const oldest = replayBuffer.length > 0 ? replayBuffer[0].seq : broadcastSeq + 1;
+
+    // Messages the client missed are no longer all in the buffer
+    if (message.serverId !== serverId || !Number.isInteger(lastSeq) || lastSeq < oldest - 1 || lastSeq > broadcastSeq) {
+      return sendToClient(ws, { type: 'RESYNC_REQUIRED', data: { serverId, seq: broadcastSeq } });
+    }
+
+    const missed = replayBuffer.filter(entry => entry.seq > lastSeq && isClientSubscribed(ws, entry.topics));
+    for (const entry of missed) {
+      sendToClient(ws, { seq: entry.seq, type: entry.type, topics: entry.topics, data: entry.data, replayed: true });
+    }
+
+    return sendToClient(ws, { type: 'RESUMED', data: { replayed: missed.length, seq: broadcastSeq } });
+  }
+
+  sendToClient(ws, { type: 'ERROR', data: { message: `Unknown message type: ${message.type}` } });
+}
+
+// Set up a new WebSocket connection, with no subscriptions yet
+function handleClientConnection(ws) {
+  ws.subscriptions = new Set();
+  ws.isAlive = true;
+
+  ws.on('pong', () => {
+    ws.isAlive = true;
+  });
+
+  ws.on('message', (raw) => {
+    let message;
+    try {
+      message = JSON.parse(raw.toString());
+    } catch (error) {
+      return sendToClient(ws, { type: 'ERROR', data: { message: 'Messages must be JSON' } });
+    }
+
+    handleClientMessage(ws, message || {});
+  });
+
+  sendToClient(ws, { type: 'WELCOME', data: { serverId, seq: broadcastSeq } });
+}
+
+// WebSocket connection handling
+if (wss) {
+  wss.on('connection', handleClientConnection);
+
+  // Drop connections that stopped answering pings
+  const heartbeat = setInterval(() => {
+    wss.clients.forEach((ws) => {
+      if (!ws.isAlive) {
+        console.log('Terminating dead WebSocket connection');
+        return ws.terminate();
+      }
+
+      ws.isAlive = false;
+      ws.ping();
+    });
+  }, WS_HEARTBEAT_INTERVAL_MS);
+
+  wss.on('close', () => clearInterval(heartbeat));
+}
+
+// Periodically roll back pending transactions that never confirmed
+setInterval(() => {
+  rollbackStalePendingTransactions().catch(error => {
+    console.error('Error rolling back stale transactions:', error);
+  });
+}, Math.min(PENDING_TX_TIMEOUT_MS, 5 * 60 * 1000)).unref();
+
+// Keep applying queued webhook payloads, including retries and any left over
+// by requests that ended early
+if (server) {
+  setInterval(() => {
+    drainIngestionQueue().catch(error => {
+      console.error('Error draining ingestion queue:', error);
+    });
+  }, INGESTION_POLL_INTERVAL_MS).unref();
+}
+
+// Poll the JSON-RPC endpoints when any are configured
+if (server && rpcUrls.size > 0 && RPC_INDEXER_MODE !== 'off') {
+  let rpcIndexing = false;
+
+  setInterval(() => {
+    if (rpcIndexing) return;
+    rpcIndexing = true;
+
+    runRpcIndexer()
+      .catch(error => console.error('Error running RPC indexer:', error))
+      .finally(() => {
+        rpcIndexing = false;
+      });
+  }, RPC_POLL_INTERVAL_MS).unref();
+}
+
+// Periodically retry outbound webhook deliveries that are due
+setInterval(() => {
+  retryDueDeliveries().catch(error => {
+    console.error('Error retrying outbound webhooks:', error);
+  });
+}, WEBHOOK_RETRY_BASE_MS).unref();
+
+// Periodically diff holdings against the chain when RECONCILE_INTERVAL_MS is set
+if (server && process.env.RECONCILE_INTERVAL_MS) {
+  setInterval(() => {
+    reconcileHoldings({ repair: process.env.RECONCILE_REPAIR === 'true' }).catch(error => {
+      console.error('Error reconciling holdings:', error);
+    });
+  }, parseInt(process.env.RECONCILE_INTERVAL_MS, 10)).unref();
+}
+
+// Function to broadcast updates to connected clients subscribed to any of the topics
+function broadcastUpdate(type, data, topics = []) {
+  const entry = { seq: ++broadcastSeq, type, topics, data };
+  replayBuffer.push(entry);
+  if (replayBuffer.length > WS_REPLAY_BUFFER_SIZE) {
+    replayBuffer.shift();
+  }
+  broadcastEvents.emit('update', entry);
+
+  if (wss) {
+    sendToSubscribers(wss.clients, entry);
+  }
 }
 
 // Export the app for Vercel
-module.exports = app; 
\ No newline at end of file
+module.exports = app; 
+// Stream management, exported so it can be driven with a fake Streams client
+module.exports.streamManager = { getStreamStatus, syncStream, setStreamStatus };
+// Payload building for the JSON-RPC indexer, exported so it can be checked against a local node
+module.exports.rpcIndexer = { fetchRpcLogs, buildRpcPayloads, runRpcIndexer };
+// Jobs against the Moralis EVM API, exported so they can be run with a fake client
+module.exports.history = { getEvmApiClient, queueBackfill, runBackfill, reconcileHoldings };
+// Webhook ingestion, exported so the tests can replay fixture payloads
+module.exports.ingestion = { processWebhookPayload, drainIngestionQueue, rollbackStalePendingTransactions };
+// Admin repair operations, exported so they can be run against a fake client
+module.exports.operations = { reprocessTransaction, deleteTransactionMarker, resyncToken };
+// Outbound webhook delivery, exported so retries can be driven from tests
+module.exports.webhooks = { attemptDelivery, retryDueDeliveries };
+// USD pricing, exported so it can be checked against a seed file or a fake client
+module.exports.pricing = { getUsdPrices, recordUsdPrices, addTicketUsd, sumUsd, priceStats };
+// WebSocket subscriptions, exported so they can be checked against a local server
+module.exports.websocket = { handleClientConnection, sendToSubscribers };
@@ -0,0 +1,38 @@
+const fs = require('fs');
+const path = require('path');
+const { computeWebhookSignature } = require('../../lib/webhookSignature');
+
+// The recorded payloads in test/fixtures all come from this deployment
+const FIXTURE_CHAIN_ID = '0x1';
+const FIXTURE_CONTRACT = '0x5fbdb2315678afecb367f032d93f642f64180aa3';
+const FIXTURE_PLAYER = '0x70997970c51812dc3a010c7d01b50e0d17dc79c8';
+const FIXTURE_DEPLOYMENTS = [
+  { chainId: FIXTURE_CHAIN_ID, address: FIXTURE_CONTRACT, standard: 'ERC721', label: 'Fixture ERC721' }
+];
+
+// Raw body of a fixture, exactly as it is posted (and signed)
+function readFixture(name) {
+  return fs.readFileSync(path.join(__dirname, '..', 'fixtures', `${name}.json`), 'utf8');
+}
+
+function loadFixture(name) {
+  return JSON.parse(readFixture(name));
+}
+
+// Headers Moralis would send with the raw body signed by secret
+function signedHeaders(rawBody, secret) {
+  return {
+    'Content-Type': 'application/json',
+    'x-signature': computeWebhookSignature(rawBody, secret)
+  };
+}
+
+module.exports = {
+  FIXTURE_CHAIN_ID,
+  FIXTURE_CONTRACT,
+  FIXTURE_PLAYER,
+  FIXTURE_DEPLOYMENTS,
+  readFixture,
+  loadFixture,
+  signedHeaders
+};
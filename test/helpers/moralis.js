@@ -0,0 +1,184 @@
+const { loadFixture } = require('./fixtures');
+
+// A stand-in for the Moralis EVM API client that serves the given records the
+// way the API does: snake_case fields, filtered by the request and paged with
+// a cursor. Every request is recorded in calls.
+function createFakeEvmApi({
+  nftTransfers = [],
+  logs = [],
+  erc20Transfers = [],
+  owners = [],
+  tokenOwners = [],
+  transactions = []
+} = {}, { pageSize = 2 } = {}) {
+  const calls = [];
+
+  const inRange = params => item => (
+    (params.fromBlock === undefined || Number(item.block_number) >= Number(params.fromBlock)) &&
+    (params.toBlock === undefined || Number(item.block_number) <= Number(params.toBlock))
+  );
+  const sameAddress = (a, b) => String(a).toLowerCase() === String(b).toLowerCase();
+
+  function page(method, params, items) {
+    calls.push({ method, params });
+    const offset = Number(params.cursor || 0);
+    const next = offset + pageSize;
+    return {
+      raw: {
+        result: items.slice(offset, next),
+        cursor: next < items.length ? String(next) : null
+      }
+    };
+  }
+
+  return {
+    calls,
+    nft: {
+      getNFTContractTransfers: async params => page('nft.getNFTContractTransfers', params, nftTransfers
+        .filter(item => sameAddress(item.token_address, params.address))
+        .filter(inRange(params))),
+      getNFTTransfers: async params => page('nft.getNFTTransfers', params, nftTransfers
+        .filter(item => sameAddress(item.token_address, params.address) && item.token_id === params.tokenId)),
+      getNFTOwners: async params => page('nft.getNFTOwners', params, owners
+        .filter(item => sameAddress(item.token_address, params.address)))
+    },
+    events: {
+      // Like the SDK, only topic0 is passed on to the API, which refuses a
+      // request without one
+      getContractLogs: async (params) => {
+        if (!params.topic0) throw new Error('events.getContractLogs needs a topic0');
+        return page('events.getContractLogs', params, logs
+          .filter(item => sameAddress(item.address, params.address))
+          .filter(inRange(params))
+          .filter(item => sameAddress(item.topic0, params.topic0)));
+      }
+    },
+    token: {
+      getTokenTransfers: async params => page('token.getTokenTransfers', params, erc20Transfers
+        .filter(item => sameAddress(item.address, params.address))
+        .filter(inRange(params))),
+      getTokenOwners: async params => page('token.getTokenOwners', params, tokenOwners)
+    },
+    transaction: {
+      getTransactionVerbose: async (params) => {
+        calls.push({ method: 'transaction.getTransactionVerbose', params });
+        const tx = transactions.find(item => item.hash === params.transactionHash);
+        return tx ? { raw: tx } : null;
+      }
+    }
+  };
+}
+
+// The records of the given webhook fixtures as the EVM API returns them
+function toApiHistory(names) {
+  const history = { nftTransfers: [], logs: [], transactions: [] };
+
+  for (const name of names) {
+    const payload = loadFixture(name);
+    const block = {
+      block_number: payload.block.number,
+      block_hash: payload.block.hash,
+      block_timestamp: new Date(Number(payload.block.timestamp) * 1000).toISOString()
+    };
+    const logs = payload.logs.map(log => ({
+      ...block,
+      transaction_hash: log.transactionHash,
+      log_index: log.logIndex,
+      address: log.address,
+      data: log.data,
+      topic0: log.topic0,
+      topic1: log.topic1,
+      topic2: log.topic2,
+      topic3: log.topic3
+    }));
+
+    history.logs.push(...logs);
+    history.nftTransfers.push(...payload.nftTransfers.map(transfer => ({
+      ...block,
+      transaction_hash: transfer.transactionHash,
+      log_index: transfer.logIndex,
+      token_address: transfer.contract,
+      token_id: transfer.tokenId,
+      from_address: transfer.from,
+      to_address: transfer.to
+    })));
+
+    for (const hash of new Set(payload.logs.map(log => log.transactionHash))) {
+      const tx = (payload.txs || []).find(item => item.hash === hash);
+      history.transactions.push({
+        ...block,
+        hash,
+        from_address: tx?.fromAddress,
+        to_address: tx?.toAddress,
+        value: tx?.value || '0',
+        logs: logs.filter(log => log.transaction_hash === hash)
+      });
+    }
+  }
+
+  return history;
+}
+
+// A stand-in for the Moralis Streams client holding its streams in memory.
+// Streams come back as copies, the way the API returns them (chains as
+// chainIds), and every request is recorded in calls.
+function createFakeStreams({ streams = [], addresses = {} } = {}, { pageSize = 2 } = {}) {
+  const calls = [];
+  let nextId = streams.length + 1;
+
+  function page(items, params) {
+    const offset = Number(params.cursor || 0);
+    const next = offset + pageSize;
+    return {
+      raw: {
+        result: structuredClone(items.slice(offset, next)),
+        cursor: next < items.length ? String(next) : null,
+        total: items.length
+      }
+    };
+  }
+
+  function getStream(id) {
+    const stream = streams.find(item => item.id === id);
+    if (!stream) throw new Error(`Stream ${id} not found`);
+    return stream;
+  }
+
+  return {
+    calls,
+    streams,
+    addresses,
+    getAll: async (params) => {
+      calls.push({ method: 'getAll', params });
+      return page(streams, params);
+    },
+    getAddresses: async (params) => {
+      calls.push({ method: 'getAddresses', params });
+      return page((addresses[params.id] || []).map(address => ({ address })), params);
+    },
+    add: async (params) => {
+      calls.push({ method: 'add', params });
+      const { chains, ...fields } = params;
+      const stream = { id: `stream-${nextId++}`, ...fields, chainIds: chains, status: 'active', statusMessage: '' };
+      streams.push(stream);
+      return { raw: structuredClone(stream) };
+    },
+    update: async (params) => {
+      calls.push({ method: 'update', params });
+      const { id, chains, ...fields } = params;
+      return { raw: structuredClone(Object.assign(getStream(id), fields, { chainIds: chains })) };
+    },
+    addAddress: async (params) => {
+      calls.push({ method: 'addAddress', params });
+      getStream(params.id);
+      addresses[params.id] = [...(addresses[params.id] || []), ...[].concat(params.address)];
+      return { raw: { streamId: params.id, address: params.address } };
+    },
+    updateStatus: async (params) => {
+      calls.push({ method: 'updateStatus', params });
+      return { raw: structuredClone(Object.assign(getStream(params.id), { status: params.status })) };
+    }
+  };
+}
+
+module.exports = { createFakeEvmApi, toApiHistory, createFakeStreams };
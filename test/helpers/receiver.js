@@ -0,0 +1,43 @@
+const http = require('http');
+
+// A webhook receiver answering each request with the next of statuses (the
+// last one repeats). Requests are recorded with their raw body.
+function startReceiver({ statuses = [200] } = {}) {
+  const requests = [];
+
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', (chunk) => { body += chunk; });
+    req.on('end', () => {
+      requests.push({ method: req.method, path: req.url, headers: req.headers, body });
+
+      const status = statuses[Math.min(requests.length, statuses.length) - 1];
+      res.statusCode = status;
+      res.end(status >= 400 ? `receiver answered ${status}` : 'ok');
+    });
+  });
+
+  return new Promise((resolve) => {
+    server.listen(0, '127.0.0.1', () => {
+      resolve({
+        url: `http://127.0.0.1:${server.address().port}/hooks`,
+        requests,
+        close: () => new Promise(done => server.close(done))
+      });
+    });
+  });
+}
+
+// Poll check until it returns something truthy
+async function waitFor(check, { timeout = 5000, interval = 20 } = {}) {
+  const deadline = Date.now() + timeout;
+
+  for (;;) {
+    const result = await check();
+    if (result) return result;
+    if (Date.now() > deadline) throw new Error('Timed out waiting for condition');
+    await new Promise(resolve => setTimeout(resolve, interval));
+  }
+}
+
+module.exports = { startReceiver, waitFor };
@@ -0,0 +1,72 @@
+const http = require('http');
+const { loadFixture } = require('./fixtures');
+
+const HASH = /^0x[0-9a-f]{64}$/;
+
+// A JSON-RPC node serving the recorded chain in test/fixtures/rpc-node.json.
+// eth_getLogs validates its filter the way geth does and, like hosted nodes,
+// refuses ranges with more than maxResults logs. failWith makes every
+// eth_getLogs call fail with that error instead. Requests are recorded.
+function startFakeNode({ maxResults = Infinity, failWith } = {}) {
+  const chain = loadFixture('rpc-node');
+  const requests = [];
+
+  const methods = {
+    eth_blockNumber: () => chain.head,
+    eth_getBlockByNumber: ([number]) => chain.blocks[number] || null,
+    eth_getTransactionByHash: ([hash]) => chain.transactions[hash] || null,
+    eth_getLogs: ([filter]) => {
+      if (failWith) throw failWith;
+
+      const topics = filter.topics?.[0] || [];
+      const invalid = topics.find(topic => !HASH.test(topic));
+      if (invalid) {
+        throw { code: -32602, message: `invalid argument 0: hex string has length ${invalid.length - 2}, want 64 for common.Hash` };
+      }
+
+      const from = Number(filter.fromBlock);
+      const to = Number(filter.toBlock);
+      const logs = chain.logs.filter(log => (
+        log.address === filter.address.toLowerCase() &&
+        Number(log.blockNumber) >= from &&
+        Number(log.blockNumber) <= to &&
+        (topics.length === 0 || topics.includes(log.topics[0]))
+      ));
+
+      if (logs.length > maxResults) {
+        throw { code: -32005, message: `query returned more than ${maxResults} results` };
+      }
+      return logs;
+    }
+  };
+
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', (chunk) => { body += chunk; });
+    req.on('end', () => {
+      const { id, method, params } = JSON.parse(body);
+      requests.push({ method, params });
+
+      let reply;
+      try {
+        reply = { jsonrpc: '2.0', id, result: methods[method](params) };
+      } catch (error) {
+        reply = { jsonrpc: '2.0', id, error };
+      }
+      res.setHeader('Content-Type', 'application/json');
+      res.end(JSON.stringify(reply));
+    });
+  });
+
+  return new Promise((resolve) => {
+    server.listen(0, '127.0.0.1', () => {
+      resolve({
+        url: `http://127.0.0.1:${server.address().port}`,
+        requests,
+        close: () => new Promise(done => server.close(done))
+      });
+    });
+  });
+}
+
+module.exports = { startFakeNode };
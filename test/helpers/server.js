@@ -0,0 +1,62 @@
+const path = require('path');
+const mongoose = require('mongoose');
+const { FIXTURE_DEPLOYMENTS } = require('./fixtures');
+
+// Start app on a random local port
+function listen(app) {
+  return new Promise((resolve) => {
+    const server = app.listen(0, '127.0.0.1', () => {
+      resolve({
+        url: `http://127.0.0.1:${server.address().port}`,
+        close: () => new Promise(done => server.close(done))
+      });
+    });
+  });
+}
+
+// Each test file gets its own database, named after the file, on the
+// TEST_MONGODB_URI replica set that test/run.js provides
+function getTestDbUri() {
+  const uri = process.env.TEST_MONGODB_URI;
+  if (!uri) return '';
+
+  const name = `fortune-test-${path.basename(process.argv[1], '.test.js')}`;
+  return uri.replace(/^(mongodb(?:\+srv)?:\/\/[^/?]+)\/?[^?]*/, `$1/${name}`);
+}
+
+// Load server.js against the test database, configured for the fixtures and
+// without USD prices. server.js reads its configuration at load time, so env
+// only applies to the first call in a test file.
+function loadServer(env = {}) {
+  Object.assign(process.env, {
+    MONGODB_URI: getTestDbUri(),
+    DEPLOYMENTS: JSON.stringify(FIXTURE_DEPLOYMENTS),
+    MORALIS_API_KEY: 'test-api-key',
+    PRICE_SOURCE: 'off',
+    ...env
+  });
+
+  return require('../../server');
+}
+
+// Wait for the test database, with every collection created up front since
+// transactions can't create them
+async function connectDb() {
+  if (!process.env.TEST_MONGODB_URI) {
+    throw new Error('TEST_MONGODB_URI is not set, run the tests with npm test');
+  }
+
+  await mongoose.connection.asPromise();
+  await Promise.all(Object.values(mongoose.models).map(model => model.createCollection()));
+}
+
+// Empty every collection between tests
+async function resetDb() {
+  await Promise.all(Object.values(mongoose.models).map(model => model.deleteMany({})));
+}
+
+async function disconnectDb() {
+  await mongoose.disconnect();
+}
+
+module.exports = { listen, loadServer, connectDb, resetDb, disconnectDb };
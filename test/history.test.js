@@ -0,0 +1,244 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const { ethers } = require('ethers');
+const { FIXTURE_CHAIN_ID, FIXTURE_CONTRACT, FIXTURE_PLAYER, loadFixture } = require('./helpers/fixtures');
+const { createFakeEvmApi, toApiHistory } = require('./helpers/moralis');
+const { loadServer, connectDb, resetDb, disconnectDb } = require('./helpers/server');
+const { getRegisteredTopicHashes } = require('../lib/events');
+
+const app = loadServer();
+const { getEvmApiClient, queueBackfill, runBackfill, reconcileHoldings } = app.history;
+
+const TICKET_LIFECYCLE = ['ticket-minted', 'ticket-opened', 'ticket-resolved', 'reward-paid'];
+const OTHER_WALLET = '0x3c44cdddb6a900fa2b585dd299e03d12fa4293bc';
+const REWARD_TX = loadFixture('reward-paid').logs[0].transactionHash;
+
+const toTopic = address => `0x${address.slice(2).padStart(64, '0')}`;
+
+// The lifecycle followed by a block 104 where the pool gets a deposit and the
+// player then passes the ticket on, as the EVM API returns them
+function withLaterTransfer() {
+  const history = toApiHistory(TICKET_LIFECYCLE);
+  const block = {
+    block_number: '104',
+    block_hash: `0x${'b068'.padStart(64, '0')}`,
+    block_timestamp: '2023-11-15T00:00:00.000Z'
+  };
+  const transactionHash = `0x${'5'.padStart(64, '0')}`;
+
+  history.logs.push({
+    ...block,
+    transaction_hash: transactionHash,
+    log_index: '1',
+    address: FIXTURE_CONTRACT,
+    data: '0x',
+    topic0: ethers.utils.id('Transfer(address,address,uint256)'),
+    topic1: toTopic(FIXTURE_PLAYER),
+    topic2: toTopic(OTHER_WALLET),
+    topic3: toTopic('0x1')
+  }, {
+    ...block,
+    transaction_hash: transactionHash,
+    log_index: '0',
+    address: FIXTURE_CONTRACT,
+    data: ethers.utils.hexZeroPad('0x2386f26fc10000', 32),
+    topic0: ethers.utils.id('PoolDeposited(address,uint256)'),
+    topic1: toTopic(FIXTURE_PLAYER),
+    topic2: null,
+    topic3: null
+  });
+  history.nftTransfers.push({
+    ...block,
+    transaction_hash: transactionHash,
+    log_index: '1',
+    token_address: FIXTURE_CONTRACT,
+    token_id: '1',
+    from_address: FIXTURE_PLAYER,
+    to_address: OTHER_WALLET
+  });
+
+  return history;
+}
+
+describe('Moralis EVM API client', () => {
+  it('is started with the endpoints the history jobs call', async () => {
+    const client = await getEvmApiClient();
+
+    for (const [group, method] of [
+      ['nft', 'getNFTContractTransfers'],
+      ['nft', 'getNFTOwners'],
+      ['nft', 'getNFTTransfers'],
+      ['events', 'getContractLogs'],
+      ['token', 'getTokenTransfers'],
+      ['token', 'getTokenOwners'],
+      ['token', 'getTokenPrice'],
+      ['transaction', 'getTransactionVerbose'],
+      ['block', 'getDateToBlock']
+    ]) {
+      assert.equal(typeof client[group][method], 'function', `${group}.${method}`);
+    }
+    assert.equal(await getEvmApiClient(), client);
+  });
+});
+
+describe('backfill and reconciliation', () => {
+  const key = { chainId: FIXTURE_CHAIN_ID, contract: FIXTURE_CONTRACT, tokenId: '1' };
+
+  before(connectDb);
+  after(disconnectDb);
+  beforeEach(resetDb);
+
+  it('backfills a ticket from paged history through the ingestion queue', async () => {
+    const client = createFakeEvmApi(toApiHistory(TICKET_LIFECYCLE));
+    const summary = await runBackfill({ client, fromBlock: 0 });
+
+    const [job] = summary.jobs;
+    assert.equal(job.status, 'done');
+    assert.equal(job.chainId, FIXTURE_CHAIN_ID);
+    assert.deepEqual([job.result.blocks, job.result.logs, job.result.nftTransfers], [4, 5, 1]);
+    // The logs API needs a topic0, so each registered event's logs are read
+    // on their own, oldest first; here each fits on one page
+    const logRequests = client.calls.filter(call => call.method === 'events.getContractLogs');
+    assert.deepEqual(logRequests.map(call => call.params.topic0), getRegisteredTopicHashes());
+    assert.ok(logRequests.every(call => (
+      call.params.order === 'ASC' && call.params.fromBlock === 0 && call.params.toBlock === undefined
+    )));
+
+    const { MintingDetails, ERC721Holding, Opening, IngestionJob } = mongoose.models;
+    const ticket = await MintingDetails.findOne(key).lean();
+    assert.equal(ticket.status, 'paid');
+    assert.equal(ticket.levels.length, 2);
+    assert.equal(ticket.payout, '1000000000000000000');
+    assert.equal(ticket.paidTransactionHash, REWARD_TX);
+    assert.equal((await ERC721Holding.findOne(key).lean()).owner, FIXTURE_PLAYER);
+    assert.equal((await Opening.findOne(key).lean()).opener, FIXTURE_PLAYER);
+    assert.equal(await IngestionJob.countDocuments({ source: 'backfill', kind: 'payload', status: 'done' }), 4);
+  });
+
+  it('applies every block once with single item pages', async () => {
+    const client = createFakeEvmApi(toApiHistory(TICKET_LIFECYCLE), { pageSize: 1 });
+    const summary = await runBackfill({ client, fromBlock: 0 });
+
+    assert.deepEqual([summary.jobs[0].result.blocks, summary.jobs[0].result.logs], [4, 5]);
+    assert.equal((await mongoose.models.MintingDetails.findOne(key).lean()).status, 'paid');
+  });
+
+  it('pages through each event\'s logs and merges them by block and log index', async () => {
+    const client = createFakeEvmApi(withLaterTransfer(), { pageSize: 1 });
+    const summary = await runBackfill({ client, fromBlock: 0 });
+
+    const [{ result }] = summary.jobs;
+    assert.deepEqual([result.blocks, result.logs, result.nftTransfers], [5, 7, 2]);
+    // Pages are read from the next incomplete block; block 100 fills a whole
+    // page of transfers, so it is read in full on its own
+    const transferTopic = ethers.utils.id('Transfer(address,address,uint256)');
+    assert.deepEqual(
+      client.calls
+        .filter(call => call.method === 'events.getContractLogs' && call.params.topic0 === transferTopic)
+        .map(call => [call.params.fromBlock, call.params.toBlock]),
+      [[0, undefined], [100, undefined], [100, 100], [101, undefined]]
+    );
+
+    const { IngestionJob, ERC721Holding } = mongoose.models;
+    const block104 = await IngestionJob.findOne({ source: 'backfill', kind: 'payload', blockNumber: 104 }).lean();
+    assert.deepEqual(block104.payload.logs.map(log => log.logIndex), ['0', '1']);
+    assert.equal((await ERC721Holding.findOne(key).lean()).owner, OTHER_WALLET);
+  });
+
+  it('only replays the requested block range', async () => {
+    const client = createFakeEvmApi(toApiHistory(TICKET_LIFECYCLE));
+    await runBackfill({ client, fromBlock: 0, toBlock: 101 });
+
+    const ticket = await mongoose.models.MintingDetails.findOne(key).lean();
+    assert.equal(ticket.status, 'opening');
+  });
+
+  it('rebuilds the chain from scratch with reset', async () => {
+    const client = createFakeEvmApi(toApiHistory(['ticket-minted']));
+    await mongoose.models.ERC721Holding.create({ ...key, tokenId: '99', owner: OTHER_WALLET });
+
+    await runBackfill({ client, fromBlock: 0, reset: true });
+
+    const holdings = await mongoose.models.ERC721Holding.find({}).lean();
+    assert.deepEqual(holdings.map(holding => [holding.tokenId, holding.owner]), [['1', FIXTURE_PLAYER]]);
+  });
+
+  it('waits with the reset for a payload that is being applied', async () => {
+    const { IngestionJob } = mongoose.models;
+    await IngestionJob.create({
+      chainId: FIXTURE_CHAIN_ID,
+      blockNumber: 500,
+      payload: { chainId: FIXTURE_CHAIN_ID },
+      lockedUntil: new Date(Date.now() + 60 * 1000)
+    });
+    const { jobs: [{ id }] } = await queueBackfill({ fromBlock: 0, reset: true });
+
+    await app.ingestion.drainIngestionQueue({ client: createFakeEvmApi(toApiHistory(TICKET_LIFECYCLE)) });
+
+    const job = await IngestionJob.findById(id).lean();
+    assert.equal(job.status, 'queued');
+    assert.match(job.lastError, /Waiting for the payload being applied/);
+    assert.equal(await mongoose.models.MintingDetails.countDocuments(), 0);
+  });
+
+  it('rejects a block range that is not made of block numbers', async () => {
+    await assert.rejects(queueBackfill({ fromBlock: 'latest' }), { statusCode: 400 });
+  });
+
+  it('reports and repairs holdings that drifted from the chain', async () => {
+    const history = toApiHistory(['ticket-minted']);
+    await runBackfill({ client: createFakeEvmApi(history), fromBlock: 0 });
+
+    const client = createFakeEvmApi({
+      ...history,
+      owners: [
+        { token_address: FIXTURE_CONTRACT, token_id: '1', owner_of: OTHER_WALLET },
+        { token_address: FIXTURE_CONTRACT, token_id: '2', owner_of: FIXTURE_PLAYER }
+      ]
+    });
+
+    const report = await reconcileHoldings({ client });
+    const [deployment] = report.deployments;
+    assert.deepEqual(deployment.nft.mismatched, [{ tokenId: '1', dbOwner: FIXTURE_PLAYER, chainOwner: OTHER_WALLET }]);
+    assert.deepEqual(deployment.nft.missing, [{ tokenId: '2', chainOwner: FIXTURE_PLAYER }]);
+    assert.equal(report.drift, 2);
+    assert.equal((await mongoose.models.ERC721Holding.findOne(key).lean()).owner, FIXTURE_PLAYER);
+
+    const repaired = await reconcileHoldings({ client, repair: true });
+    assert.equal((await mongoose.models.ERC721Holding.findOne(key).lean()).owner, OTHER_WALLET);
+    assert.equal(await mongoose.models.ERC721Holding.countDocuments(), 2);
+
+    // Each correction is in the ledger and journaled under a confirmed transaction
+    const { repairTransaction } = repaired.deployments[0];
+    const corrections = await mongoose.models.Transfer.find({ type: 'reconcile' }).sort({ logIndex: 1 }).lean();
+    assert.deepEqual(corrections.map(transfer => [transfer.tokenId, transfer.from, transfer.to, transfer.transactionHash]), [
+      ['1', FIXTURE_PLAYER, OTHER_WALLET, repairTransaction],
+      ['2', '0x0000000000000000000000000000000000000000', FIXTURE_PLAYER, repairTransaction]
+    ]);
+    const transaction = await mongoose.models.ProcessedTransaction.findOne({ transactionHash: repairTransaction }).lean();
+    assert.equal(transaction.status, 'confirmed');
+    assert.deepEqual(transaction.journal.filter(entry => entry.op === 'holding').map(entry => entry.tokenId), ['1', '2']);
+
+    const again = await reconcileHoldings({ client });
+    assert.equal(again.drift, 0);
+  });
+
+  it('keeps a repair when an earlier pending transaction is rolled back', async () => {
+    const history = toApiHistory(['ticket-minted']);
+    await app.ingestion.processWebhookPayload({ ...loadFixture('ticket-minted'), confirmed: false }, { notify: false });
+    const client = createFakeEvmApi({
+      ...history,
+      owners: [{ token_address: FIXTURE_CONTRACT, token_id: '1', owner_of: OTHER_WALLET }]
+    });
+    await reconcileHoldings({ client, repair: true });
+
+    const { ProcessedTransaction, ERC721Holding } = mongoose.models;
+    const mintTx = loadFixture('ticket-minted').logs[0].transactionHash;
+    await ProcessedTransaction.updateOne({ transactionHash: mintTx }, { processedAt: new Date(0) });
+    await app.ingestion.rollbackStalePendingTransactions();
+
+    assert.equal((await ProcessedTransaction.findOne({ transactionHash: mintTx }).lean()).status, 'rollback_blocked');
+    assert.equal((await ERC721Holding.findOne(key).lean()).owner, OTHER_WALLET);
+  });
+});
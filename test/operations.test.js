@@ -0,0 +1,128 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const { ethers } = require('ethers');
+const { FIXTURE_CHAIN_ID, FIXTURE_CONTRACT, FIXTURE_PLAYER, loadFixture } = require('./helpers/fixtures');
+const { createFakeEvmApi, toApiHistory } = require('./helpers/moralis');
+const { loadServer, connectDb, resetDb, disconnectDb } = require('./helpers/server');
+
+const app = loadServer();
+const { processWebhookPayload } = app.ingestion;
+const { reprocessTransaction, deleteTransactionMarker, resyncToken } = app.operations;
+
+const TICKET_LIFECYCLE = ['ticket-minted', 'ticket-opened', 'ticket-resolved', 'reward-paid'];
+const key = { chainId: FIXTURE_CHAIN_ID, contract: FIXTURE_CONTRACT, tokenId: '1' };
+const MINT_TX = loadFixture('ticket-minted').logs[0].transactionHash;
+// topic0 of the events that carry a ticket's token id
+const TICKET_TOPICS = [
+  'TicketMinted(address,uint256,bool,(uint256,uint256,uint256)[])',
+  'TicketOpeningInitiated(uint256,address)',
+  'TicketResolved(uint256,uint256,uint256)',
+  'RewardPaid(address,uint256,uint256)'
+].map(signature => ethers.utils.id(signature));
+
+function deliver(name) {
+  return processWebhookPayload(loadFixture(name), { notify: false });
+}
+
+describe('reprocessing a transaction', () => {
+  before(connectDb);
+  after(disconnectDb);
+  beforeEach(resetDb);
+
+  it('applies a transaction fetched from the API and clears its dead letters', async () => {
+    const client = createFakeEvmApi(toApiHistory(['ticket-minted']));
+    await mongoose.models.DeadLetterLog.create({
+      chainId: FIXTURE_CHAIN_ID, transactionHash: MINT_TX, logIndex: 1, reason: 'unknown_topic'
+    });
+
+    const result = await reprocessTransaction({ client, transactionHash: MINT_TX });
+
+    assert.equal(result.chainId, FIXTURE_CHAIN_ID);
+    assert.equal(result.resolvedDeadLetters, 1);
+    assert.deepEqual(client.calls.map(call => call.method), ['transaction.getTransactionVerbose']);
+
+    const ticket = await mongoose.models.MintingDetails.findOne(key).lean();
+    assert.equal(ticket.status, 'minted');
+    assert.equal(ticket.mintPrice, '10000000000000000');
+    assert.equal(await mongoose.models.DeadLetterLog.countDocuments(), 0);
+  });
+
+  it('rolls back and reapplies the latest transaction of a ticket', async () => {
+    await deliver('ticket-minted');
+    const client = createFakeEvmApi(toApiHistory(['ticket-minted']));
+
+    const result = await reprocessTransaction({ client, transactionHash: MINT_TX, rollBack: true });
+
+    assert.equal(result.rolledBack, true);
+    const ticket = await mongoose.models.MintingDetails.findOne(key).lean();
+    assert.deepEqual(ticket.history.map(entry => entry.status), ['minted']);
+  });
+
+  it('rejects a malformed transaction hash', async () => {
+    await assert.rejects(reprocessTransaction({ client: createFakeEvmApi(), transactionHash: '0x1' }), { statusCode: 400 });
+  });
+});
+
+describe('resyncing a token', () => {
+  before(connectDb);
+  after(disconnectDb);
+  beforeEach(resetDb);
+
+  it('rebuilds a corrupted ticket from its transfers and game events', async () => {
+    for (const name of TICKET_LIFECYCLE) await deliver(name);
+    await mongoose.models.MintingDetails.updateOne(key, { $set: { status: 'minted', history: [] } });
+    await mongoose.models.Opening.deleteMany(key);
+    await mongoose.models.ERC721Holding.deleteMany(key);
+
+    const client = createFakeEvmApi(toApiHistory(TICKET_LIFECYCLE));
+    const result = await resyncToken({ client, chainId: FIXTURE_CHAIN_ID, contract: FIXTURE_CONTRACT, tokenId: '1' });
+
+    // Each game event is replayed once, from one logs query per ticket event,
+    // although the logs API cannot filter on the token id topic
+    assert.deepEqual([result.transfers, result.events, result.owner], [1, 4, FIXTURE_PLAYER]);
+    const logRequests = client.calls.filter(call => call.method === 'events.getContractLogs');
+    assert.deepEqual(logRequests.map(call => call.params.topic0), TICKET_TOPICS);
+    assert.ok(logRequests.every(call => call.params.topic1 === undefined && call.params.topic2 === undefined));
+    // Ownership comes from the token's own transfers
+    const transferRequests = client.calls.filter(call => call.method === 'nft.getNFTTransfers');
+    assert.deepEqual(transferRequests.map(call => call.params.tokenId), ['1']);
+
+    const ticket = await mongoose.models.MintingDetails.findOne(key).lean();
+    assert.equal(ticket.status, 'paid');
+    assert.equal(ticket.mintPrice, '10000000000000000');
+    assert.deepEqual(ticket.history.map(entry => entry.status), ['minted', 'opening', 'resolved', 'paid']);
+    assert.equal(await mongoose.models.Opening.countDocuments(key), 1);
+    assert.equal((await mongoose.models.ERC721Holding.findOne(key).lean()).owner, FIXTURE_PLAYER);
+  });
+
+  it('needs the token id to be a number', async () => {
+    await assert.rejects(
+      resyncToken({ client: createFakeEvmApi(), chainId: FIXTURE_CHAIN_ID, contract: FIXTURE_CONTRACT, tokenId: 'abc' }),
+      { statusCode: 400 }
+    );
+  });
+});
+
+describe('deleting a transaction marker', () => {
+  before(connectDb);
+  after(disconnectDb);
+  beforeEach(resetDb);
+
+  it('lets the next delivery apply the transaction again without duplicating the levels', async () => {
+    await deliver('ticket-minted');
+
+    const result = await deleteTransactionMarker({ chainId: FIXTURE_CHAIN_ID, transactionHash: MINT_TX });
+    assert.equal(result.transactionHash, MINT_TX);
+    await deliver('ticket-minted');
+
+    const ticket = await mongoose.models.MintingDetails.findOne(key).lean();
+    assert.equal(ticket.levels.length, 2);
+    assert.equal(await mongoose.models.ProcessedTransaction.countDocuments({ transactionHash: MINT_TX }), 1);
+  });
+
+  it('rejects a malformed transaction hash', async () => {
+    await assert.rejects(deleteTransactionMarker({ chainId: FIXTURE_CHAIN_ID, transactionHash: '0x1' }), { statusCode: 400 });
+    await assert.rejects(deleteTransactionMarker({ chainId: FIXTURE_CHAIN_ID, transactionHash: { $ne: null } }), { statusCode: 400 });
+  });
+});
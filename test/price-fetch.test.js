@@ -0,0 +1,92 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const { FIXTURE_CHAIN_ID, FIXTURE_CONTRACT, loadFixture } = require('./helpers/fixtures');
+const { loadServer, connectDb, resetDb, disconnectDb } = require('./helpers/server');
+
+const app = loadServer({ PRICE_SOURCE: 'moralis' });
+const { getUsdPrices, recordUsdPrices, addTicketUsd, priceStats } = app.pricing;
+
+// Price points an hour apart, each priced at its own block
+const points = ['2023-11-14T21:10:00Z', '2023-11-14T22:10:00Z', '2023-11-14T23:10:00Z']
+  .map((timestamp, index) => ({ chainId: FIXTURE_CHAIN_ID, asset: 'native', timestamp, blockNumber: 100 + index }));
+
+describe('USD pricing from Moralis', () => {
+  let requests;
+
+  before(connectDb);
+  after(disconnectDb);
+  beforeEach(async () => {
+    await resetDb();
+    requests = [];
+    Object.assign(priceStats, { fetched: 0, unavailable: 0, failed: 0, lastError: null, lastFailedAt: null });
+  });
+
+  // Block 100 has a price, 101 has none and 102 fails
+  const client = {
+    token: {
+      getTokenPrice: async (params) => {
+        requests.push(params);
+        if (params.toBlock === 102) throw new Error('Moralis is down');
+        return { raw: params.toBlock === 100 ? { usdPrice: 2000 } : {} };
+      }
+    }
+  };
+
+  it('records each point at its block and counts the lookups', async () => {
+    await recordUsdPrices(points, { client });
+
+    assert.deepEqual(requests.map(params => params.toBlock), [100, 101, 102]);
+    assert.ok(requests.every(params => params.chain === FIXTURE_CHAIN_ID));
+    assert.equal(priceStats.fetched, 1);
+    assert.equal(priceStats.unavailable, 1);
+    assert.equal(priceStats.failed, 1);
+    assert.match(priceStats.lastError, /native on 0x1: Moralis is down/);
+    assert.ok(priceStats.lastFailedAt instanceof Date);
+    assert.equal(await mongoose.models.PriceQuote.countDocuments(), 1);
+  });
+
+  it('does not ask again for an hour that is recorded', async () => {
+    await recordUsdPrices(points.slice(0, 1), { client });
+    requests = [];
+    await recordUsdPrices(points.slice(0, 1), { client });
+
+    assert.deepEqual(requests, []);
+    assert.equal(priceStats.fetched, 1);
+  });
+
+  it('reads recorded prices, falling back to the latest within a day', async () => {
+    await recordUsdPrices(points.slice(0, 1), { client });
+    requests = [];
+
+    const later = { chainId: FIXTURE_CHAIN_ID, asset: 'native', timestamp: '2023-11-15T20:10:00Z' };
+    const tooLate = { chainId: FIXTURE_CHAIN_ID, asset: 'native', timestamp: '2023-11-15T22:10:00Z' };
+    const earlier = { chainId: FIXTURE_CHAIN_ID, asset: 'native', timestamp: '2023-11-14T20:10:00Z' };
+    const prices = await getUsdPrices([...points, later, tooLate, earlier]);
+
+    assert.deepEqual([...prices.keys()], [
+      `${FIXTURE_CHAIN_ID}:native:2023-11-14T21:00:00.000Z`,
+      `${FIXTURE_CHAIN_ID}:native:2023-11-14T22:00:00.000Z`,
+      `${FIXTURE_CHAIN_ID}:native:2023-11-14T23:00:00.000Z`,
+      `${FIXTURE_CHAIN_ID}:native:2023-11-15T20:00:00.000Z`
+    ]);
+    assert.ok([...prices.values()].every(usd => usd === 2000));
+    assert.deepEqual(requests, []);
+  });
+
+  it('records the price of an applied block and leaves reads offline', async () => {
+    const ticket = { chainId: FIXTURE_CHAIN_ID, contract: FIXTURE_CONTRACT, tokenId: '1' };
+    const { MintingDetails } = mongoose.models;
+
+    await app.ingestion.processWebhookPayload(loadFixture('ticket-minted'), { notify: false, client });
+
+    assert.deepEqual(requests.map(params => params.toBlock), [100]);
+    const quote = await mongoose.models.PriceQuote.findOne().lean();
+    assert.equal(quote.hour.toISOString(), '2023-11-14T22:00:00.000Z');
+    assert.equal(quote.usd, 2000);
+
+    const [priced] = await addTicketUsd([await MintingDetails.findOne(ticket).lean()]);
+    assert.equal(priced.usd.mintPrice, 20);
+    assert.equal(requests.length, 1);
+  });
+});
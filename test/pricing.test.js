@@ -0,0 +1,83 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { FIXTURE_CHAIN_ID } = require('./helpers/fixtures');
+const { loadServer } = require('./helpers/server');
+
+const { getUsdPrices, recordUsdPrices, addTicketUsd, sumUsd, priceStats } = loadServer({
+  PRICE_SOURCE: 'seed',
+  PRICE_SEED_FILE: path.join(__dirname, 'fixtures', 'price-seed.json')
+}).pricing;
+
+const ETH = '1000000000000000000';
+
+function ticket(fields) {
+  return {
+    chainId: FIXTURE_CHAIN_ID,
+    isETHVersion: true,
+    timestamp: '2023-11-14T21:10:00Z',
+    mintPrice: '10000000000000000',
+    expectedValue: '200000000000000000',
+    winAmount: ETH,
+    payout: ETH,
+    paidAt: '2023-11-15T01:00:00Z',
+    history: [
+      { status: 'minted', timestamp: '2023-11-14T21:10:00Z', blockNumber: 100 },
+      { status: 'resolved', timestamp: '2023-11-14T22:40:00Z', blockNumber: 102 },
+      { status: 'paid', timestamp: '2023-11-15T01:00:00Z', blockNumber: 103 }
+    ],
+    ...fields
+  };
+}
+
+describe('USD pricing from a seed file', () => {
+  it('prices each amount at the latest seeded price before its event', async () => {
+    const [priced] = await addTicketUsd([ticket()]);
+
+    assert.deepEqual(priced.usd, {
+      mintPrice: 20,
+      expectedValue: 400,
+      winAmount: 2100,
+      payout: 2200.5
+    });
+  });
+
+  it('prices an unpaid resolved ticket at resolution', async () => {
+    const [priced] = await addTicketUsd([ticket({ paidAt: undefined, payout: undefined })]);
+
+    assert.equal(priced.usd.winAmount, 2100);
+    assert.equal(priced.usd.payout, null);
+  });
+
+  it('leaves amounts before the first seeded price or in unknown assets null', async () => {
+    const [early, tokenBought] = await addTicketUsd([
+      ticket({ timestamp: '2023-11-13T12:00:00Z' }),
+      ticket({ isETHVersion: false })
+    ]);
+
+    assert.equal(early.usd.mintPrice, null);
+    assert.equal(early.usd.payout, 2200.5);
+    assert.deepEqual(Object.values(tokenBought.usd), [null, null, null, null]);
+  });
+
+  it('sums to null when any price is unknown', async () => {
+    const points = [
+      { chainId: FIXTURE_CHAIN_ID, asset: 'native', timestamp: '2023-11-14T21:10:00Z' },
+      { chainId: FIXTURE_CHAIN_ID, asset: 'native', timestamp: '2023-11-13T00:00:00Z' }
+    ];
+    const prices = await getUsdPrices(points);
+
+    assert.equal(sumUsd(prices, [[points[0], ETH], [points[0], ETH]]), 4000);
+    assert.equal(sumUsd(prices, [[points[0], ETH], [points[1], ETH]]), null);
+    assert.equal(sumUsd(prices, [[points[1], '0']]), 0);
+  });
+
+  it('never calls Moralis', async () => {
+    const requests = [];
+    const client = { token: { getTokenPrice: async (params) => { requests.push(params); return { raw: {} }; } } };
+    await recordUsdPrices([{ chainId: FIXTURE_CHAIN_ID, asset: 'native', timestamp: '2023-11-13T00:00:00Z' }], { client });
+
+    assert.deepEqual(requests, []);
+    assert.deepEqual([priceStats.fetched, priceStats.failed], [0, 0]);
+  });
+});
@@ -0,0 +1,161 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const { FIXTURE_CHAIN_ID, FIXTURE_CONTRACT, FIXTURE_PLAYER, loadFixture } = require('./helpers/fixtures');
+const { loadServer, connectDb, resetDb, disconnectDb } = require('./helpers/server');
+
+const { processWebhookPayload, rollbackStalePendingTransactions } = loadServer().ingestion;
+
+const key = { chainId: FIXTURE_CHAIN_ID, contract: FIXTURE_CONTRACT, tokenId: '1' };
+const MINT_TX = loadFixture('ticket-minted').logs[0].transactionHash;
+const OPEN_TX = loadFixture('ticket-opened').logs[0].transactionHash;
+const TRANSFER_TX = `0x${'5'.padStart(64, '0')}`;
+const OTHER_WALLET = '0x3c44cdddb6a900fa2b585dd299e03d12fa4293bc';
+
+function deliver(name, { confirmed = true, rollBack } = {}) {
+  return processWebhookPayload({ ...loadFixture(name), confirmed }, { rollBack, notify: false });
+}
+
+// A confirmed block in which the player passes the ticket on
+function deliverTransfer() {
+  return processWebhookPayload({
+    confirmed: true,
+    chainId: FIXTURE_CHAIN_ID,
+    block: { number: '104', hash: `0x${'b068'.padStart(64, '0')}`, timestamp: '1700001248' },
+    logs: [],
+    txs: [],
+    nftTransfers: [{
+      transactionHash: TRANSFER_TX,
+      logIndex: '0',
+      contract: FIXTURE_CONTRACT,
+      from: FIXTURE_PLAYER,
+      to: OTHER_WALLET,
+      tokenId: '1',
+      contractType: 'ERC721'
+    }],
+    erc20Transfers: []
+  }, { notify: false });
+}
+
+// Make the given transactions old enough for the sweep
+function makeStale(transactionHashes) {
+  return mongoose.models.ProcessedTransaction.updateMany(
+    { transactionHash: { $in: transactionHashes } },
+    { processedAt: new Date(0) }
+  );
+}
+
+function getStatus(transactionHash) {
+  return mongoose.models.ProcessedTransaction.findOne({ transactionHash }).lean().then(transaction => transaction.status);
+}
+
+function getTicket() {
+  return mongoose.models.MintingDetails.findOne(key).lean();
+}
+
+describe('rolling back transactions that touch one ticket', () => {
+  before(connectDb);
+  after(disconnectDb);
+  beforeEach(resetDb);
+
+  it('refuses to roll back the earlier of two transactions', async () => {
+    await deliver('ticket-minted');
+    await deliver('ticket-opened');
+
+    await assert.rejects(deliver('ticket-minted', { rollBack: [MINT_TX] }), (error) => {
+      assert.equal(error.statusCode, 409);
+      assert.match(error.message, new RegExp(OPEN_TX));
+      return true;
+    });
+
+    const ticket = await getTicket();
+    assert.equal(ticket.status, 'opening');
+    assert.deepEqual(ticket.history.map(entry => entry.status), ['minted', 'opening']);
+    assert.equal((await mongoose.models.ProcessedTransaction.findOne({ transactionHash: MINT_TX })).status, 'confirmed');
+  });
+
+  it('rolls back and reapplies the later one', async () => {
+    await deliver('ticket-minted');
+    await deliver('ticket-opened');
+
+    await deliver('ticket-opened', { rollBack: [OPEN_TX] });
+
+    const ticket = await getTicket();
+    assert.equal(ticket.status, 'opening');
+    assert.deepEqual(ticket.history.map(entry => entry.status), ['minted', 'opening']);
+    assert.equal(await mongoose.models.Opening.countDocuments(key), 1);
+  });
+
+  it('rolls back stale pending transactions newest first', async () => {
+    await deliver('ticket-minted', { confirmed: false });
+    await deliver('ticket-opened', { confirmed: false });
+    await mongoose.models.ProcessedTransaction.updateMany({}, { processedAt: new Date(0) });
+
+    await rollbackStalePendingTransactions();
+
+    assert.equal(await getTicket(), null);
+    assert.equal(await mongoose.models.DeadLetterLog.countDocuments(), 0);
+    assert.equal(await mongoose.models.ProcessedTransaction.countDocuments({ status: 'rolled_back' }), 2);
+  });
+
+  it('rolls back the later pending transactions of a stale one first', async () => {
+    await deliver('ticket-minted', { confirmed: false });
+    await deliver('ticket-opened', { confirmed: false });
+    await makeStale([MINT_TX]);
+
+    await rollbackStalePendingTransactions();
+
+    assert.equal(await getTicket(), null);
+    assert.equal(await mongoose.models.Opening.countDocuments(), 0);
+    assert.deepEqual([await getStatus(MINT_TX), await getStatus(OPEN_TX)], ['rolled_back', 'rolled_back']);
+    assert.equal(await mongoose.models.DeadLetterLog.countDocuments(), 0);
+  });
+
+  it('blocks the rollback of a stale transaction a confirmed later one built on', async () => {
+    await deliver('ticket-minted', { confirmed: false });
+    await deliver('ticket-opened');
+    await makeStale([MINT_TX]);
+
+    await rollbackStalePendingTransactions();
+
+    const ticket = await getTicket();
+    assert.equal(ticket.status, 'opening');
+    assert.equal(ticket.pending, false);
+    assert.deepEqual(ticket.history.map(entry => entry.status), ['minted', 'opening']);
+
+    const [deadLetter] = await mongoose.models.DeadLetterLog.find().lean();
+    assert.equal(deadLetter.reason, 'rollback_conflict');
+    assert.equal(deadLetter.transactionHash, MINT_TX);
+    assert.equal(deadLetter.logIndex, null);
+    assert.equal(await getStatus(MINT_TX), 'rollback_blocked');
+
+    // The sweep does not try again
+    await rollbackStalePendingTransactions();
+    const [unchanged] = await mongoose.models.DeadLetterLog.find().lean();
+    assert.deepEqual(unchanged.receivedAt, deadLetter.receivedAt);
+  });
+
+  it('confirms a blocked transaction whose confirmation turns up', async () => {
+    await deliver('ticket-minted', { confirmed: false });
+    await deliver('ticket-opened');
+    await makeStale([MINT_TX]);
+    await rollbackStalePendingTransactions();
+
+    await deliver('ticket-minted');
+
+    assert.equal(await getStatus(MINT_TX), 'confirmed');
+    assert.equal(await mongoose.models.DeadLetterLog.countDocuments(), 0);
+  });
+
+  it('counts a later transfer of the same token as a conflict', async () => {
+    await deliver('ticket-minted', { confirmed: false });
+    await deliverTransfer();
+    await makeStale([MINT_TX]);
+
+    await rollbackStalePendingTransactions();
+
+    assert.equal(await getStatus(MINT_TX), 'rollback_blocked');
+    assert.equal((await mongoose.models.ERC721Holding.findOne(key).lean()).owner, OTHER_WALLET);
+    assert.equal((await getTicket()).status, 'minted');
+  });
+});
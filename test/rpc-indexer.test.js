@@ -0,0 +1,68 @@
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { ethers } = require('ethers');
+const { FIXTURE_CHAIN_ID, FIXTURE_CONTRACT, loadFixture } = require('./helpers/fixtures');
+const { startFakeNode } = require('./helpers/rpc');
+const { loadServer } = require('./helpers/server');
+
+const { fetchRpcLogs, buildRpcPayloads } = loadServer().rpcIndexer;
+
+const TICKET_LIFECYCLE = ['ticket-minted', 'ticket-opened', 'ticket-resolved', 'reward-paid'];
+const deployment = { chainId: FIXTURE_CHAIN_ID, address: FIXTURE_CONTRACT, standard: 'ERC721' };
+
+describe('JSON-RPC indexer', () => {
+  let node;
+  afterEach(() => node.close());
+
+  it('filters eth_getLogs by the topic hashes of the registered events', async () => {
+    node = await startFakeNode();
+    const { logs, toBlock } = await fetchRpcLogs(node.url, FIXTURE_CONTRACT, 0, 200);
+
+    assert.equal(toBlock, 200);
+    assert.equal(logs.length, 5);
+
+    const [{ params: [filter] }] = node.requests;
+    assert.ok(filter.topics[0].every(topic => /^0x[0-9a-f]{64}$/.test(topic)));
+    assert.ok(filter.topics[0].includes(ethers.utils.id('TicketResolved(uint256,uint256,uint256)')));
+    assert.ok(filter.topics[0].includes(ethers.utils.id('Transfer(address,address,uint256)')));
+  });
+
+  it('halves the range while the node says it returns too many logs', async () => {
+    node = await startFakeNode({ maxResults: 2 });
+    const { logs, toBlock } = await fetchRpcLogs(node.url, FIXTURE_CONTRACT, 0, 200);
+
+    assert.deepEqual(
+      node.requests.map(({ params: [filter] }) => [Number(filter.fromBlock), Number(filter.toBlock)]),
+      [[0, 200], [0, 100]]
+    );
+    assert.equal(toBlock, 100);
+    assert.equal(logs.length, 2);
+  });
+
+  it('throws any other rejection instead of shrinking the range', async () => {
+    node = await startFakeNode({ failWith: { code: -32602, message: 'invalid argument 0: hex string without 0x prefix' } });
+
+    await assert.rejects(fetchRpcLogs(node.url, FIXTURE_CONTRACT, 0, 200), /eth_getLogs failed: invalid argument/);
+    assert.equal(node.requests.length, 1);
+  });
+
+  it('builds the same payloads as the stream delivers', async () => {
+    node = await startFakeNode();
+    const { logs } = await fetchRpcLogs(node.url, FIXTURE_CONTRACT, 0, 200);
+    const payloads = await buildRpcPayloads(node.url, deployment, logs);
+
+    assert.equal(payloads.length, TICKET_LIFECYCLE.length);
+    payloads.forEach((payload, index) => {
+      const delivered = loadFixture(TICKET_LIFECYCLE[index]);
+
+      assert.equal(payload.chainId, delivered.chainId);
+      assert.deepEqual(payload.block, delivered.block);
+      // Moralis sends missing topics as null, the node leaves them out
+      assert.deepEqual(payload.logs, delivered.logs.map(log => (
+        Object.fromEntries(Object.entries(log).map(([field, value]) => [field, value ?? undefined]))
+      )));
+      assert.deepEqual(payload.nftTransfers, delivered.nftTransfers.map(({ contractType, ...transfer }) => transfer));
+      assert.deepEqual(payload.txs, delivered.txs);
+    });
+  });
+});
@@ -0,0 +1,43 @@
+// Run the test files against a MongoDB replica set (webhook batches are
+// applied in transactions, which need one): TEST_MONGODB_URI when it is set,
+// otherwise a throwaway in-memory one. Arguments narrow the run down to the
+// given test files.
+const { spawn } = require('child_process');
+const fs = require('fs');
+const path = require('path');
+
+async function startReplicaSet() {
+  const { MongoMemoryReplSet } = require('mongodb-memory-server');
+  return MongoMemoryReplSet.create({ replSet: { count: 1, storageEngine: 'wiredTiger' } });
+}
+
+function runTests(files, env) {
+  return new Promise((resolve) => {
+    const child = spawn(process.execPath, ['--test', ...files], { stdio: 'inherit', env });
+    child.on('exit', code => resolve(code ?? 1));
+  });
+}
+
+async function main() {
+  const files = process.argv.length > 2
+    ? process.argv.slice(2)
+    : fs.readdirSync(__dirname).filter(name => name.endsWith('.test.js')).sort().map(name => path.join(__dirname, name));
+
+  let replSet = null;
+  let uri = process.env.TEST_MONGODB_URI;
+  if (!uri) {
+    replSet = await startReplicaSet();
+    uri = replSet.getUri();
+  }
+
+  try {
+    process.exitCode = await runTests(files, { ...process.env, TEST_MONGODB_URI: uri });
+  } finally {
+    if (replSet) await replSet.stop();
+  }
+}
+
+main().catch((error) => {
+  console.error('Could not run the tests:', error);
+  process.exitCode = 1;
+});
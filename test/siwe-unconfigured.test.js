@@ -0,0 +1,22 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { listen, loadServer } = require('./helpers/server');
+
+const app = loadServer({ SIWE_DOMAINS: '' });
+
+describe('wallet sign-in without SIWE_DOMAINS', () => {
+  let api;
+
+  before(async () => {
+    api = await listen(app);
+  });
+  after(() => api.close());
+
+  it('answers 503 on every /auth route', async () => {
+    for (const [method, path] of [['GET', '/auth/nonce'], ['POST', '/auth/verify'], ['GET', '/auth/session'], ['POST', '/auth/logout']]) {
+      const response = await fetch(`${api.url}${path}`, { method });
+      assert.equal(response.status, 503, `${method} ${path}`);
+      assert.deepEqual(await response.json(), { error: 'Wallet sign-in not configured' });
+    }
+  });
+});
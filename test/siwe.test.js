@@ -0,0 +1,71 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { ethers } = require('ethers');
+const { listen, loadServer } = require('./helpers/server');
+
+const app = loadServer({ SIWE_DOMAINS: 'app.example.com, staging.example.com' });
+const wallet = new ethers.Wallet('0x59c6995e998f97a5a0044966f0945389dc9e86dae88c7a8412f4603b6b78690d');
+
+function siweMessage(domain, { uri = `https://${domain}`, chainId = '1' } = {}) {
+  return [
+    `${domain} wants you to sign in with your Ethereum account:`,
+    wallet.address,
+    '',
+    `URI: ${uri}`,
+    'Version: 1',
+    `Chain ID: ${chainId}`,
+    'Nonce: 0123456789abcdef',
+    `Issued At: ${new Date().toISOString()}`
+  ].join('\n');
+}
+
+describe('wallet sign-in domains', () => {
+  let api;
+
+  before(async () => {
+    api = await listen(app);
+  });
+  after(() => api.close());
+
+  // Sent with http rather than fetch, which does not let the Host header be set
+  async function verify(domain, headers = {}, fields = {}) {
+    const message = siweMessage(domain, fields);
+    const body = JSON.stringify({ message, signature: await wallet.signMessage(message) });
+
+    return new Promise((resolve, reject) => {
+      const req = http.request(`${api.url}/auth/verify`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', ...headers }
+      }, (res) => {
+        let data = '';
+        res.on('data', (chunk) => { data += chunk; });
+        res.on('end', () => resolve({ status: res.statusCode, body: JSON.parse(data) }));
+      });
+      req.on('error', reject);
+      req.end(body);
+    });
+  }
+
+  it('refuses messages for a domain that is not configured', async () => {
+    assert.deepEqual(await verify('evil.example'), { status: 401, body: { error: 'Sign-in message is for evil.example' } });
+  });
+
+  it('does not trust the Host header in place of SIWE_DOMAINS', async () => {
+    assert.deepEqual(await verify('evil.example', { Host: 'evil.example' }), {
+      status: 401, body: { error: 'Sign-in message is for evil.example' }
+    });
+  });
+
+  it('refuses a URI on another domain', async () => {
+    assert.deepEqual(await verify('app.example.com', {}, { uri: 'https://evil.example/login' }), {
+      status: 401, body: { error: 'Sign-in message URI is not on app.example.com' }
+    });
+  });
+
+  it('refuses a chain without a deployment', async () => {
+    assert.deepEqual(await verify('app.example.com', {}, { chainId: '137' }), {
+      status: 401, body: { error: 'Sign-in message is for chain 137' }
+    });
+  });
+});
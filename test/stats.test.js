@@ -0,0 +1,67 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { FIXTURE_PLAYER, loadFixture } = require('./helpers/fixtures');
+const { listen, loadServer, connectDb, resetDb, disconnectDb } = require('./helpers/server');
+
+const app = loadServer();
+const { processWebhookPayload } = app.ingestion;
+
+// Level 0 of the fixture ticket pays 0.1 ETH and level 1 pays 1 ETH
+const LEVEL_0_WIN_AMOUNT = '016345785d8a0000';
+const LEVEL_1_WIN_AMOUNT = '0de0b6b3a7640000';
+
+async function get(api, path) {
+  const response = await fetch(`${api.url}${path}`);
+  return { status: response.status, body: await response.json() };
+}
+
+describe('leaderboard', () => {
+  let api;
+
+  before(async () => {
+    api = await listen(app);
+  });
+  after(() => api.close());
+
+  it('rejects a limit that is not between 1 and 100', async () => {
+    for (const limit of ['-1', '0', 'abc', '2.5', '101', '']) {
+      assert.deepEqual(await get(api, `/leaderboard?limit=${limit}`), {
+        status: 400,
+        body: { error: 'limit must be an integer between 1 and 100' }
+      }, `limit=${limit}`);
+    }
+  });
+});
+
+describe('address stats', () => {
+  let api;
+
+  before(async () => {
+    await connectDb();
+    api = await listen(app);
+  });
+  after(async () => {
+    await api.close();
+    await disconnectDb();
+  });
+  beforeEach(resetDb);
+
+  it('counts a resolved ticket as a win on the level it hit only', async () => {
+    // Both levels pay 1 ETH; the roll number says the ticket hit level 1
+    const minted = loadFixture('ticket-minted');
+    minted.logs[1].data = minted.logs[1].data.replace(LEVEL_0_WIN_AMOUNT, LEVEL_1_WIN_AMOUNT);
+
+    for (const payload of [minted, loadFixture('ticket-opened'), loadFixture('ticket-resolved')]) {
+      await processWebhookPayload(payload, { notify: false });
+    }
+
+    const { status, body } = await get(api, `/address/${FIXTURE_PLAYER}/stats`);
+    assert.equal(status, 200);
+    assert.equal(body.ticketsResolved, 1);
+    assert.equal(body.winRate, 1);
+    assert.deepEqual(body.winRateByLevel, [
+      { level: 0, tickets: 1, wins: 0, winRate: 0 },
+      { level: 1, tickets: 1, wins: 1, winRate: 1 }
+    ]);
+  });
+});
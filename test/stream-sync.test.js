@@ -0,0 +1,117 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { FIXTURE_CHAIN_ID, FIXTURE_CONTRACT } = require('./helpers/fixtures');
+const { createFakeStreams } = require('./helpers/moralis');
+const { loadServer } = require('./helpers/server');
+
+const WEBHOOK_URL = 'https://fortune.example/webhook';
+const { getStreamStatus, syncStream, setStreamStatus } = loadServer({ WEBHOOK_URL }).streamManager;
+
+const TAG = 'fortune-tickets-transfers';
+const OTHER_STREAMS = [
+  { id: 'other-1', tag: 'someone-else', chainIds: ['0x89'] },
+  { id: 'other-2', tag: 'someone-else-too', chainIds: ['0x1'] }
+];
+
+// A fake holding the other streams plus ours, created the way syncStream does
+async function withSyncedStream() {
+  const client = createFakeStreams({ streams: [...OTHER_STREAMS] });
+  await syncStream({ client });
+  client.calls.length = 0;
+  return client;
+}
+
+const writes = client => client.calls.filter(call => !['getAll', 'getAddresses'].includes(call.method));
+
+describe('stream sync', () => {
+  it('creates the stream and adds the contract addresses when it is missing', async () => {
+    const client = createFakeStreams({ streams: [...OTHER_STREAMS] }, { pageSize: 1 });
+    const result = await syncStream({ client });
+
+    assert.equal(result.action, 'create');
+    assert.deepEqual(result.addedAddresses, [FIXTURE_CONTRACT]);
+    // Our stream is looked for past the first page of streams
+    assert.deepEqual(client.calls.filter(call => call.method === 'getAll').map(call => call.params.cursor), [undefined, '1']);
+
+    const [add, addAddress] = writes(client);
+    assert.equal(add.method, 'add');
+    assert.equal(add.params.tag, TAG);
+    assert.equal(add.params.webhookUrl, WEBHOOK_URL);
+    assert.deepEqual(add.params.chains, [FIXTURE_CHAIN_ID]);
+    assert.equal(add.params.includeContractLogs, true);
+    assert.equal(add.params.includeNativeTxs, true);
+    assert.ok(add.params.topic0.length > 0);
+    assert.deepEqual(addAddress.params, { id: result.id, address: [FIXTURE_CONTRACT] });
+  });
+
+  it('does nothing when the stream matches the configuration', async () => {
+    const client = await withSyncedStream();
+    const result = await syncStream({ client });
+
+    assert.equal(result.action, 'none');
+    assert.deepEqual(result.changes, {});
+    assert.deepEqual(writes(client), []);
+    assert.equal((await getStreamStatus({ client })).inSync, true);
+  });
+
+  it('treats order and case differences as in sync', async () => {
+    const client = await withSyncedStream();
+    const stream = client.streams.find(item => item.tag === TAG);
+    stream.topic0 = [...stream.topic0].reverse();
+    stream.webhookUrl = stream.webhookUrl.toUpperCase();
+    client.addresses[stream.id] = client.addresses[stream.id].map(address => address.toUpperCase().replace('0X', '0x'));
+
+    assert.equal((await syncStream({ client })).action, 'none');
+  });
+
+  it('updates drifted fields and adds missing addresses', async () => {
+    const client = await withSyncedStream();
+    const stream = client.streams.find(item => item.tag === TAG);
+    stream.webhookUrl = 'https://old.example/webhook';
+    stream.includeNativeTxs = false;
+    client.addresses[stream.id] = ['0x000000000000000000000000000000000000dead'];
+
+    const status = await getStreamStatus({ client });
+    assert.equal(status.inSync, false);
+    assert.deepEqual(Object.keys(status.changes).sort(), ['includeNativeTxs', 'webhookUrl']);
+    assert.deepEqual(status.missingAddresses, [FIXTURE_CONTRACT]);
+    assert.deepEqual(status.extraAddresses, ['0x000000000000000000000000000000000000dead']);
+
+    const result = await syncStream({ client });
+    assert.equal(result.action, 'update');
+    assert.deepEqual(result.changes.webhookUrl, { current: 'https://old.example/webhook', desired: WEBHOOK_URL });
+    assert.deepEqual(writes(client).map(call => call.method), ['update', 'addAddress']);
+    assert.equal(writes(client)[0].params.id, stream.id);
+    assert.deepEqual(writes(client)[1].params, { id: stream.id, address: [FIXTURE_CONTRACT] });
+
+    // Extra addresses are reported, not removed
+    assert.deepEqual(result.extraAddresses, ['0x000000000000000000000000000000000000dead']);
+    assert.equal((await syncStream({ client })).action, 'none');
+  });
+
+  it('changes nothing on a dry run', async () => {
+    const missing = createFakeStreams();
+    assert.deepEqual(await syncStream({ client: missing, dryRun: true }), {
+      action: 'create', dryRun: true, addedAddresses: [FIXTURE_CONTRACT]
+    });
+    assert.deepEqual(writes(missing), []);
+
+    const client = await withSyncedStream();
+    client.streams.find(item => item.tag === TAG).webhookUrl = 'https://old.example/webhook';
+    const result = await syncStream({ client, dryRun: true });
+    assert.equal(result.action, 'update');
+    assert.deepEqual(writes(client), []);
+  });
+
+  it('pauses and resumes the stream', async () => {
+    const client = await withSyncedStream();
+
+    assert.deepEqual(await setStreamStatus({ client, status: 'paused' }), {
+      id: client.streams.find(item => item.tag === TAG).id, previousStatus: 'active', status: 'paused'
+    });
+    assert.equal((await getStreamStatus({ client })).status, 'paused');
+    assert.equal((await setStreamStatus({ client, status: 'active' })).previousStatus, 'paused');
+    await assert.rejects(setStreamStatus({ client, status: 'stopped' }), { statusCode: 400 });
+    await assert.rejects(setStreamStatus({ client: createFakeStreams(), status: 'active' }), { statusCode: 404 });
+  });
+});
@@ -0,0 +1,66 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const { FIXTURE_CHAIN_ID, FIXTURE_CONTRACT, FIXTURE_PLAYER, loadFixture } = require('./helpers/fixtures');
+const { listen, loadServer, connectDb, resetDb, disconnectDb } = require('./helpers/server');
+
+const app = loadServer({ SIWE_DOMAINS: 'app.example.com' });
+const TOKEN = 'test-session-token';
+
+describe('wallet settings', () => {
+  let api;
+
+  function request(path, { token, method = 'GET', body } = {}) {
+    const headers = { 'Content-Type': 'application/json' };
+    if (token) headers.Authorization = `Bearer ${token}`;
+    return fetch(`${api.url}${path}`, { method, headers, body: body && JSON.stringify(body) });
+  }
+
+  async function listTokenIds(path, token) {
+    const response = await request(path, { token });
+    assert.equal(response.status, 200);
+    return (await response.json()).data.map(item => item.tokenId);
+  }
+
+  before(async () => {
+    await connectDb();
+    api = await listen(app);
+  });
+  after(async () => {
+    await api.close();
+    await disconnectDb();
+  });
+  beforeEach(async () => {
+    await resetDb();
+    await mongoose.models.WalletSession.create({
+      tokenHash: crypto.createHash('sha256').update(TOKEN).digest('hex'),
+      address: FIXTURE_PLAYER,
+      chainId: FIXTURE_CHAIN_ID,
+      expiresAt: new Date(Date.now() + 60 * 1000)
+    });
+    for (const name of ['ticket-minted', 'ticket-opened']) {
+      await app.ingestion.processWebhookPayload(loadFixture(name), { notify: false });
+    }
+  });
+
+  it('leaves hidden tickets out of the signed-in wallet\'s listings only', async () => {
+    const hidden = [{ chainId: FIXTURE_CHAIN_ID, contract: FIXTURE_CONTRACT, tokenId: '1' }];
+    const saved = await request(`/address/${FIXTURE_PLAYER}/settings`, { token: TOKEN, method: 'PUT', body: { hiddenTickets: hidden } });
+    assert.equal(saved.status, 200);
+    assert.deepEqual((await saved.json()).hiddenTickets, hidden);
+
+    for (const path of ['/tickets', '/minting-details', `/address/${FIXTURE_PLAYER}/minting-details?scope=all`, `/address/${FIXTURE_PLAYER}/openings`]) {
+      assert.deepEqual(await listTokenIds(path, TOKEN), [], path);
+      assert.deepEqual(await listTokenIds(path), ['1'], path);
+      // A token that belongs to no session is ignored rather than refused
+      assert.deepEqual(await listTokenIds(path, 'unknown-token'), ['1'], path);
+    }
+  });
+
+  it('starts with every notification on', async () => {
+    const response = await request(`/address/${FIXTURE_PLAYER}/settings`, { token: TOKEN });
+
+    assert.deepEqual((await response.json()).notifications, { mints: true, wins: true, payouts: true });
+  });
+});
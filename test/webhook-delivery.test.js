@@ -0,0 +1,181 @@
+const { describe, it, before, after, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const { FIXTURE_CHAIN_ID, FIXTURE_CONTRACT, FIXTURE_PLAYER, loadFixture } = require('./helpers/fixtures');
+const { startReceiver, waitFor } = require('./helpers/receiver');
+const { listen, loadServer, connectDb, resetDb, disconnectDb } = require('./helpers/server');
+
+const ADMIN_KEY = 'test-operator-key';
+const RETRY_BASE_MS = 1000;
+const app = loadServer({
+  ADMIN_API_KEYS: `ops:operator:${ADMIN_KEY}`,
+  WEBHOOK_MAX_ATTEMPTS: '3',
+  WEBHOOK_RETRY_BASE_MS: String(RETRY_BASE_MS)
+});
+const { processWebhookPayload } = app.ingestion;
+const { attemptDelivery, retryDueDeliveries } = app.webhooks;
+
+const MINT_TX = loadFixture('ticket-minted').logs[0].transactionHash;
+
+describe('outbound webhook delivery', () => {
+  let api;
+  let receiver;
+
+  function request(path, { method = 'GET', body } = {}) {
+    return fetch(`${api.url}${path}`, {
+      method,
+      headers: { 'x-api-key': ADMIN_KEY, 'Content-Type': 'application/json' },
+      body: body && JSON.stringify(body)
+    });
+  }
+
+  // Register the receiver through the admin API, returning the endpoint and its secret
+  async function register(statuses, events = ['ticket.minted']) {
+    receiver = await startReceiver({ statuses });
+    const response = await request('/admin/webhooks', { method: 'POST', body: { url: receiver.url, events } });
+    assert.equal(response.status, 201);
+    return response.json();
+  }
+
+  // Bring a pending delivery's backoff to an end
+  function makeDue(deliveryId) {
+    return mongoose.models.WebhookDelivery.updateOne({ _id: deliveryId }, { nextAttemptAt: new Date() });
+  }
+
+  before(async () => {
+    await connectDb();
+    api = await listen(app);
+  });
+  after(async () => {
+    await api.close();
+    await disconnectDb();
+  });
+  beforeEach(resetDb);
+  afterEach(async () => {
+    if (receiver) await receiver.close();
+    receiver = null;
+  });
+
+  it('posts matching events signed with the endpoint secret', async () => {
+    const endpoint = await register([200]);
+    await processWebhookPayload(loadFixture('ticket-minted'));
+
+    const delivery = await waitFor(() => mongoose.models.WebhookDelivery.findOne({ status: 'delivered' }).lean());
+    assert.equal(receiver.requests.length, 1);
+
+    const [{ method, path, headers, body }] = receiver.requests;
+    assert.equal(method, 'POST');
+    assert.equal(path, '/hooks');
+    assert.equal(headers['content-type'], 'application/json');
+    assert.equal(headers['x-fortune-event'], 'ticket.minted');
+    assert.equal(headers['x-fortune-delivery'], delivery._id.toString());
+
+    // t=<unix seconds>,v1=<HMAC-SHA256 of "<t>.<raw body>">
+    const match = /^t=(\d+),v1=([0-9a-f]{64})$/.exec(headers['x-fortune-signature']);
+    assert.ok(match, headers['x-fortune-signature']);
+    const expected = crypto.createHmac('sha256', endpoint.secret).update(`${match[1]}.${body}`).digest('hex');
+    assert.equal(match[2], expected);
+    assert.ok(Math.abs(Number(match[1]) - Date.now() / 1000) < 60);
+
+    const payload = JSON.parse(body);
+    assert.equal(payload.id, delivery._id.toString());
+    assert.equal(payload.event, 'ticket.minted');
+    assert.equal(payload.data.chainId, FIXTURE_CHAIN_ID);
+    assert.equal(payload.data.contract, FIXTURE_CONTRACT);
+    assert.equal(payload.data.tokenId, '1');
+    assert.equal(payload.data.transactionHash, MINT_TX);
+  });
+
+  it('only posts events the endpoint subscribed to', async () => {
+    await register([200], ['reward.paid']);
+    await processWebhookPayload(loadFixture('ticket-minted'));
+
+    assert.equal(await mongoose.models.WebhookDelivery.countDocuments(), 0);
+    assert.equal(receiver.requests.length, 0);
+  });
+
+  it('leaves out events about a wallet that turned them off', async () => {
+    await register([200], ['ticket.minted']);
+    await mongoose.models.WalletSettings.create({ address: FIXTURE_PLAYER, notifications: { mints: false } });
+    await processWebhookPayload(loadFixture('ticket-minted'));
+
+    assert.equal(await mongoose.models.WebhookDelivery.countDocuments(), 0);
+    assert.equal(receiver.requests.length, 0);
+  });
+
+  it('retries a failed delivery with exponential backoff', async () => {
+    await register([500, 502, 200]);
+    await processWebhookPayload(loadFixture('ticket-minted'));
+
+    const { WebhookDelivery } = mongoose.models;
+    let delivery = await waitFor(() => WebhookDelivery.findOne({ attempts: 1 }).lean());
+    assert.equal(delivery.status, 'pending');
+    assert.equal(delivery.responseStatus, 500);
+    assert.equal(delivery.error, 'receiver answered 500');
+    assert.ok(delivery.nextAttemptAt - delivery.lastAttemptAt >= RETRY_BASE_MS);
+
+    // Nothing is sent again before the backoff has elapsed
+    assert.equal(await attemptDelivery(delivery._id), null);
+    assert.equal(await retryDueDeliveries(), 0);
+
+    await makeDue(delivery._id);
+    assert.equal(await retryDueDeliveries(), 1);
+    delivery = await WebhookDelivery.findById(delivery._id).lean();
+    assert.equal(delivery.status, 'pending');
+    assert.ok(delivery.nextAttemptAt - delivery.lastAttemptAt >= 2 * RETRY_BASE_MS);
+
+    await makeDue(delivery._id);
+    delivery = (await attemptDelivery(delivery._id)).toObject();
+    assert.equal(delivery.status, 'delivered');
+    assert.equal(delivery.attempts, 3);
+    assert.deepEqual(delivery.attemptLog.map(attempt => attempt.responseStatus), [500, 502, 200]);
+    assert.equal(receiver.requests.length, 3);
+    // Every attempt is the same delivery
+    assert.equal(new Set(receiver.requests.map(item => item.headers['x-fortune-delivery'])).size, 1);
+  });
+
+  it('gives up after the last attempt and shows it in the delivery log', async () => {
+    const endpoint = await register([503]);
+    await processWebhookPayload(loadFixture('ticket-minted'));
+
+    const { WebhookDelivery } = mongoose.models;
+    const { _id } = await waitFor(() => WebhookDelivery.findOne({ attempts: 1 }).lean());
+    for (let attempt = 2; attempt <= 3; attempt++) {
+      await makeDue(_id);
+      await attemptDelivery(_id);
+    }
+
+    const response = await request(`/admin/webhooks/${endpoint._id}/deliveries?status=failed`);
+    assert.equal(response.status, 200);
+    const { data } = await response.json();
+    assert.equal(data.length, 1);
+    assert.equal(data[0]._id, _id.toString());
+    assert.equal(data[0].event, 'ticket.minted');
+    assert.equal(data[0].attempts, 3);
+    assert.deepEqual(data[0].attemptLog.map(attempt => attempt.responseStatus), [503, 503, 503]);
+
+    // A failed delivery is not retried by the sweep, only on request
+    await makeDue(_id);
+    assert.equal(await retryDueDeliveries(), 0);
+
+    receiver.requests.length = 0;
+    const retried = await request(`/admin/webhooks/${endpoint._id}/deliveries/${_id}/retry`, { method: 'POST' });
+    assert.equal(retried.status, 200);
+    assert.equal((await retried.json()).attempts, 1);
+    assert.equal(receiver.requests.length, 1);
+  });
+
+  it('sends a signed ping from the test route', async () => {
+    const endpoint = await register([204]);
+    const response = await request(`/admin/webhooks/${endpoint._id}/test`, { method: 'POST' });
+    const delivery = await response.json();
+
+    assert.equal(delivery.status, 'delivered');
+    assert.equal(delivery.responseStatus, 204);
+    const [{ headers, body }] = receiver.requests;
+    assert.equal(headers['x-fortune-event'], 'ping');
+    const [, timestamp, signature] = /^t=(\d+),v1=([0-9a-f]+)$/.exec(headers['x-fortune-signature']);
+    assert.equal(signature, crypto.createHmac('sha256', endpoint.secret).update(`${timestamp}.${body}`).digest('hex'));
+  });
+});
@@ -0,0 +1,87 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const {
+  FIXTURE_CHAIN_ID,
+  FIXTURE_CONTRACT,
+  FIXTURE_PLAYER,
+  readFixture,
+  signedHeaders
+} = require('./helpers/fixtures');
+const { listen, loadServer, connectDb, resetDb, disconnectDb } = require('./helpers/server');
+
+const TICKET_LIFECYCLE = ['ticket-minted', 'ticket-opened', 'ticket-resolved', 'reward-paid'];
+
+describe('replaying signed webhook fixtures', () => {
+  let app;
+  let server;
+
+  before(async () => {
+    app = loadServer({ MORALIS_STREAM_SECRETS: 'replay-secret' });
+    await connectDb();
+    server = await listen(app);
+  });
+  after(async () => {
+    await server.close();
+    await disconnectDb();
+  });
+  beforeEach(resetDb);
+
+  async function deliver(name, secret = 'replay-secret') {
+    const body = readFixture(name);
+    return fetch(`${server.url}/webhook`, { method: 'POST', headers: signedHeaders(body, secret), body });
+  }
+
+  // The route drains in the background; wait for any drain it started, then
+  // pick up whatever was queued after that one began
+  async function drain() {
+    await app.ingestion.drainIngestionQueue();
+    await app.ingestion.drainIngestionQueue();
+  }
+
+  it('applies a ticket lifecycle delivered through /webhook', async () => {
+    for (const name of TICKET_LIFECYCLE) {
+      const res = await deliver(name);
+      assert.equal(res.status, 200);
+      assert.equal((await res.json()).message, 'Queued');
+    }
+    await drain();
+
+    const { MintingDetails, ERC721Holding, Opening, IngestionJob } = mongoose.models;
+    const key = { chainId: FIXTURE_CHAIN_ID, contract: FIXTURE_CONTRACT, tokenId: '1' };
+
+    const ticket = await MintingDetails.findOne(key).lean();
+    assert.equal(ticket.status, 'paid');
+    assert.deepEqual(ticket.history.map(entry => entry.status), ['minted', 'opening', 'resolved', 'paid']);
+    assert.equal(ticket.minter, FIXTURE_PLAYER);
+    assert.equal(ticket.mintPrice, '10000000000000000');
+    assert.equal(ticket.rollResult, 1);
+    assert.equal(ticket.hitLevel, 1);
+    assert.equal(ticket.payout, '1000000000000000000');
+    assert.equal(ticket.winner, FIXTURE_PLAYER);
+
+    const holding = await ERC721Holding.findOne(key).lean();
+    assert.equal(holding.owner, FIXTURE_PLAYER);
+
+    const opening = await Opening.findOne(key).lean();
+    assert.equal(opening.opener, FIXTURE_PLAYER);
+
+    assert.equal(await IngestionJob.countDocuments({ status: 'done' }), TICKET_LIFECYCLE.length);
+  });
+
+  it('applies a redelivered payload only once', async () => {
+    await deliver('ticket-minted');
+    await deliver('ticket-minted');
+    await drain();
+
+    const { MintingDetails, Transfer } = mongoose.models;
+    assert.equal(await MintingDetails.countDocuments({ tokenId: '1' }), 1);
+    assert.equal(await Transfer.countDocuments({ tokenId: '1' }), 1);
+  });
+
+  it('queues nothing for a delivery with a bad signature', async () => {
+    const res = await deliver('ticket-minted', 'wrong-secret');
+    assert.equal(res.status, 401);
+    assert.equal(await mongoose.models.IngestionJob.countDocuments(), 0);
+  });
+});
@@ -0,0 +1,107 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const {
+  loadStreamSecrets,
+  captureRawBody,
+  createSignatureVerifier
+} = require('../lib/webhookSignature');
+const { readFixture, signedHeaders } = require('./helpers/fixtures');
+const { listen } = require('./helpers/server');
+
+// Serve the verifier in front of a route that echoes the accepted body, the
+// same way server.js mounts it on /webhook
+async function startVerifier(env) {
+  const rejected = [];
+  const app = express();
+  app.use(express.json({ verify: captureRawBody }));
+  app.post('/webhook', createSignatureVerifier(loadStreamSecrets(env), {
+    onInvalid: req => rejected.push(req.body)
+  }), (req, res) => res.json({ accepted: req.body.block.number }));
+
+  const server = await listen(app);
+  return { ...server, rejected };
+}
+
+function post(url, body, headers) {
+  return fetch(`${url}/webhook`, { method: 'POST', headers, body });
+}
+
+describe('webhook signature verification', () => {
+  const body = readFixture('ticket-minted');
+
+  describe('with a single secret', () => {
+    let verifier;
+    before(async () => {
+      verifier = await startVerifier({ MORALIS_STREAM_SECRETS: 'current-secret' });
+    });
+    after(() => verifier.close());
+
+    it('accepts a payload signed with the secret', async () => {
+      const res = await post(verifier.url, body, signedHeaders(body, 'current-secret'));
+      assert.equal(res.status, 200);
+      assert.deepEqual(await res.json(), { accepted: '100' });
+    });
+
+    it('rejects a payload signed with another secret', async () => {
+      const res = await post(verifier.url, body, signedHeaders(body, 'wrong-secret'));
+      assert.equal(res.status, 401);
+      assert.deepEqual(await res.json(), { error: 'Invalid signature' });
+      assert.equal(verifier.rejected.at(-1).chainId, '0x1');
+    });
+
+    it('rejects a body that differs from the signed one', async () => {
+      const reserialized = JSON.stringify(JSON.parse(body));
+      const res = await post(verifier.url, reserialized, signedHeaders(body, 'current-secret'));
+      assert.equal(res.status, 401);
+    });
+
+    it('rejects a payload without a signature', async () => {
+      const res = await post(verifier.url, body, { 'Content-Type': 'application/json' });
+      assert.equal(res.status, 401);
+      assert.deepEqual(await res.json(), { error: 'Missing signature' });
+    });
+  });
+
+  describe('while rotating secrets', () => {
+    let verifier;
+    before(async () => {
+      verifier = await startVerifier({ MORALIS_STREAM_SECRETS: 'new-secret, old-secret' });
+    });
+    after(() => verifier.close());
+
+    it('accepts payloads signed with the new secret', async () => {
+      const res = await post(verifier.url, body, signedHeaders(body, 'new-secret'));
+      assert.equal(res.status, 200);
+    });
+
+    it('accepts payloads still signed with the old secret', async () => {
+      const res = await post(verifier.url, body, signedHeaders(body, 'old-secret'));
+      assert.equal(res.status, 200);
+    });
+
+    it('rejects payloads signed with a retired secret', async () => {
+      const res = await post(verifier.url, body, signedHeaders(body, 'retired-secret'));
+      assert.equal(res.status, 401);
+    });
+  });
+
+  describe('without a configured secret', () => {
+    let verifier;
+    before(async () => {
+      verifier = await startVerifier({});
+    });
+    after(() => verifier.close());
+
+    it('refuses every delivery with 503', async () => {
+      const res = await post(verifier.url, body, signedHeaders(body, 'any-secret'));
+      assert.equal(res.status, 503);
+      assert.deepEqual(await res.json(), { error: 'Webhook secret not configured' });
+    });
+  });
+
+  it('reads the legacy MORALIS_STREAM_SECRET when no list is set', () => {
+    assert.deepEqual(loadStreamSecrets({ MORALIS_STREAM_SECRET: 'legacy' }), ['legacy']);
+    assert.deepEqual(loadStreamSecrets({ MORALIS_STREAM_SECRETS: 'a,,b ', MORALIS_STREAM_SECRET: 'legacy' }), ['a', 'b']);
+  });
+});
@@ -0,0 +1,73 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const WebSocket = require('ws');
+const { loadServer } = require('./helpers/server');
+
+const { handleClientConnection, sendToSubscribers } = loadServer().websocket;
+
+describe('WebSocket broadcasts', () => {
+  let wss;
+  let url;
+  const clients = [];
+
+  // Connect a client that collects the messages after WELCOME
+  async function connect(topics) {
+    const ws = new WebSocket(url);
+    const messages = [];
+    const waiting = [];
+    ws.on('message', (raw) => {
+      messages.push(JSON.parse(raw.toString()));
+      while (waiting.length > 0) waiting.shift()();
+    });
+    ws.next = async () => {
+      while (messages.length === 0) await new Promise(resolve => waiting.push(resolve));
+      return messages.shift();
+    };
+    clients.push(ws);
+
+    assert.equal((await ws.next()).type, 'WELCOME');
+    if (topics) {
+      ws.send(JSON.stringify({ type: 'subscribe', topics }));
+      assert.equal((await ws.next()).type, 'SUBSCRIPTIONS');
+    }
+    return ws;
+  }
+
+  // The next message after a broadcast; a pong means the broadcast was not sent
+  async function nextAfterPing(ws) {
+    ws.send(JSON.stringify({ type: 'ping' }));
+    return (await ws.next()).type;
+  }
+
+  before(async () => {
+    wss = new WebSocket.Server({ port: 0, host: '127.0.0.1' });
+    wss.on('connection', handleClientConnection);
+    await new Promise(resolve => wss.once('listening', resolve));
+    url = `ws://127.0.0.1:${wss.address().port}`;
+  });
+  after(async () => {
+    for (const ws of clients) ws.terminate();
+    await new Promise(resolve => wss.close(resolve));
+  });
+
+  it('only sends a broadcast to the clients subscribed to its topics', async () => {
+    const unsubscribed = await connect();
+    const pool = await connect(['pool']);
+    const token = await connect(['token:42']);
+    const everything = await connect(['*']);
+
+    sendToSubscribers(wss.clients, { seq: 1, type: 'POOL_UPDATED', topics: ['pool'], data: {} });
+
+    assert.equal(await nextAfterPing(pool), 'POOL_UPDATED');
+    assert.equal(await nextAfterPing(everything), 'POOL_UPDATED');
+    assert.equal(await nextAfterPing(unsubscribed), 'pong');
+    assert.equal(await nextAfterPing(token), 'pong');
+  });
+
+  it('refuses unknown topics', async () => {
+    const ws = await connect();
+    ws.send(JSON.stringify({ type: 'subscribe', topics: ['everything'] }));
+
+    assert.deepEqual(await ws.next(), { type: 'ERROR', data: { message: 'Invalid topics', topics: ['everything'] } });
+  });
+});